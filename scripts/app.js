@@ -11,25 +11,46 @@
 // ── Boot ───────────────────────────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', async () => {
+  setupPasswordForm();
   try {
-    await DB.init({
+    // An encrypted IndexedDB copy needs its password before anything can load
+    await withPassword(password => DB.init({
       locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.10.3/${file}`
+    }, { password }), {
+      title: '🔐 Unlock Library',
+      hint:  'The library on this device is encrypted. Enter its password to open it.',
+      cancel: false,
     });
-    initApp();
+    await initApp();
   } catch (err) {
     console.error('[App] DB init failed:', err);
-    showToast('Database failed to load. Please refresh.', 'error');
+    showToast(err.code === 'SCHEMA_TOO_NEW'
+      ? err.message
+      : 'Database failed to load. Please refresh.', 'error');
   }
 });
 
-function initApp() {
+async function initApp() {
+  // Uncollected hold-shelf copies move on to the next patron in line
+  await DBLib.processExpiredHolds().catch(err => console.warn('[App] Hold expiry failed:', err));
+
   setDefaultDates();
   setupNav();
   setupForms();
   setupSearch();
+  setupTableViews();
   setupModals();
   setupRestore();
-  loadPage('main-page');
+  setupImport();
+  setupLabels();
+  setupUndo();
+  setupStaff();
+  setupSync();
+  setupReports();
+  setupNotices();
+  Barcode.listenForWedge(handleScannedCode);
+  loadPage(readViewHash() || 'main-page');
+  lockApp();
 
   // Show demo banner if demo hasn't been cleared
   // Initialise notifications (must be after DB is ready)
@@ -38,6 +59,8 @@ function initApp() {
   if (!DBLib.getSetting('demo_cleared')) {
     document.getElementById('demo-banner').style.display = 'flex';
   }
+  renderBackupReminder();
+  Sync.start(handleSyncEvent);
 }
 
 // ── Navigation ─────────────────────────────────────────────────────────────
@@ -77,60 +100,270 @@ function loadPage(pageId) {
   if (page) page.classList.add('active');
 
   document.querySelectorAll(`[data-page="${pageId}"]`).forEach(b => b.classList.add('active'));
+  writeViewHash(pageId);
 
   switch (pageId) {
     case 'main-page':    renderBooks(); break;
     case 'history-page': renderHistory(); break;
-    case 'return-page':  renderReturnForm(); break;
+    case 'return-page':  renderBorrowForm(); renderReturnForm(); break;
+    case 'holds-page':   renderHolds(); break;
+    case 'patrons-page': renderPatrons(v('search-patrons')); break;
+    case 'activity-page': renderActivity(); break;
+    case 'reports-page': renderReports(); break;
+    case 'collection-page': renderCollection(); break;
+    case 'restore-points-page': renderRestorePoints(); break;
+    case 'patron-profile-page': renderPatronProfile(); break;
     case 'config-page':  renderConfig(); break;
     case 'about-page':   renderAbout(); break;
   }
 }
 
+// ── Table Views (sort, filters, paging) ────────────────────────────────────
+
+const PAGE_SIZE = 50;
+
+// What the books and history tables are showing. Mirrored in the URL hash so a
+// view can be bookmarked, e.g. #history-page?status=overdue&sort=due_date&page=2
+const VIEW_DEFAULTS = {
+  books:      { q: '', category: '', avail: '', sort: '', dir: 'asc', page: 1 },
+  history:    { q: '', status: '', from: '', to: '', sort: '', dir: 'asc', page: 1 },
+  activity:   { q: '', entity: '', from: '', to: '', page: 1 },
+  reports:    { range: 'this-month', from: '', to: '', group: '' },
+  collection: { months: '12' },
+};
+const VIEW_PAGES  = {
+  'main-page': 'books', 'history-page': 'history', 'activity-page': 'activity',
+  'reports-page': 'reports', 'collection-page': 'collection',
+};
+const VIEW_SEARCH = { books: 'search-books', history: 'search-history', activity: 'search-activity' };
+
+const _views = {
+  books:      { ...VIEW_DEFAULTS.books },
+  history:    { ...VIEW_DEFAULTS.history },
+  activity:   { ...VIEW_DEFAULTS.activity },
+  reports:    { ...VIEW_DEFAULTS.reports },
+  collection: { ...VIEW_DEFAULTS.collection },
+};
+
+// Any change other than the page number starts again from page 1
+function setView(kind, changes, { reset = false } = {}) {
+  const view = reset ? { ...VIEW_DEFAULTS[kind] } : _views[kind];
+  Object.assign(view, 'page' in view ? { page: 1 } : {}, changes);
+  _views[kind] = view;
+  writeViewHash();
+  renderView(kind);
+}
+
+function renderView(kind) {
+  if (kind === 'books')           renderBooks();
+  else if (kind === 'history')    renderHistory();
+  else if (kind === 'reports')    renderReports();
+  else if (kind === 'collection') renderCollection();
+  else                            renderActivity();
+}
+
+function writeViewHash(pageId = document.querySelector('.page.active')?.id) {
+  if (!pageId) return;
+  const kind = VIEW_PAGES[pageId];
+  const params = new URLSearchParams();
+  if (kind) {
+    Object.entries(_views[kind]).forEach(([key, value]) => {
+      if (String(value) !== String(VIEW_DEFAULTS[kind][key])) params.set(key, value);
+    });
+  }
+  const query = params.toString();
+  const hash = `#${pageId}${query ? `?${query}` : ''}`;
+  if (location.hash !== hash) history.replaceState(null, '', hash);
+}
+
+// → the page named in the hash (only ones the nav can open), with its view restored
+function readViewHash() {
+  const [pageId, query = ''] = location.hash.slice(1).split('?');
+  if (!pageId || !document.querySelector(`[data-page="${pageId}"]`)) return null;
+
+  const kind = VIEW_PAGES[pageId];
+  if (kind) {
+    const view = { ...VIEW_DEFAULTS[kind] };
+    new URLSearchParams(query).forEach((value, key) => {
+      if (key in view) view[key] = key === 'page' ? Math.max(1, parseInt(value) || 1) : value;
+    });
+    _views[kind] = view;
+    const search = document.getElementById(VIEW_SEARCH[kind]);
+    if (search) search.value = view.q;
+  }
+  return pageId;
+}
+
+function setupTableViews() {
+  Object.entries(VIEW_SEARCH).forEach(([kind, inputId]) => {
+    document.getElementById(inputId)?.addEventListener('input', function () {
+      setView(kind, { q: this.value.trim() });
+    });
+  });
+
+  document.querySelectorAll('.filter-bar').forEach(bar => {
+    const kind = bar.dataset.view;
+    bar.addEventListener('click', e => {
+      const chip = e.target.closest('.filter-chip');
+      if (chip) setView(kind, { [chip.dataset.filter]: chip.dataset.value });
+    });
+    bar.addEventListener('change', e => {
+      if (e.target.dataset.filter) setView(kind, { [e.target.dataset.filter]: e.target.value });
+    });
+  });
+
+  // Click a heading: ascending → descending → back to the default order
+  Object.entries(VIEW_PAGES).forEach(([pageId, kind]) => {
+    document.querySelectorAll(`#${pageId} th[data-sort]`).forEach(th => {
+      th.addEventListener('click', () => {
+        const { sort, dir } = _views[kind];
+        const key = th.dataset.sort;
+        if (sort !== key)     setView(kind, { sort: key, dir: 'asc' });
+        else if (dir === 'asc') setView(kind, { dir: 'desc' });
+        else                  setView(kind, { sort: '', dir: 'asc' });
+      });
+    });
+  });
+
+  document.querySelectorAll('.pager').forEach(pager => {
+    pager.addEventListener('click', e => {
+      const btn = e.target.closest('[data-goto]');
+      if (btn) setView(pager.dataset.view, { page: parseInt(btn.dataset.goto) });
+    });
+  });
+
+  // Edited or bookmarked hash — Back/Forward too
+  window.addEventListener('hashchange', () => {
+    const pageId = readViewHash();
+    if (pageId) loadPage(pageId);
+  });
+}
+
+// The current page of rows → { rows, total }. A page past the end (rows deleted,
+// stale bookmark) falls back to the last one.
+function fetchViewPage(kind, query) {
+  const view  = _views[kind];
+  const fetch = { books: DBLib.queryBooks, history: DBLib.queryBorrows, activity: DBLib.queryAudit }[kind];
+  const page  = () => fetch({ ...query, limit: PAGE_SIZE, offset: (view.page - 1) * PAGE_SIZE });
+  let result  = page();
+  const last  = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+  if (view.page > last) {
+    view.page = last;
+    writeViewHash();
+    result = page();
+  }
+  return result;
+}
+
+// Chips, dropdowns, sort arrows and pager reflect the view; returns the row offset
+function renderViewControls(kind, total) {
+  const view  = _views[kind];
+  const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  document.querySelectorAll(`.filter-bar[data-view="${kind}"] [data-filter]`).forEach(el => {
+    if (el.classList.contains('filter-chip')) {
+      el.classList.toggle('active', el.dataset.value === view[el.dataset.filter]);
+    } else {
+      el.value = view[el.dataset.filter];
+    }
+  });
+
+  const pageId = Object.keys(VIEW_PAGES).find(id => VIEW_PAGES[id] === kind);
+  document.querySelectorAll(`#${pageId} th[data-sort]`).forEach(th => {
+    th.classList.toggle('sorted-asc',  view.sort === th.dataset.sort && view.dir === 'asc');
+    th.classList.toggle('sorted-desc', view.sort === th.dataset.sort && view.dir === 'desc');
+  });
+
+  const pager = document.querySelector(`.pager[data-view="${kind}"]`);
+  const first = (view.page - 1) * PAGE_SIZE;
+  if (pager) {
+    pager.innerHTML = total <= PAGE_SIZE ? '' : `
+      <button class="btn-outline" data-goto="${view.page - 1}" ${view.page > 1 ? '' : 'disabled'}>‹ Prev</button>
+      <span>${first + 1}–${Math.min(first + PAGE_SIZE, total)} of ${total} · page ${view.page} of ${pages}</span>
+      <button class="btn-outline" data-goto="${view.page + 1}" ${view.page < pages ? '' : 'disabled'}>Next ›</button>`;
+  }
+  return first;
+}
+
 // ── Books — Main Page ──────────────────────────────────────────────────────
 
-function renderBooks(search = '') {
-  const books = search ? DBLib.searchBooks(search) : DBLib.getAllBooks();
+function booksQuery(view = _views.books) {
+  return {
+    search: view.q, category: view.category, availability: view.avail, sort: view.sort, dir: view.dir,
+  };
+}
+
+function renderBooks() {
+  const view  = _views.books;
   const tbody = document.querySelector('#books-table tbody');
   const count = document.getElementById('book-count');
+  const search = view.q;
+
+  const categorySelect = document.querySelector('.filter-bar[data-view="books"] [data-filter="category"]');
+  if (categorySelect) {
+    categorySelect.innerHTML = '<option value="">All categories</option>' +
+      DBLib.getAllCategories().map(c => `<option value="${esc(c.name)}">${esc(c.name)}</option>`).join('');
+  }
 
-  if (count) count.textContent = books.length;
+  const { rows: books, total } = fetchViewPage('books', booksQuery());
+  const offset = renderViewControls('books', total);
+
+  if (count) count.textContent = total;
 
   if (!tbody) return;
   tbody.innerHTML = '';
 
   if (!books.length) {
-    tbody.innerHTML = `<tr><td colspan="7" class="empty-cell">No books found</td></tr>`;
-    return;
+    tbody.innerHTML = `<tr><td colspan="9" class="empty-cell">No books found</td></tr>`;
+    return renderSelectionButtons();
   }
 
+  // Search results come back best match first, with the matched words marked
+  const mark = (book, field) => Search.highlight(book[field], search, field);
+
   books.forEach((book, i) => {
     const tr = document.createElement('tr');
     tr.innerHTML = `
-      <td class="num">${i + 1}</td>
-      <td>${esc(book.author)}</td>
-      <td class="book-title">${esc(book.title)}</td>
-      <td class="hide-sm">${esc(book.isbn || '—')}</td>
-      <td><span class="chip">${esc(book.category)}</span></td>
-      <td class="center">${book.copies}</td>
+      <td class="num"><input type="checkbox" class="row-select" value="${book.id}"
+        ${_selected.books.has(book.id) ? 'checked' : ''} /></td>
+      <td class="num">${offset + i + 1}</td>
+      <td>${mark(book, 'author')}</td>
+      <td class="book-title">${mark(book, 'title')}${book.withdrawn_on
+        ? ` <span class="status status-inactive" title="${esc(book.withdrawn_reason || '')}">Withdrawn</span>` : ''}</td>
+      <td class="hide-sm">${esc(book.isbn ? ISBN.format(book.isbn) : '—')}</td>
+      <td><span class="chip">${mark(book, 'category')}</span></td>
+      <td class="center">${book.owned}</td>
+      <td class="center ${book.available ? '' : 'avail-none'}">${book.available}</td>
       <td class="action-cell">
-        <button class="btn-icon btn-edit" title="Edit" onclick="openEditBookModal(${book.id})">✏️</button>
-        <button class="btn-icon btn-del" title="Delete" onclick="handleDeleteBook(${book.id})">🗑️</button>
+        <button class="btn-icon btn-edit" title="Copies" onclick="openItemsModal(${book.id})">📦</button>
+        <button class="btn-icon btn-edit" title="Edit" data-needs="catalogue" onclick="openEditBookModal(${book.id})">✏️</button>
+        ${book.withdrawn_on
+          ? `<button class="btn-icon btn-edit" title="Return to the collection" data-needs="catalogue" onclick="handleReinstateBook(${book.id})">↩️</button>`
+          : `<button class="btn-icon btn-del" title="Withdraw (keeps its loan history)" data-needs="catalogue" onclick="handleWithdrawBook(${book.id})">🗄️</button>`}
+        <button class="btn-icon btn-del" title="Delete" data-needs="catalogue" onclick="handleDeleteBook(${book.id})">🗑️</button>
       </td>`;
     tbody.appendChild(tr);
   });
+  renderSelectionButtons();
 }
 
 // ── History Page ───────────────────────────────────────────────────────────
 
-function renderHistory(search = '') {
-  const records = DBLib.getAllBorrows(search);
+function historyQuery(view = _views.history) {
+  return {
+    search: view.q, status: view.status, from: view.from, to: view.to, sort: view.sort, dir: view.dir,
+  };
+}
+
+function renderHistory() {
+  const { rows: records, total } = fetchViewPage('history', historyQuery());
+  renderViewControls('history', total);
   const tbody = document.querySelector('#history-table tbody');
   if (!tbody) return;
   tbody.innerHTML = '';
 
   if (!records.length) {
-    tbody.innerHTML = `<tr><td colspan="6" class="empty-cell">No records found</td></tr>`;
+    tbody.innerHTML = `<tr><td colspan="7" class="empty-cell">No records found</td></tr>`;
     return;
   }
 
@@ -141,7 +374,9 @@ function renderHistory(search = '') {
     if (isOverdue) tr.classList.add('overdue');
 
     let statusHtml;
-    if (r.return_date) {
+    if (r.return_date && r.note) {
+      statusHtml = `<span class="status status-returned" title="${esc(r.note)}">Closed</span>`;
+    } else if (r.return_date) {
       statusHtml = `<span class="status status-returned">Returned</span>`;
     } else if (isOverdue) {
       statusHtml = `<span class="status status-overdue">Overdue</span>`;
@@ -152,49 +387,143 @@ function renderHistory(search = '') {
     tr.innerHTML = `
       <td>${esc(r.borrower)}</td>
       <td class="book-title">${esc(r.book_title)}</td>
-      <td class="hide-sm">${fmtDate(r.date_out)}</td>
-      <td>${fmtDate(r.due_date)}</td>
-      <td class="hide-sm">${r.return_date ? fmtDate(r.return_date) : '—'}</td>
-      <td>${statusHtml}</td>`;
+      <td class="hide-sm" title="${r.lent_by ? `Lent by ${esc(r.lent_by)}` : ''}">${fmtDate(r.date_out)}</td>
+      <td>${fmtDate(r.due_date)}${renewalBadge(r)}</td>
+      <td class="hide-sm" title="${r.returned_by ? `Checked in by ${esc(r.returned_by)}` : ''}">${r.return_date ? fmtDate(r.return_date) : '—'}</td>
+      <td>${statusHtml}</td>
+      <td class="action-cell">${r.return_date ? '' :
+        `<button class="btn-icon btn-edit" title="Renew" onclick="handleRenewLoan(${r.id})">🔁</button>`}</td>`;
     tbody.appendChild(tr);
   });
 }
 
+function renewalBadge(r) {
+  if (!r.renewals) return '';
+  const log = DBLib.getRenewals(r.id)
+    .map(x => `${fmtDate(x.renewed_on)}: ${fmtDate(x.old_due)} → ${fmtDate(x.new_due)}${x.override ? ' (override)' : ''}`)
+    .join('\n');
+  return ` <span class="renew-count" title="${esc(log)}">↻${r.renewals}</span>`;
+}
+
+// ── Borrow Form ────────────────────────────────────────────────────────────
+
+function renderBorrowForm() {
+  renderBorrowBookSelect();
+  renderBorrowPatronSelect(v('borrow-patron-search'));
+}
+
+function renderBorrowBookSelect() {
+  const bookSel = document.getElementById('borrow-book-select');
+  if (!bookSel) return;
+  const prev = bookSel.value;
+  bookSel.innerHTML = '<option value="">Select Book</option>';
+  DBLib.getAllBooks().filter(b => !b.withdrawn_on).forEach(b => {
+    const opt = document.createElement('option');
+    opt.value = b.id; opt.textContent = `${b.title} (${b.available}/${b.owned} available)`;
+    bookSel.appendChild(opt);
+  });
+  bookSel.value = prev;
+  renderBorrowItemSelect();
+  applyBorrowPolicy();
+}
+
+function renderBorrowItemSelect() {
+  const sel    = document.getElementById('borrow-item-select');
+  const bookId = parseInt(v('borrow-book-select'));
+  if (!sel) return;
+  sel.innerHTML = '<option value="">Any available copy</option>';
+  if (!bookId) return;
+  DBLib.getAvailableItems(bookId).forEach(item => {
+    const opt = document.createElement('option');
+    opt.value = item.id;
+    opt.textContent = `${item.accession_no}${item.location ? ` · ${item.location}` : ''} · ${item.condition}`;
+    sel.appendChild(opt);
+  });
+}
+
+// Due date follows the selected book's loan policy
+function applyBorrowPolicy() {
+  const info    = document.getElementById('borrow-policy-info');
+  const due     = document.getElementById('borrow-due-date');
+  const bookId  = parseInt(v('borrow-book-select'));
+  const dateOut = v('borrow-date-out') || DB.today();
+  const policy  = bookId ? DBLib.getLoanPolicy(bookId) : null;
+
+  if (info) info.textContent = policy
+    ? (policy.blocked || `Loan period: ${policy.loanDays} days`)
+    : '';
+  if (due && policy && !policy.blocked) due.value = DB.addDays(dateOut, policy.loanDays);
+}
+
+function renderBorrowPatronSelect(search = '') {
+  const sel = document.getElementById('borrow-patron-select');
+  if (!sel) return;
+  const prev    = sel.value;
+  const patrons = DBLib.searchPatrons(search, { activeOnly: true });
+
+  sel.innerHTML = `<option value="">${patrons.length ? 'Select Patron' : 'No matching patrons'}</option>`;
+  patrons.forEach(p => {
+    const opt = document.createElement('option');
+    opt.value = p.id;
+    opt.textContent = `${p.name} · ${p.member_id}${p.department ? ` · ${p.department}` : ''}`;
+    sel.appendChild(opt);
+  });
+
+  // Narrowed to one person → pick them so the librarian can go straight to the book
+  if (search && patrons.length === 1) sel.value = patrons[0].id;
+  else if (patrons.some(p => String(p.id) === prev)) sel.value = prev;
+}
+
 // ── Return Form ────────────────────────────────────────────────────────────
 
 function renderReturnForm() {
   const borrowerSel = document.getElementById('return-borrower-select');
   if (!borrowerSel) return;
 
-  const borrowers = DBLib.getUniqueBorrowers();
+  const borrowers = DBLib.getPatronsWithActiveLoans();
   borrowerSel.innerHTML = '<option value="">Select Borrower</option>';
-  borrowers.forEach(b => {
+  borrowers.forEach(p => {
     const opt = document.createElement('option');
-    opt.value = b; opt.textContent = b;
+    opt.value = p.id; opt.textContent = `${p.name} · ${p.member_id}`;
     borrowerSel.appendChild(opt);
   });
 
   // Clear book select
   const bookSel = document.getElementById('return-book-select');
   if (bookSel) bookSel.innerHTML = '<option value="">Select Book</option>';
+  renderReturnLoanInfo();
+}
+
+function renderReturnLoanInfo() {
+  const info     = document.getElementById('return-loan-info');
+  const borrowId = parseInt(v('return-book-select'));
+  if (!info) return;
+  const loan = borrowId && DBLib.getActiveBorrowsByPatron(parseInt(v('return-borrower-select')))
+    .find(b => b.id === borrowId);
+  if (!loan) { info.textContent = ''; return; }
+  const max = parseInt(DBLib.getSetting('max_renewals')) || 0;
+  info.textContent = `Due ${fmtDate(loan.due_date)}${loan.due_date < DB.today() ? ' — overdue' : ''}` +
+                     ` · renewed ${loan.renewals} of ${max}`;
 }
 
 function handleBorrowerChange() {
-  const borrower = document.getElementById('return-borrower-select')?.value;
+  const patronId = v('return-borrower-select');
   const bookSel  = document.getElementById('return-book-select');
   if (!bookSel) return;
 
+  const prev = bookSel.value;
   bookSel.innerHTML = '<option value="">Select Book</option>';
-  if (!borrower) return;
+  if (!patronId) return renderReturnLoanInfo();
 
-  const borrows = DBLib.getActiveBorrowsByBorrower(borrower);
+  const borrows = DBLib.getActiveBorrowsByPatron(parseInt(patronId));
   borrows.forEach(b => {
     const opt = document.createElement('option');
     opt.value = b.id; // borrow record id
-    opt.textContent = b.book_title;
-    opt.dataset.bookId = b.book_id;
+    opt.textContent = b.accession_no ? `${b.book_title} · #${b.accession_no}` : b.book_title;
     bookSel.appendChild(opt);
   });
+  if (borrows.some(b => String(b.id) === prev)) bookSel.value = prev;
+  renderReturnLoanInfo();
 }
 
 // ── Config Page ────────────────────────────────────────────────────────────
@@ -202,6 +531,65 @@ function handleBorrowerChange() {
 function renderConfig() {
   renderCategorySelects();
   renderCategoryList();
+  renderLoanSettings();
+  renderFineRules();
+  renderStaffList();
+  renderStorageEncryption();
+  renderSyncStatus();
+  renderNoticeSettings();
+  document.getElementById('setting-backup-reminder').value = DBLib.getSetting('backup_reminder_days');
+}
+
+function renderFineRules() {
+  const rules = DBLib.getFineRules();
+  const set = (id, val) => { const el = document.getElementById(id); if (el) el.value = val; };
+  set('fine-daily-rate',      rules.dailyRate);
+  set('fine-grace-days',      rules.graceDays);
+  set('fine-max-per-item',    rules.maxPerItem);
+  set('fine-block-threshold', rules.blockThreshold);
+  set('fine-currency',        DBLib.getSetting('currency_symbol'));
+
+  const list = document.getElementById('fine-category-rates');
+  if (!list) return;
+  list.innerHTML = DBLib.getAllCategories().map(c => `
+    <div>
+      <label>${esc(c.name)}</label>
+      <input type="number" min="0" step="0.01" data-category="${esc(c.name)}"
+             value="${rules.categoryRates[c.name] ?? ''}" placeholder="${rules.dailyRate}" />
+    </div>`).join('');
+}
+
+function renderLoanSettings() {
+  const period = document.getElementById('setting-loan-period');
+  const max    = document.getElementById('setting-max-renewals');
+  const pickup = document.getElementById('setting-hold-pickup');
+  const loans  = document.getElementById('setting-max-loans');
+  if (period) period.value = DBLib.getSetting('loan_period_days');
+  if (max)    max.value    = DBLib.getSetting('max_renewals');
+  if (pickup) pickup.value = DBLib.getSetting('hold_pickup_days');
+  if (loans)  loans.value  = DBLib.getSetting('max_loans_per_patron');
+
+  const list = document.getElementById('loan-category-days');
+  if (!list) return;
+  list.innerHTML = DBLib.getAllCategories().map(c => `
+    <div>
+      <label>${esc(c.name)}</label>
+      <input type="number" min="0" data-category-id="${c.id}"
+             value="${c.loan_days ?? ''}" placeholder="${esc(DBLib.getSetting('loan_period_days'))}" />
+    </div>`).join('');
+}
+
+// Live check under the ISBN field — a wrong check digit is usually a typo
+function renderIsbnHint() {
+  const hint = document.getElementById('add-isbn-hint');
+  if (!hint) return;
+  const isbn    = v('add-isbn');
+  const problem = ISBN.problem(isbn);
+  const parsed  = ISBN.parse(isbn);
+  hint.classList.toggle('hint-error', !!problem);
+  hint.textContent = problem ? `⚠ ${problem}`
+                   : parsed  ? `✓ ISBN-13 ${ISBN.format(parsed.isbn13)}`
+                   :           '';
 }
 
 function renderCategorySelects() {
@@ -220,16 +608,7 @@ function renderCategorySelects() {
   });
 
   // Also update borrow book select
-  const books = DBLib.getAllBooks();
-  const bookSel = document.getElementById('borrow-book-select');
-  if (bookSel) {
-    bookSel.innerHTML = '<option value="">Select Book</option>';
-    books.forEach(b => {
-      const opt = document.createElement('option');
-      opt.value = b.id; opt.textContent = b.title;
-      bookSel.appendChild(opt);
-    });
-  }
+  renderBorrowBookSelect();
 }
 
 function renderCategoryList() {
@@ -261,33 +640,58 @@ function setupForms() {
   // Borrow form
   document.getElementById('borrow-form')?.addEventListener('submit', async e => {
     e.preventDefault();
-    const borrower  = v('borrower-name');
+    const patronId  = v('borrow-patron-select');
     const bookId    = v('borrow-book-select');
+    const itemId    = v('borrow-item-select');
     const dateOut   = v('borrow-date-out');
     const dueDate   = v('borrow-due-date');
 
-    if (!borrower || !bookId || !dateOut || !dueDate) {
+    if (!patronId || !bookId || !dateOut || !dueDate) {
       return showToast('Please fill all required fields', 'error');
     }
     try {
-      await DBLib.recordBorrow({ bookId: parseInt(bookId), borrower, dateOut, dueDate });
+      const res = await DBLib.recordBorrow({
+        bookId: parseInt(bookId), itemId: parseInt(itemId) || null, patronId: parseInt(patronId), dateOut, dueDate,
+      });
       e.target.reset(); setDefaultDates();
+      rememberSlip('checkout', parseInt(patronId), dateOut);
+      renderBorrowForm();
+      renderReturnForm();
       renderBooks();
-      showToast('Borrow recorded ✓');
+      showToast(`Borrow recorded — copy #${res.accessionNo} ✓`);
     } catch (err) {
-      showToast(err.message, 'error');
+      if (err.code !== 'NO_COPIES') return showToast(err.message, 'error');
+      if (!confirm('No copies are available. Place a hold so this patron is next in line?')) return;
+      try {
+        const hold = await DBLib.placeHold({ bookId: parseInt(bookId), patronId: parseInt(patronId) });
+        showToast(`Hold placed — position ${hold.queuePosition} in the queue ✓`);
+      } catch (err2) {
+        showToast(err2.message, 'error');
+      }
     }
   });
 
+  document.getElementById('borrow-book-select')?.addEventListener('change', () => {
+    renderBorrowItemSelect();
+    applyBorrowPolicy();
+  });
+  document.getElementById('borrow-date-out')?.addEventListener('change', applyBorrowPolicy);
+
   // Return form — borrower change
   document.getElementById('return-borrower-select')?.addEventListener('change', handleBorrowerChange);
 
+  document.getElementById('return-book-select')?.addEventListener('change', renderReturnLoanInfo);
+
+  document.getElementById('renew-loan-btn')?.addEventListener('click', () => {
+    const borrowId = parseInt(v('return-book-select'));
+    if (!borrowId) return showToast('Select a borrower and book to renew', 'error');
+    handleRenewLoan(borrowId);
+  });
+
   // Return form submit
   document.getElementById('return-form')?.addEventListener('submit', async e => {
     e.preventDefault();
-    const borrowSel  = document.getElementById('return-book-select');
-    const borrowId   = borrowSel?.value;
-    const bookId     = borrowSel?.options[borrowSel.selectedIndex]?.dataset?.bookId;
+    const borrowId   = v('return-book-select');
     const returnDate = v('return-date');
     const borrower   = v('return-borrower-select');
 
@@ -295,16 +699,23 @@ function setupForms() {
       return showToast('Please select a borrower, book, and return date', 'error');
     }
     try {
-      await DBLib.recordReturn({ borrowId: parseInt(borrowId), bookId: parseInt(bookId), returnDate });
+      const res = await DBLib.recordReturn({ borrowId: parseInt(borrowId), returnDate });
       e.target.reset(); setDefaultDates();
+      rememberSlip('return', parseInt(borrower), returnDate);
       renderReturnForm();
       renderBooks();
-      showToast('Return recorded ✓');
+      const fineNote = res.fine
+        ? ` · fine ${DBLib.formatMoney(res.fine.amount)} (${res.fine.daysLate} days late)` : '';
+      showUndoToast(res.hold
+        ? `Returned — put copy #${res.hold.accessionNo} on the hold shelf for ${res.hold.patronName}${fineNote}`
+        : `Return recorded${fineNote} ✓`);
     } catch (err) {
       showToast(err.message, 'error');
     }
   });
 
+  document.getElementById('add-isbn')?.addEventListener('input', renderIsbnHint);
+
   // Add book form
   document.getElementById('add-book-form')?.addEventListener('submit', async e => {
     e.preventDefault();
@@ -313,13 +724,17 @@ function setupForms() {
     const isbn     = v('add-isbn');
     const category = v('add-book-category');
     const copies   = parseInt(v('add-copies')) || 1;
+    const notForLoan = document.getElementById('add-not-for-loan')?.checked || false;
 
     if (!title || !author || !category) {
       return showToast('Title, Author and Category are required', 'error');
     }
+    const isbnProblem = ISBN.problem(isbn);
+    if (isbnProblem && !confirm(`ISBN “${isbn}”: ${isbnProblem}\n\nSave it anyway?`)) return;
     try {
-      const res = await DBLib.addBook({ title, author, isbn, category, copies });
+      const res = await DBLib.addBook({ title, author, isbn, category, copies, notForLoan });
       e.target.reset();
+      renderIsbnHint();
       document.getElementById('add-copies').value = 1;
       renderBooks();
       renderCategorySelects();
@@ -329,6 +744,71 @@ function setupForms() {
     }
   });
 
+  // Loan settings form
+  document.getElementById('loan-settings-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    const period = parseInt(v('setting-loan-period'));
+    const max    = parseInt(v('setting-max-renewals'));
+    const pickup = parseInt(v('setting-hold-pickup'));
+    const loans  = parseInt(v('setting-max-loans')) || 0;
+    if (!(period >= 1) || !(max >= 0) || !(pickup >= 1)) {
+      return showToast('Loan period and pickup window must be at least 1 day', 'error');
+    }
+    const categoryDays = {};
+    document.querySelectorAll('#loan-category-days input').forEach(input => {
+      const days = input.value.trim();
+      categoryDays[input.dataset.categoryId] = days === '' ? null : Math.max(parseInt(days) || 0, 0);
+    });
+    try {
+      await DBLib.saveLoanPolicies({
+        loanPeriodDays: period, maxRenewals: max, holdPickupDays: pickup, maxLoans: Math.max(loans, 0), categoryDays,
+      });
+      setDefaultDates();
+      showToast('Loan settings saved ✓');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  // Fine rules form
+  document.getElementById('fine-rules-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    const num = id => parseFloat(v(id)) || 0;
+    const categoryRates = {};
+    document.querySelectorAll('#fine-category-rates input').forEach(input => {
+      if (input.value.trim() !== '') categoryRates[input.dataset.category] = parseFloat(input.value) || 0;
+    });
+    try {
+      await DBLib.saveFineRules({
+        dailyRate:      num('fine-daily-rate'),
+        graceDays:      Math.floor(num('fine-grace-days')),
+        maxPerItem:     num('fine-max-per-item'),
+        blockThreshold: num('fine-block-threshold'),
+        categoryRates,
+      });
+      await DBLib.saveSetting('currency_symbol', v('fine-currency'));
+      showToast('Fine rules saved ✓');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  // Place hold form
+  document.getElementById('hold-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    const patronId = parseInt(v('hold-patron-select'));
+    const bookId   = parseInt(v('hold-book-select'));
+    if (!patronId || !bookId) return showToast('Select a patron and a title', 'error');
+    try {
+      const hold = await DBLib.placeHold({ bookId, patronId });
+      e.target.reset();
+      renderHolds();
+      showToast(`Hold placed — position ${hold.queuePosition} in the queue ✓`);
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
   // Add category form
   document.getElementById('add-category-form')?.addEventListener('submit', async e => {
     e.preventDefault();
@@ -344,6 +824,89 @@ function setupForms() {
     }
   });
 
+  // Copy (item) edit form
+  document.getElementById('item-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    const id = parseInt(v('item-id'));
+    try {
+      await DBLib.updateItem(id, {
+        barcode:   v('item-barcode'),
+        condition: v('item-condition'),
+        location:  v('item-location'),
+        status:    v('item-status'),
+        notes:     v('item-notes'),
+      });
+      closeModal('item-modal');
+      renderItems();
+      renderBooks();
+      showToast('Copy updated ✓');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  document.getElementById('item-delete-btn')?.addEventListener('click', () => {
+    const id = parseInt(v('item-id'));
+    if (id) handleDeleteItem(id);
+  });
+
+  document.getElementById('items-add-btn')?.addEventListener('click', async () => {
+    try {
+      const [id] = await DBLib.addItems(_itemsBookId, 1);
+      renderItems();
+      renderBooks();
+      showToast(`Copy #${DBLib.getItem(id).accession_no} added ✓`);
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  // Patron modal form (add + edit)
+  document.getElementById('patron-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    const id     = parseInt(v('patron-id')) || null;
+    const patron = {
+      name:       v('patron-name'),
+      memberId:   v('patron-member-id'),
+      phone:      v('patron-phone'),
+      email:      v('patron-email'),
+      department: v('patron-department'),
+      notes:      v('patron-notes'),
+      active:     document.getElementById('patron-active')?.checked ?? true,
+    };
+    if (!patron.name) return showToast('Enter the patron\'s name', 'error');
+
+    try {
+      if (id) {
+        await DBLib.updatePatron(id, patron);
+        showToast('Patron updated ✓');
+      } else {
+        const same = DBLib.findPatronsByName(patron.name);
+        if (same.length && !confirm(
+          `${same[0].name} (${same[0].member_id}) is already registered. Add another patron with this name?`
+        )) return;
+        const newId = await DBLib.addPatron(patron);
+        showToast('Patron added ✓');
+        // Came here from the borrow form → select the new patron there
+        const borrowSel = document.getElementById('borrow-patron-select');
+        if (borrowSel) {
+          document.getElementById('borrow-patron-search').value = '';
+          renderBorrowPatronSelect();
+          borrowSel.value = newId;
+        }
+      }
+      closeModal('patron-modal');
+      refreshPatronViews();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  document.getElementById('patron-delete-btn')?.addEventListener('click', () => {
+    const id = parseInt(v('patron-id'));
+    if (id) handleDeletePatron(id);
+  });
+
   // Edit book modal form
   document.getElementById('edit-book-form')?.addEventListener('submit', async e => {
     e.preventDefault();
@@ -351,11 +914,12 @@ function setupForms() {
     const title    = v('edit-book-title');
     const author   = v('edit-book-author');
     const category = v('edit-book-category');
+    const notForLoan = document.getElementById('edit-book-not-for-loan')?.checked || false;
     if (!title || !author || !category) {
       return showToast('All fields required', 'error');
     }
     try {
-      await DBLib.updateBook(id, { title, author, category });
+      await DBLib.updateBook(id, { title, author, category, notForLoan });
       closeModal('edit-book-modal');
       renderBooks();
       showToast('Book updated ✓');
@@ -385,150 +949,2391 @@ function setupForms() {
 // ── Search ─────────────────────────────────────────────────────────────────
 
 function setupSearch() {
-  document.getElementById('search-books')?.addEventListener('input', function () {
-    renderBooks(this.value.trim());
+  document.getElementById('search-patrons')?.addEventListener('input', function () {
+    renderPatrons(this.value.trim());
   });
-  document.getElementById('search-history')?.addEventListener('input', function () {
-    renderHistory(this.value.trim());
+  document.getElementById('borrow-patron-search')?.addEventListener('input', function () {
+    renderBorrowPatronSelect(this.value.trim());
   });
 }
 
-// ── Modals ─────────────────────────────────────────────────────────────────
+// ── Holds Page ─────────────────────────────────────────────────────────────
 
-function setupModals() {
-  // Close on backdrop click
-  document.querySelectorAll('.modal').forEach(modal => {
-    modal.addEventListener('click', e => {
-      if (e.target === modal) closeModal(modal.id);
-    });
-  });
+function renderHolds() {
+  const patronSel = document.getElementById('hold-patron-select');
+  const bookSel   = document.getElementById('hold-book-select');
+  if (patronSel) {
+    patronSel.innerHTML = '<option value="">Select Patron</option>' +
+      DBLib.searchPatrons('', { activeOnly: true })
+        .map(p => `<option value="${p.id}">${esc(p.name)} · ${esc(p.member_id)}</option>`).join('');
+  }
+  if (bookSel) {
+    bookSel.innerHTML = '<option value="">Select Book</option>' +
+      DBLib.getAllBooks().filter(b => !b.available && b.owned)
+        .map(b => `<option value="${b.id}">${esc(b.title)}</option>`).join('');
+  }
+
+  const holds = DBLib.getOpenHolds();
+  const count = document.getElementById('hold-count');
+  if (count) count.textContent = holds.length;
+
+  const tbody = document.querySelector('#holds-table tbody');
+  if (!tbody) return;
+  if (!holds.length) {
+    tbody.innerHTML = `<tr><td colspan="5" class="empty-cell">No open holds</td></tr>`;
+    return;
+  }
+
+  let lastBook = null;
+  const today  = DB.today();
+  tbody.innerHTML = holds.map(h => {
+    const group = h.book_id !== lastBook
+      ? `<tr class="group-row"><td colspan="5">${esc(h.book_title)}</td></tr>` : '';
+    lastBook = h.book_id;
+
+    const status = h.status === 'ready'
+      ? `<span class="status ${h.expires_on < today ? 'status-overdue' : 'status-returned'}">On shelf</span>
+         <div class="cell-note">#${esc(h.accession_no)} · collect by ${fmtDate(h.expires_on)}</div>`
+      : '<span class="status status-borrowed">Waiting</span>';
+    const move = h.status === 'waiting' ? `
+        <button class="btn-icon btn-edit" title="Move up" onclick="handleMoveHold(${h.id}, -1)">▲</button>
+        <button class="btn-icon btn-edit" title="Move down" onclick="handleMoveHold(${h.id}, 1)">▼</button>` : '';
+
+    return `${group}
+      <tr>
+        <td class="num">${h.status === 'waiting' ? h.queue_position : '—'}</td>
+        <td><button class="link-btn" onclick="openPatronProfile(${h.patron_id})">${esc(h.patron_name)}</button></td>
+        <td class="hide-sm">${fmtDate(h.placed_on)}</td>
+        <td>${status}</td>
+        <td class="action-cell">${move}
+          <button class="btn-icon btn-del" title="Cancel hold" onclick="handleCancelHold(${h.id})">✕</button>
+        </td>
+      </tr>`;
+  }).join('');
 }
 
-function openModal(id) {
-  const m = document.getElementById(id);
-  if (m) m.classList.add('show');
+async function handleMoveHold(id, direction) {
+  try {
+    await DBLib.moveHold(id, direction);
+    renderHolds();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
 }
 
-function closeModal(id) {
-  const m = document.getElementById(id);
-  if (m) m.classList.remove('show');
+async function handleCancelHold(id) {
+  try {
+    const res = await DBLib.cancelHold(id);
+    refreshHoldViews();
+    showUndoToast(res.passedTo
+      ? `Hold cancelled — copy #${res.passedTo.accessionNo} now held for ${res.passedTo.patronName}`
+      : 'Hold cancelled');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
 }
 
-function openEditBookModal(id) {
-  const book = DBLib.getBook(id);
-  if (!book) return showToast('Book not found', 'error');
-  renderCategorySelects();
-  document.getElementById('edit-book-id').value    = book.id;
-  document.getElementById('edit-book-title').value  = book.title;
-  document.getElementById('edit-book-author').value = book.author;
-  setTimeout(() => {
-    document.getElementById('edit-book-category').value = book.category;
-  }, 50);
-  openModal('edit-book-modal');
+function refreshHoldViews() {
+  const active = document.querySelector('.page.active')?.id;
+  if (active === 'holds-page') renderHolds();
+  if (active === 'patron-profile-page') renderPatronProfile();
+  renderBooks();
 }
 
-function openEditCategoryModal(id, name) {
-  document.getElementById('edit-category-id').value         = id;
-  document.getElementById('edit-category-name-input').value = name;
-  openModal('edit-category-modal');
+// ── Activity (audit log) ───────────────────────────────────────────────────
+
+function activityQuery(view = _views.activity) {
+  return { search: view.q, entity: view.entity, from: view.from, to: view.to };
 }
 
-// ── Summary Modal ──────────────────────────────────────────────────────────
+function fmtDateTime(iso) {
+  return new Date(iso).toLocaleString('en-NG', {
+    day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
 
-function openSummaryModal() {
-  const stats = DBLib.getStats();
+function auditValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return `${value.length} row${value.length === 1 ? '' : 's'}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
 
-  document.getElementById('stat-titles').textContent  = stats.totalTitles;
-  document.getElementById('stat-copies').textContent  = stats.totalCopies;
-  document.getElementById('stat-active').textContent  = stats.activeLoans;
-  document.getElementById('stat-returned').textContent= stats.returnedLoans;
-  document.getElementById('stat-overdue').textContent = stats.overdueCount === 0 ? 'None' : `${stats.overdueCount} overdue`;
+// What changed on an update; every field of a row created or deleted
+function auditChanges({ before, after }) {
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys
+    .filter(k => !(before && after) || JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+    .map(k => before && after
+      ? `<li><b>${esc(k)}</b>: ${esc(auditValue(before[k]))} → ${esc(auditValue(after[k]))}</li>`
+      : `<li><b>${esc(k)}</b>: ${esc(auditValue((after || before)[k]))}</li>`)
+    .join('');
+}
 
-  const topList = document.getElementById('top-books-list');
-  topList.innerHTML = '';
-  if (!stats.topBooks.length) {
-    topList.innerHTML = '<li>No borrowing records yet</li>';
-  } else {
-    stats.topBooks.forEach(b => {
-      const li = document.createElement('li');
-      li.textContent = `${b.title} — ${b.borrow_count}×`;
-      topList.appendChild(li);
-    });
-  }
+function renderActivity() {
+  renderUndoList();
+  const { rows, total } = fetchViewPage('activity', activityQuery());
+  renderViewControls('activity', total);
+  const tbody = document.querySelector('#activity-table tbody');
+  if (!tbody) return;
 
-  const dueList = document.getElementById('due-today-list');
-  dueList.innerHTML = '';
-  if (!stats.dueToday.length) {
-    dueList.innerHTML = '<li>None due today</li>';
-  } else {
-    stats.dueToday.forEach(r => {
-      const li = document.createElement('li');
-      li.textContent = `${r.title} — ${r.borrower}`;
-      dueList.appendChild(li);
-    });
+  if (!rows.length) {
+    tbody.innerHTML = `<tr><td colspan="4" class="empty-cell">No activity found</td></tr>`;
+    return;
   }
+  tbody.innerHTML = rows.map(entry => {
+    const changes = auditChanges(entry);
+    return `
+      <tr>
+        <td class="audit-when">${fmtDateTime(entry.at)}</td>
+        <td class="hide-sm">${esc(entry.actor) || '—'}</td>
+        <td>${esc(entry.action)} <span class="chip">${esc(DBLib.AUDIT_ENTITIES[entry.entity] || entry.entity)}</span></td>
+        <td>${changes
+          ? `<details class="audit-details"><summary>${esc(entry.summary)}</summary><ul>${changes}</ul></details>`
+          : esc(entry.summary)}</td>
+      </tr>`;
+  }).join('');
+}
 
-  openModal('summary-modal');
+function handleExportActivity() {
+  const view = _views.activity;
+  const rows = DBLib.queryAudit(activityQuery(view)).rows.map(e => [
+    e.at, e.actor, e.action, e.entity, e.entity_id, e.summary,
+    e.before && JSON.stringify(e.before), e.after && JSON.stringify(e.after),
+  ]);
+  CSV.download([
+    ['When (UTC)', 'Staff', 'Action', 'Entity', 'Entity ID', 'Summary', 'Before', 'After'], ...rows,
+  ], exportFilename(view.q || view.entity || view.from || view.to ? 'activity-filtered' : 'activity'));
 }
 
-// ── Delete handlers ────────────────────────────────────────────────────────
+// ── Undo ───────────────────────────────────────────────────────────────────
 
-async function handleDeleteBook(id) {
-  if (!confirm('Delete all copies of this book? This cannot be undone.')) return;
-  try {
-    await DBLib.deleteBook(id);
-    renderBooks();
-    showToast('Book deleted');
-  } catch (err) {
-    showToast(err.message, 'error');
-  }
+function showUndoToast(msg) {
+  showToast(msg, 'success', { label: 'Undo', onClick: () => handleUndo() });
 }
 
-async function handleDeleteCategory(id) {
-  if (!confirm('Delete this category? This cannot be undone.')) return;
+// Steps come off newest first — count > 1 reverses that many in order
+async function handleUndo(count = 1) {
   try {
-    await DBLib.deleteCategory(id);
-    renderConfig();
-    showToast('Category deleted');
+    let step;
+    for (let n = 0; n < count; n++) step = await DBLib.undo();
+    showToast(`Undone: ${step.label}`);
   } catch (err) {
     showToast(err.message, 'error');
   }
+  document.getElementById('demo-banner').style.display = DBLib.getSetting('demo_cleared') ? 'none' : 'flex';
+  loadPage(document.querySelector('.page.active')?.id || 'main-page');
 }
 
-// ── Backup / Restore ───────────────────────────────────────────────────────
-
-function handleBackup() {
-  DB.exportDB('gnoke-library-backup.db');
-}
+// Ctrl/⌘+Z outside a text field
+function setupUndo() {
+  document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.key.toLowerCase() !== 'z') return;
+    if (e.target.closest?.('input, textarea, select, [contenteditable]')) return;
+    if (!DBLib.undoSteps().length) return;
+    e.preventDefault();
+    handleUndo();
+  });
+}
+
+function renderUndoList() {
+  const card  = document.getElementById('undo-card');
+  const list  = document.getElementById('undo-list');
+  const steps = DBLib.undoSteps();
+  if (!card || !list) return;
+  card.style.display = steps.length ? '' : 'none';
+  list.innerHTML = steps.map((step, i) => `
+    <li>
+      <span>${esc(step.label)} <span class="hint">${fmtDateTime(step.at)}</span></span>
+      <button class="btn-outline" onclick="handleUndo(${i + 1})">
+        ↶ Undo${i ? ` this and ${i} newer` : ''}
+      </button>
+    </li>`).join('');
+}
+
+// ── Staff & Sign-in ────────────────────────────────────────────────────────
+
+let _idleTimer;
+
+function setupStaff() {
+  document.getElementById('lock-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    const error = document.getElementById('lock-error');
+    try {
+      const staff = await DBLib.signIn(parseInt(v('lock-staff')), v('lock-pin'));
+      localStorage.setItem('gnoke_last_staff', staff.id);
+      document.getElementById('lock-screen').classList.remove('show');
+      error.textContent = '';
+      renderStaffState();
+      loadPage(document.querySelector('.page.active')?.id || 'main-page');
+      showToast(`Signed in as ${staff.name}`);
+    } catch (err) {
+      error.textContent = err.message;
+    }
+    document.getElementById('lock-pin').value = '';
+  });
+
+  document.getElementById('staff-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    const id  = parseInt(v('staff-id')) || null;
+    const pin = v('staff-pin');
+    try {
+      if (id) {
+        await DBLib.updateStaff(id, {
+          name: v('staff-name'), role: v('staff-role'), active: document.getElementById('staff-active').checked,
+        });
+        if (pin) await DBLib.setStaffPin(id, pin);
+      } else {
+        await DBLib.addStaff({ name: v('staff-name'), role: v('staff-role'), pin });
+      }
+      closeModal('staff-modal');
+      renderStaffState();
+      renderStaffList();
+      showToast(id ? 'Staff account updated ✓' : 'Staff account added ✓');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  document.getElementById('pin-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    if (v('pin-new') !== v('pin-confirm')) return showToast('The two PINs don\'t match', 'error');
+    try {
+      await DBLib.setStaffPin(DBLib.currentStaff().id, v('pin-new'));
+      closeModal('pin-modal');
+      showToast('PIN changed ✓');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  document.getElementById('staff-delete-btn')?.addEventListener('click', () => handleDeleteStaff(parseInt(v('staff-id'))));
+  document.getElementById('setting-lock-after')?.addEventListener('change', async e => {
+    try {
+      await DBLib.saveSetting('lock_after_minutes', e.target.value);
+      resetIdleTimer();
+      showToast('Saved ✓');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+
+  ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, resetIdleTimer, { passive: true }));
+}
+
+function isLocked() {
+  return !!document.getElementById('lock-screen')?.classList.contains('show');
+}
+
+// Signs out and, once staff accounts exist, covers the app until someone signs in
+function lockApp() {
+  DBLib.signOut();
+  clearTimeout(_idleTimer);
+  renderStaffState();
+  if (!DBLib.hasStaff()) return;
+
+  const staff = DBLib.getAllStaff().filter(s => s.active);
+  const last  = localStorage.getItem('gnoke_last_staff');
+  const sel   = document.getElementById('lock-staff');
+  sel.innerHTML = staff.map(s =>
+    `<option value="${s.id}">${esc(s.name)} — ${DBLib.ROLES[s.role].name}</option>`).join('');
+  if (staff.some(s => String(s.id) === last)) sel.value = last;
+  document.getElementById('lock-error').textContent = '';
+  document.getElementById('lock-screen').classList.add('show');
+  document.querySelectorAll('.modal.show').forEach(m => closeModal(m.id));
+  document.getElementById('lock-pin').focus();
+}
+
+function resetIdleTimer() {
+  clearTimeout(_idleTimer);
+  const minutes = parseInt(DBLib.getSetting('lock_after_minutes')) || 0;
+  if (minutes && DBLib.currentStaff()) _idleTimer = setTimeout(lockApp, minutes * 60000);
+}
+
+// Hides whatever the signed-in role can't use — see [data-needs] in style.css
+function renderStaffState() {
+  Object.keys(DBLib.PERMISSIONS).forEach(p => document.body.classList.toggle(`cannot-${p}`, !DBLib.can(p)));
+  const staff = DBLib.currentStaff();
+  const btn   = document.getElementById('staff-btn');
+  if (btn) {
+    btn.style.display = staff ? '' : 'none';
+    btn.textContent   = staff ? `🔒 ${staff.name}` : '';
+  }
+  resetIdleTimer();
+}
+
+function renderStaffList() {
+  const staff = DBLib.currentStaff();
+  const me    = document.getElementById('staff-me');
+  if (me) {
+    me.innerHTML = staff
+      ? `Signed in as <strong>${esc(staff.name)}</strong> (${DBLib.ROLES[staff.role].name}).`
+      : 'No staff accounts yet — anyone using this device can change anything. ' +
+        'Add an Admin account to require a PIN.';
+  }
+  document.getElementById('staff-pin-btn').style.display = staff ? '' : 'none';
+  document.getElementById('setting-lock-after').value = DBLib.getSetting('lock_after_minutes');
+
+  const list = document.getElementById('staff-list');
+  if (!list) return;
+  const all = DBLib.getAllStaff();
+  list.innerHTML = all.length ? all.map(s => `
+    <li class="${s.active ? '' : 'inactive'}">
+      <span>${esc(s.name)} <span class="hint">${DBLib.ROLES[s.role].name}${s.active ? '' : ' · inactive'}</span></span>
+      <div class="cat-actions">
+        <button class="btn-icon btn-edit" onclick="openStaffModal(${s.id})">✏️</button>
+      </div>
+    </li>`).join('') : '<li class="empty-item">No staff accounts yet</li>';
+}
+
+function openStaffModal(id = null) {
+  const staff = id ? DBLib.getAllStaff().find(s => s.id === id) : null;
+  const first = !DBLib.hasStaff();
+  document.getElementById('staff-form').reset();
+  document.getElementById('staff-modal-title').textContent = staff ? 'Edit Staff Account' : 'Add Staff Account';
+  document.getElementById('staff-id').value        = staff?.id || '';
+  document.getElementById('staff-name').value      = staff?.name || '';
+  document.getElementById('staff-role').value      = staff?.role || (first ? 'admin' : 'volunteer');
+  document.getElementById('staff-active').checked  = staff ? !!staff.active : true;
+  document.getElementById('staff-pin').required    = !staff;
+  document.getElementById('staff-pin-label').textContent = staff ? 'New PIN (leave blank to keep)' : 'PIN (4–8 digits)';
+  document.getElementById('staff-active-row').style.display = staff ? '' : 'none';
+  document.getElementById('staff-delete-btn').style.display = staff ? '' : 'none';
+  openModal('staff-modal');
+}
+
+function openPinModal() {
+  document.getElementById('pin-form').reset();
+  openModal('pin-modal');
+}
+
+async function handleDeleteStaff(id) {
+  try {
+    await DBLib.deleteStaff(id);
+    closeModal('staff-modal');
+    renderStaffList();
+    showUndoToast('Staff account deleted');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ── Patrons Page ───────────────────────────────────────────────────────────
+
+let _profilePatronId = null;
+
+function renderPatrons(search = '') {
+  const patrons = search ? DBLib.searchPatrons(search) : DBLib.getAllPatrons();
+  const tbody = document.querySelector('#patrons-table tbody');
+  const count = document.getElementById('patron-count');
+
+  if (count) count.textContent = patrons.length;
+
+  if (!tbody) return;
+  tbody.innerHTML = '';
+
+  if (!patrons.length) {
+    tbody.innerHTML = `<tr><td colspan="9" class="empty-cell">No patrons found</td></tr>`;
+    return renderSelectionButtons();
+  }
+
+  // searchPatrons returns bare rows — fill in loan counts from the full list
+  const counts   = search ? new Map(DBLib.getAllPatrons().map(p => [p.id, p])) : null;
+  const balances = DBLib.getOutstandingBalances();
+
+  patrons.forEach(p => {
+    const c = counts ? counts.get(p.id) : p;
+    const loans = c?.overdue_count
+      ? `${c.active_loans} <span class="status status-overdue">${c.overdue_count} overdue</span>`
+      : (c?.active_loans || 0);
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="num"><input type="checkbox" class="row-select" value="${p.id}"
+        ${_selected.patrons.has(p.id) ? 'checked' : ''} /></td>
+      <td class="book-title"><button class="link-btn" onclick="openPatronProfile(${p.id})">${esc(p.name)}</button></td>
+      <td>${esc(p.member_id)}</td>
+      <td class="hide-sm">${esc(p.department || '—')}</td>
+      <td class="hide-sm">${esc(p.phone || '—')}</td>
+      <td class="center">${loans}</td>
+      <td class="hide-sm">${balances.has(p.id) ? DBLib.formatMoney(balances.get(p.id)) : '—'}</td>
+      <td>${p.active
+        ? '<span class="status status-returned">Active</span>'
+        : '<span class="status status-inactive">Inactive</span>'}</td>
+      <td class="action-cell">
+        <button class="btn-icon btn-edit" title="Profile" onclick="openPatronProfile(${p.id})">👤</button>
+        <button class="btn-icon btn-edit" title="Edit" data-needs="catalogue" onclick="openPatronModal(${p.id})">✏️</button>
+      </td>`;
+    tbody.appendChild(tr);
+  });
+  renderSelectionButtons();
+}
+
+function openPatronProfile(id) {
+  _profilePatronId = id;
+  loadPage('patron-profile-page');
+}
+
+function renderPatronProfile() {
+  const profile = _profilePatronId && DBLib.getPatronProfile(_profilePatronId);
+  if (!profile) return loadPage('patrons-page');
+
+  const { patron, active, history, overdueCount } = profile;
+  const today = DB.today();
+
+  document.getElementById('profile-name').textContent = patron.name;
+  document.getElementById('profile-meta').textContent =
+    `${patron.member_id}${patron.active ? '' : ' · Inactive'}`;
+  document.getElementById('profile-edit-btn').onclick = () => openPatronModal(patron.id);
+  document.getElementById('profile-active').textContent  = active.length;
+  document.getElementById('profile-overdue').textContent = overdueCount;
+  document.getElementById('profile-total').textContent   = history.length;
+  const noticeBtn = document.getElementById('profile-notice-btn');
+  noticeBtn.style.display = overdueCount ? '' : 'none';
+  noticeBtn.onclick = () => handlePrintOverdueNotices(patron.id);
+  renderPatronFines(patron.id);
+
+  const contact = document.getElementById('profile-contact-table');
+  if (contact) {
+    const rows = [
+      ['Class / Dept', patron.department],
+      ['Phone',        patron.phone],
+      ['Email',        patron.email],
+      ['Notes',        patron.notes],
+    ];
+    contact.innerHTML = rows.map(([label, val]) => `
+      <tr><td>${label}</td><td>${esc(val || '—')}</td></tr>`).join('');
+  }
+
+  const statusOf = r => {
+    if (r.return_date && r.note) return `<span class="status status-returned" title="${esc(r.note)}">Closed</span>`;
+    if (r.return_date) return '<span class="status status-returned">Returned</span>';
+    if (r.due_date < today) return '<span class="status status-overdue">Overdue</span>';
+    return '<span class="status status-borrowed">Borrowed</span>';
+  };
+
+  const activeBody = document.querySelector('#profile-active-table tbody');
+  if (activeBody) {
+    activeBody.innerHTML = active.length ? active.map(r => `
+      <tr class="${r.due_date < today ? 'overdue' : ''}">
+        <td class="book-title">${esc(r.book_title)}</td>
+        <td class="hide-sm">${fmtDate(r.date_out)}</td>
+        <td>${fmtDate(r.due_date)}</td>
+        <td>${statusOf(r)}</td>
+      </tr>`).join('')
+      : '<tr><td colspan="4" class="empty-cell">Nothing on loan</td></tr>';
+  }
+
+  const holdsList = document.getElementById('profile-holds-list');
+  if (holdsList) {
+    holdsList.innerHTML = profile.holds.length ? profile.holds.map(h => `
+      <li>${esc(h.book_title)} — ${h.status === 'ready'
+        ? `on the hold shelf until ${fmtDate(h.expires_on)}`
+        : `waiting, position ${h.queue_position}`}
+        <button class="btn-icon btn-del" title="Cancel hold" onclick="handleCancelHold(${h.id})">✕</button>
+      </li>`).join('')
+      : '<li>No open holds</li>';
+  }
+
+  const historyBody = document.querySelector('#profile-history-table tbody');
+  if (historyBody) {
+    historyBody.innerHTML = history.length ? history.map(r => `
+      <tr>
+        <td class="book-title">${esc(r.book_title)}</td>
+        <td class="hide-sm">${fmtDate(r.date_out)}</td>
+        <td>${fmtDate(r.due_date)}</td>
+        <td class="hide-sm">${r.return_date ? fmtDate(r.return_date) : '—'}</td>
+        <td>${statusOf(r)}</td>
+      </tr>`).join('')
+      : '<tr><td colspan="5" class="empty-cell">No loans yet</td></tr>';
+  }
+}
+
+function renderPatronFines(patronId) {
+  const balance = DBLib.getPatronBalance(patronId);
+  const fines   = DBLib.getPatronFines(patronId);
+
+  document.getElementById('profile-balance').textContent = DBLib.formatMoney(balance.outstanding);
+  document.getElementById('profile-pay-btn').onclick     = () => handlePatronPayment(patronId);
+  document.getElementById('profile-accruing').textContent = balance.accruing
+    ? `Accruing on overdue loans: ${DBLib.formatMoney(balance.accruing)} (charged when returned)` : '';
+
+  const tbody = document.querySelector('#profile-fines-table tbody');
+  if (!tbody) return;
+  if (!fines.length) {
+    tbody.innerHTML = '<tr><td colspan="7" class="empty-cell">No fines</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = fines.map(f => {
+    const history = DBLib.getFinePayments(f.id)
+      .map(p => `${fmtDate(p.paid_on)} ${p.kind} ${DBLib.formatMoney(p.amount)}${p.note ? ` — ${p.note}` : ''}`)
+      .join('\n');
+    return `
+      <tr>
+        <td>${fmtDate(f.assessed_on)}</td>
+        <td class="book-title">${esc(f.book_title || '—')}<div class="cell-note">${esc(f.reason)}</div></td>
+        <td class="hide-sm center">${f.days_late}</td>
+        <td class="center">${DBLib.formatMoney(f.amount)}</td>
+        <td class="hide-sm center" title="${esc(history)}">
+          ${DBLib.formatMoney(f.paid)} / ${DBLib.formatMoney(f.waived)}
+        </td>
+        <td class="center ${f.outstanding > 0 ? 'avail-none' : ''}">${DBLib.formatMoney(f.outstanding)}</td>
+        <td class="action-cell">${f.outstanding > 0 ? `
+          <button class="btn-icon btn-edit" title="Record payment" onclick="handlePayFine(${f.id})">💵</button>
+          <button class="btn-icon btn-del" title="Waive" data-needs="catalogue" onclick="handleWaiveFine(${f.id})">🧾</button>` : ''}
+        </td>
+      </tr>`;
+  }).join('');
+}
+
+async function handlePayFine(fineId) {
+  const input = prompt('Amount paid:');
+  if (input === null) return;
+  try {
+    await DBLib.payFine(fineId, parseFloat(input));
+    renderPatronProfile();
+    showToast('Payment recorded ✓');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleWaiveFine(fineId) {
+  const reason = prompt('Reason for waiving this fine:');
+  if (reason === null) return;
+  const amount = prompt('Amount to waive (leave blank to waive all that is owed):');
+  if (amount === null) return;
+  try {
+    await DBLib.waiveFine(fineId, { reason, amount: amount.trim() ? parseFloat(amount) : null });
+    renderPatronProfile();
+    showToast('Fine waived ✓');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handlePatronPayment(patronId) {
+  const { outstanding } = DBLib.getPatronBalance(patronId);
+  if (!outstanding) return showToast('Nothing is owed', 'error');
+  const input = prompt(`Amount received (owed: ${DBLib.formatMoney(outstanding)}):`);
+  if (input === null) return;
+  try {
+    const res = await DBLib.payPatronBalance(patronId, parseFloat(input));
+    renderPatronProfile();
+    showToast(res.change > 0
+      ? `Payment recorded — give back ${DBLib.formatMoney(res.change)} change`
+      : 'Payment recorded ✓');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+function openPatronModal(id = null) {
+  const patron = id ? DBLib.getPatron(id) : null;
+  if (id && !patron) return showToast('Patron not found', 'error');
+
+  document.getElementById('patron-form').reset();
+  document.getElementById('patron-modal-title').textContent = patron ? 'Edit Patron' : 'Add Patron';
+  document.getElementById('patron-id').value         = patron?.id || '';
+  document.getElementById('patron-name').value       = patron?.name || '';
+  document.getElementById('patron-member-id').value  = patron?.member_id || '';
+  document.getElementById('patron-phone').value      = patron?.phone || '';
+  document.getElementById('patron-email').value      = patron?.email || '';
+  document.getElementById('patron-department').value = patron?.department || '';
+  document.getElementById('patron-notes').value      = patron?.notes || '';
+  document.getElementById('patron-active').checked   = patron ? !!patron.active : true;
+  document.getElementById('patron-active-row').style.display = patron ? '' : 'none';
+  document.getElementById('patron-delete-btn').style.display = patron ? '' : 'none';
+  openModal('patron-modal');
+}
+
+function refreshPatronViews() {
+  const active = document.querySelector('.page.active')?.id;
+  if (active === 'patrons-page') renderPatrons(v('search-patrons'));
+  if (active === 'patron-profile-page') renderPatronProfile();
+  if (active === 'return-page') { renderBorrowPatronSelect(v('borrow-patron-search')); renderReturnForm(); }
+}
+
+// ── Modals ─────────────────────────────────────────────────────────────────
+
+function setupModals() {
+  // Close on backdrop click
+  document.querySelectorAll('.modal').forEach(modal => {
+    modal.addEventListener('click', e => {
+      if (e.target === modal) closeModal(modal.id);
+    });
+  });
+}
+
+function openModal(id) {
+  const m = document.getElementById(id);
+  if (m) m.classList.add('show');
+}
+
+function closeModal(id) {
+  const m = document.getElementById(id);
+  if (m) m.classList.remove('show');
+  // However the scanner is dismissed, the camera must go off
+  if (id === 'scan-modal') stopScanner();
+  // ...and a waiting askPassword() hears it was cancelled
+  if (id === 'password-modal') _passwordAnswer?.(null);
+  // ...and a backup that wasn't used is let go
+  if (id === 'restore-modal') { _restoreBackup?.close(); _restoreBackup = null; }
+  // ...and transfers stop looping codes or watching for them
+  if (id === 'transfer-modal') stopTransferSend();
+  if (id === 'receive-modal') stopTransferReceive();
+}
+
+function openEditBookModal(id) {
+  const book = DBLib.getBook(id);
+  if (!book) return showToast('Book not found', 'error');
+  renderCategorySelects();
+  document.getElementById('edit-book-id').value    = book.id;
+  document.getElementById('edit-book-title').value  = book.title;
+  document.getElementById('edit-book-author').value = book.author;
+  document.getElementById('edit-book-not-for-loan').checked = !!book.not_for_loan;
+  setTimeout(() => {
+    document.getElementById('edit-book-category').value = book.category;
+  }, 50);
+  openModal('edit-book-modal');
+}
+
+// ── Copies (items) ─────────────────────────────────────────────────────────
+
+let _itemsBookId = null;
+
+function openItemsModal(bookId) {
+  const book = DBLib.getBook(bookId);
+  if (!book) return showToast('Book not found', 'error');
+  _itemsBookId = bookId;
+  document.getElementById('items-modal-title').textContent = `Copies — ${book.title}`;
+  renderItems();
+  openModal('items-modal');
+}
+
+function itemStatusBadge(status) {
+  const cls = {
+    available: 'status-returned',
+    on_loan:   'status-borrowed',
+    lost:      'status-overdue',
+  }[status] || 'status-inactive';
+  return `<span class="status ${cls}">${DBLib.ITEM_STATUSES[status] || esc(status)}</span>`;
+}
+
+function renderItems() {
+  const tbody = document.querySelector('#items-table tbody');
+  if (!tbody || !_itemsBookId) return;
+  const items = DBLib.getItems(_itemsBookId);
+
+  if (!items.length) {
+    tbody.innerHTML = `<tr><td colspan="6" class="empty-cell">No copies — add one below</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = items.map(item => `
+    <tr>
+      <td class="book-title">${esc(item.accession_no)}</td>
+      <td class="hide-sm">${esc(item.barcode || '—')}</td>
+      <td class="hide-sm">${esc(item.condition)}</td>
+      <td class="hide-sm">${esc(item.location || '—')}</td>
+      <td>${itemStatusBadge(item.status)}${item.borrower
+        ? `<div class="cell-note">${esc(item.borrower)} · due ${fmtDate(item.due_date)}</div>` : ''}</td>
+      <td class="action-cell">
+        <button class="btn-icon btn-edit" title="Edit" data-needs="catalogue" onclick="openItemModal(${item.id})">✏️</button>
+      </td>
+    </tr>`).join('');
+}
+
+function openItemModal(id) {
+  const item = DBLib.getItem(id);
+  if (!item) return showToast('Copy not found', 'error');
+
+  const condSel = document.getElementById('item-condition');
+  condSel.innerHTML = DBLib.ITEM_CONDITIONS.map(c => `<option value="${c}">${c}</option>`).join('');
+  // on_loan is set by Borrow/Return only — offer it just to show the current state
+  const statusSel = document.getElementById('item-status');
+  statusSel.innerHTML = Object.entries(DBLib.ITEM_STATUSES)
+    .filter(([key]) => key !== 'on_loan' || item.status === 'on_loan')
+    .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+
+  document.getElementById('item-modal-title').textContent = `Copy #${item.accession_no}`;
+  document.getElementById('item-id').value       = item.id;
+  document.getElementById('item-barcode').value  = item.barcode || '';
+  document.getElementById('item-location').value = item.location || '';
+  document.getElementById('item-notes').value    = item.notes || '';
+  condSel.value   = item.condition;
+  statusSel.value = item.status;
+  statusSel.disabled = item.status === 'on_loan';
+  openModal('item-modal');
+}
+
+function openEditCategoryModal(id, name) {
+  document.getElementById('edit-category-id').value         = id;
+  document.getElementById('edit-category-name-input').value = name;
+  openModal('edit-category-modal');
+}
+
+// ── Summary Modal ──────────────────────────────────────────────────────────
+
+function openSummaryModal() {
+  const stats = DBLib.getStats();
+
+  document.getElementById('stat-titles').textContent  = stats.totalTitles;
+  document.getElementById('stat-copies').textContent  = stats.totalCopies;
+  document.getElementById('stat-active').textContent  = stats.activeLoans;
+  document.getElementById('stat-returned').textContent= stats.returnedLoans;
+  document.getElementById('stat-overdue').textContent = stats.overdueCount === 0 ? 'None' : `${stats.overdueCount} overdue`;
+
+  const topList = document.getElementById('top-books-list');
+  topList.innerHTML = '';
+  if (!stats.topBooks.length) {
+    topList.innerHTML = '<li>No borrowing records yet</li>';
+  } else {
+    stats.topBooks.forEach(b => {
+      const li = document.createElement('li');
+      li.textContent = `${b.title} — ${b.borrow_count}×`;
+      topList.appendChild(li);
+    });
+  }
+
+  const dueList = document.getElementById('due-today-list');
+  dueList.innerHTML = '';
+  if (!stats.dueToday.length) {
+    dueList.innerHTML = '<li>None due today</li>';
+  } else {
+    stats.dueToday.forEach(r => {
+      const li = document.createElement('li');
+      li.textContent = `${r.title} — ${r.borrower}`;
+      dueList.appendChild(li);
+    });
+  }
+
+  openModal('summary-modal');
+}
+
+// ── Reports ────────────────────────────────────────────────────────────────
+
+const REPORT_GROUP_NAMES = { day: 'Day', week: 'Week', month: 'Month' };
+
+// First day of the month `back` months before this one
+function monthStart(back = 0) {
+  const [y, m] = DB.today().split('-').map(Number);
+  const d = new Date(y, m - 1 - back, 1);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-01`;
+}
+
+// The view's range chip, or its own dates → { from, to, group }
+function reportQuery(view = _views.reports) {
+  const today = DB.today();
+  const { from, to } = {
+    'this-month':     { from: monthStart(0), to: today },
+    'last-month':     { from: monthStart(1), to: DB.addDays(monthStart(0), -1) },
+    'this-year':      { from: `${today.slice(0, 4)}-01-01`, to: today },
+    'last-12-months': { from: monthStart(11), to: today },
+  }[view.range] || { from: view.from || monthStart(0), to: view.to || today };
+  // Left to itself: days for a month, weeks up to half a year, then months
+  const span  = DB.daysBetween(from, to);
+  const group = view.group || (span <= 31 ? 'day' : span <= 183 ? 'week' : 'month');
+  return { from, to, group };
+}
+
+function periodLabel(period, group) {
+  const [y, m, d = 1] = period.split('-').map(Number);
+  const date = new Date(y, m - 1, d);
+  return group === 'month'
+    ? date.toLocaleDateString('en-NG', { month: 'short', year: '2-digit' })
+    : date.toLocaleDateString('en-NG', { day: 'numeric', month: 'short' });
+}
+
+function fmtPercent(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+function setupReports() {
+  ['reports-from', 'reports-to'].forEach(id =>
+    document.getElementById(id)?.addEventListener('change', () => {
+      setView('reports', { range: 'custom', from: v('reports-from'), to: v('reports-to') });
+    }));
+}
+
+function renderReports() {
+  renderViewControls('reports', 0);
+  const box = document.getElementById('report');
+  if (!box) return;
+  const query = reportQuery();
+  document.getElementById('reports-from').value = query.from;
+  document.getElementById('reports-to').value   = query.to;
+  try {
+    box.innerHTML = reportHTML(DBLib.getReport(query));
+  } catch (err) {
+    box.innerHTML = `<p class="hint">${esc(err.message)}</p>`;
+  }
+}
+
+function reportHTML(r) {
+  const per    = REPORT_GROUP_NAMES[r.group].toLowerCase();
+  const labels = r.series.map(p => periodLabel(p.period, r.group));
+  const titles = (list, empty) => list.length ? `
+    <table class="report-table">
+      <thead><tr><th>Title</th><th class="hide-sm">Author</th><th class="num">Loans</th></tr></thead>
+      <tbody>${list.map(t => `
+        <tr><td>${esc(t.title)}</td><td class="hide-sm">${esc(t.author)}</td><td class="num">${t.loans}</td></tr>`).join('')}
+      </tbody>
+    </table>` : `<p class="hint">${empty}</p>`;
+
+  return `
+    <p class="report-range">${fmtDate(r.from)} – ${fmtDate(r.to)}</p>
+    <div class="stats-grid">
+      ${[
+        ['Loans', r.totals.loans], ['Returns', r.totals.returns], ['Borrowers', r.totals.borrowers],
+        ['Average Loan', r.avgLoanDays === null ? '—' : `${r.avgLoanDays} d`], ['Returned On Time', fmtPercent(r.onTimeRate)],
+      ].map(([label, val]) => `
+        <div class="stat-card">
+          <span class="stat-label">${label}</span>
+          <span class="stat-val">${val}</span>
+        </div>`).join('')}
+    </div>
+    <div class="report-grid">
+      <section class="form-card report-section report-wide">
+        <h2 class="card-title">Loans &amp; Returns by ${REPORT_GROUP_NAMES[r.group]}</h2>
+        ${Charts.columns({ labels, series: [
+          { name: 'Loans', values: r.series.map(p => p.loans) },
+          { name: 'Returns', values: r.series.map(p => p.returns) },
+        ] })}
+      </section>
+      <section class="form-card report-section report-wide">
+        <h2 class="card-title">Borrowers by ${REPORT_GROUP_NAMES[r.group]}</h2>
+        <p class="hint">Different people who borrowed at least once that ${per}.</p>
+        ${Charts.columns({ labels, series: [{ name: 'Borrowers', values: r.series.map(p => p.borrowers) }], height: 160 })}
+      </section>
+      <section class="form-card report-section">
+        <h2 class="card-title">Busiest Weekdays</h2>
+        ${Charts.columns({ labels: r.weekdays.map(w => w.day), series: [{ name: 'Loans', values: r.weekdays.map(w => w.loans) }], height: 180 })}
+      </section>
+      <section class="form-card report-section">
+        <h2 class="card-title">Loans by Category</h2>
+        ${r.byCategory.length
+          ? Charts.bars(r.byCategory.map(c => ({ label: c.category, value: c.loans })))
+          : '<p class="hint">No loans in this period.</p>'}
+      </section>
+      <section class="form-card report-section">
+        <h2 class="card-title">Most Borrowed</h2>
+        ${titles(r.mostBorrowed, 'No loans in this period.')}
+      </section>
+      <section class="form-card report-section">
+        <h2 class="card-title">Least Borrowed</h2>
+        <p class="hint">Titles with a copy on the shelf, fewest loans first.</p>
+        ${titles(r.leastBorrowed, 'No titles yet.')}
+      </section>
+    </div>`;
+}
+
+function handlePrintReport() {
+  let html;
+  try {
+    html = reportHTML(DBLib.getReport(reportQuery()));
+  } catch (err) {
+    return showToast(err.message, 'error');
+  }
+  document.getElementById('print-area').innerHTML =
+    `<div class="print-report report"><h1>Library Report</h1>${html}</div>`;
+  window.print();
+}
+
+function handleExportReport() {
+  let r;
+  try {
+    r = DBLib.getReport(reportQuery());
+  } catch (err) {
+    return showToast(err.message, 'error');
+  }
+  CSV.download([
+    ['Library Report', r.from, r.to],
+    [],
+    ['Metric', 'Value'],
+    ['Loans', r.totals.loans],
+    ['Returns', r.totals.returns],
+    ['Different borrowers', r.totals.borrowers],
+    ['Average loan (days)', r.avgLoanDays ?? ''],
+    ['Returned on time', fmtPercent(r.onTimeRate)],
+    [],
+    [REPORT_GROUP_NAMES[r.group] + ' starting', 'Loans', 'Returns', 'Borrowers'],
+    ...r.series.map(p => [r.group === 'month' ? `${p.period}-01` : p.period, p.loans, p.returns, p.borrowers]),
+    [],
+    ['Weekday', 'Loans'],
+    ...r.weekdays.map(w => [w.day, w.loans]),
+    [],
+    ['Category', 'Loans'],
+    ...r.byCategory.map(c => [c.category, c.loans]),
+    [],
+    ['Most borrowed', 'Author', 'Loans'],
+    ...r.mostBorrowed.map(t => [t.title, t.author, t.loans]),
+    [],
+    ['Least borrowed', 'Author', 'Loans'],
+    ...r.leastBorrowed.map(t => [t.title, t.author, t.loans]),
+  ], `gnoke-library-report-${r.from}-to-${r.to}.csv`);
+}
+
+// ── Collection Health ──────────────────────────────────────────────────────
+
+const HEALTH_LIST_LIMIT = 100;   // rows shown per list — the CSV has them all
+
+function healthQuery(view = _views.collection) {
+  return { months: parseInt(view.months) || 12 };
+}
+
+function renderCollection() {
+  renderViewControls('collection', 0);
+  const box = document.getElementById('collection');
+  if (!box) return;
+  try {
+    box.innerHTML = collectionHTML(DBLib.getCollectionHealth(healthQuery()));
+  } catch (err) {
+    box.innerHTML = `<p class="hint">${esc(err.message)}</p>`;
+  }
+}
+
+function fmtDays(days) {
+  if (days === null) return '—';
+  return days < 60 ? `${days} d` : days < 730 ? `${Math.round(days / 30.4)} mo` : `${Math.round(days / 36.5) / 10} yr`;
+}
+
+function collectionHTML(h) {
+  const section = (key, list, title, hint, head, row, empty) => `
+    <section class="form-card report-section report-wide">
+      <div class="report-section-head">
+        <h2 class="card-title">${title} <span class="report-count">${list.length}</span></h2>
+        ${list.length ? `<button class="btn-outline" onclick="handleExportHealth('${key}')">⬇ CSV</button>` : ''}
+      </div>
+      <p class="hint">${hint}</p>
+      ${list.length ? `
+        <div class="table-wrap">
+          <table class="report-table">
+            <thead><tr>${head}</tr></thead>
+            <tbody>${list.slice(0, HEALTH_LIST_LIMIT).map(row).join('')}</tbody>
+          </table>
+        </div>
+        ${list.length > HEALTH_LIST_LIMIT
+          ? `<p class="hint">…and ${list.length - HEALTH_LIST_LIMIT} more — the CSV has the full list.</p>` : ''}`
+        : `<p class="hint">${empty}</p>`}
+    </section>`;
+  const titleCells = t => `<td>${esc(t.title)}</td><td class="hide-sm">${esc(t.author)}</td>`;
+  const withdraw = t => `<td class="action-cell">
+    <button class="btn-icon btn-del" title="Withdraw" data-needs="catalogue" onclick="handleWithdrawBook(${t.id})">🗄️</button></td>`;
+  const span = `${h.months} months`;
+
+  return `
+    <p class="report-range">${fmtDate(h.since)} – ${fmtDate(h.to)}</p>
+    <div class="stats-grid">
+      ${[
+        ['Titles', h.totals.titles], ['Never Borrowed', h.neverBorrowed.length],
+        [`Idle ${span}`, h.dormant.length], ['In Demand', h.inDemand.length],
+        ['Since Last Loan', h.avgDaysSinceLoan === null ? '—' : `${fmtDays(h.avgDaysSinceLoan)} avg`],
+      ].map(([label, val]) => `
+        <div class="stat-card">
+          <span class="stat-label">${label}</span>
+          <span class="stat-val">${val}</span>
+        </div>`).join('')}
+    </div>
+    <div class="report-grid">
+      ${section('inDemand', h.inDemand, 'In Demand',
+        `Every copy out on at least half the days of the last ${span}, or more holds than copies — worth buying another.`,
+        '<th>Title</th><th class="hide-sm">Author</th><th class="num">Copies</th><th class="num">All Out</th><th class="num">Loans</th><th class="num">Holds</th>',
+        t => `<tr>${titleCells(t)}<td class="num">${t.owned}</td><td class="num">${fmtPercent(t.allOutShare)}</td>
+          <td class="num">${t.recentLoans}</td><td class="num">${t.holdsPlaced}${t.waiting ? ` <span class="cell-note">${t.waiting} waiting</span>` : ''}</td></tr>`,
+        'Nothing is in short supply.')}
+      ${section('neverBorrowed', h.neverBorrowed, 'Never Borrowed',
+        'Titles no one has taken out — candidates for weeding, or for a display.',
+        '<th>Title</th><th class="hide-sm">Author</th><th class="hide-sm">Category</th><th class="num">Copies</th><th></th>',
+        t => `<tr>${titleCells(t)}<td class="hide-sm">${esc(t.category)}</td><td class="num">${t.owned}</td>${withdraw(t)}</tr>`,
+        'Every title has been borrowed at least once.')}
+      ${section('dormant', h.dormant, `Not Borrowed in ${span}`,
+        'Borrowed before, but not since — longest idle first.',
+        '<th>Title</th><th class="hide-sm">Author</th><th>Last Loan</th><th class="num">Loans</th><th class="num">Copies</th><th></th>',
+        t => `<tr>${titleCells(t)}<td>${fmtDate(t.lastLoan)}</td><td class="num">${t.loans}</td><td class="num">${t.owned}</td>${withdraw(t)}</tr>`,
+        `Everything borrowed before has gone out again in the last ${span}.`)}
+      <section class="form-card report-section report-wide">
+        <div class="report-section-head">
+          <h2 class="card-title">Category Balance</h2>
+          ${h.categories.length ? `<button class="btn-outline" onclick="handleExportHealth('categories')">⬇ CSV</button>` : ''}
+        </div>
+        <p class="hint">Each category's share of the copies against its share of the last ${span}' loans.</p>
+        ${h.categories.length ? `
+          ${Charts.columns({ labels: h.categories.map(c => c.category), series: [
+            { name: '% of copies', values: h.categories.map(c => Math.round(c.copyShare * 100)) },
+            { name: '% of loans', values: h.categories.map(c => Math.round(c.loanShare * 100)) },
+          ] })}
+          <div class="table-wrap">
+            <table class="report-table">
+              <thead><tr><th>Category</th><th class="num">Titles</th><th class="num">Copies</th><th class="num">Loans</th>
+                <th class="num">Copies %</th><th class="num">Loans %</th><th class="num hide-sm">Since Last Loan</th></tr></thead>
+              <tbody>${h.categories.map(c => `
+                <tr><td>${esc(c.category)}</td><td class="num">${c.titles}</td><td class="num">${c.copies}</td>
+                  <td class="num">${c.loans}</td><td class="num">${fmtPercent(c.copyShare)}</td>
+                  <td class="num">${fmtPercent(c.loanShare)}</td><td class="num hide-sm">${fmtDays(c.avgDaysSinceLoan)}</td></tr>`).join('')}
+              </tbody>
+            </table>
+          </div>` : '<p class="hint">No titles yet.</p>'}
+      </section>
+      ${section('withdrawn', h.withdrawn, 'Withdrawn',
+        'Weeded titles keep their loan history. Returning one puts the copies withdrawn with it back on the shelf.',
+        '<th>Title</th><th class="hide-sm">Author</th><th>Withdrawn</th><th class="hide-sm">Reason</th><th></th>',
+        t => `<tr>${titleCells(t)}<td>${fmtDate(t.withdrawn_on)}</td><td class="hide-sm">${esc(t.withdrawn_reason || '—')}</td>
+          <td class="action-cell"><button class="btn-icon btn-edit" title="Return to the collection" data-needs="catalogue"
+            onclick="handleReinstateBook(${t.id})">↩️</button></td></tr>`,
+        'No titles have been withdrawn.')}
+    </div>`;
+}
+
+function handleExportHealth(key) {
+  const h = DBLib.getCollectionHealth(healthQuery());
+  const titles = (list, columns, cells) => [['Title', 'Author', 'Category', ...columns],
+    ...list.map(t => [t.title, t.author, t.category, ...cells(t)])];
+  const rows = {
+    inDemand: titles(h.inDemand, ['Copies', 'All copies out', 'Loans', 'Holds placed', 'Waiting now'],
+      t => [t.owned, fmtPercent(t.allOutShare), t.recentLoans, t.holdsPlaced, t.waiting]),
+    neverBorrowed: titles(h.neverBorrowed, ['Copies', 'Available'], t => [t.owned, t.available]),
+    dormant: titles(h.dormant, ['Last loan', 'Days since', 'Loans ever', 'Copies'],
+      t => [t.lastLoan, t.daysSinceLoan, t.loans, t.owned]),
+    categories: [['Category', 'Titles', 'Copies', 'Loans', 'Share of copies', 'Share of loans', 'Avg days since last loan'],
+      ...h.categories.map(c => [c.category, c.titles, c.copies, c.loans, fmtPercent(c.copyShare),
+                                fmtPercent(c.loanShare), c.avgDaysSinceLoan ?? ''])],
+    withdrawn: titles(h.withdrawn, ['Withdrawn', 'Reason'], t => [t.withdrawn_on, t.withdrawn_reason]),
+  }[key];
+  if (!rows) return;
+  CSV.download([[`Collection health — last ${h.months} months`, h.since, h.to], [], ...rows],
+    exportFilename(`collection-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`));
+}
+
+async function handleWithdrawBook(id) {
+  const book = DBLib.getBook(id);
+  if (!book) return showToast('Book not found', 'error');
+  const reason = prompt(`Withdraw “${book.title}” from the collection? Its loan history is kept.\n\nReason (optional):`);
+  if (reason === null) return;
+  try {
+    const { cancelledHolds } = await DBLib.withdrawBook(id, { reason });
+    refreshCollectionViews();
+    showUndoToast(`“${book.title}” withdrawn${cancelledHolds
+      ? ` — ${cancelledHolds} hold${cancelledHolds === 1 ? '' : 's'} cancelled` : ''}`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleReinstateBook(id) {
+  try {
+    const book = await DBLib.reinstateBook(id);
+    refreshCollectionViews();
+    showToast(`“${book.title}” is back in the collection — ${book.available} cop${book.available === 1 ? 'y' : 'ies'} on the shelf`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+function refreshCollectionViews() {
+  if (document.querySelector('.page.active')?.id === 'collection-page') renderCollection();
+  renderBooks();
+}
+
+// ── Delete handlers ────────────────────────────────────────────────────────
+
+async function handleDeleteBook(id) {
+  try {
+    await DBLib.deleteBook(id);
+    renderBooks();
+    showUndoToast('Book deleted');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleDeleteItem(id) {
+  try {
+    await DBLib.deleteItem(id);
+    closeModal('item-modal');
+    renderItems();
+    renderBooks();
+    showUndoToast('Copy deleted');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleDeleteCategory(id) {
+  try {
+    await DBLib.deleteCategory(id);
+    renderConfig();
+    showUndoToast('Category deleted');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleDeletePatron(id) {
+  try {
+    await DBLib.deletePatron(id);
+    closeModal('patron-modal');
+    if (_profilePatronId === id) _profilePatronId = null;
+    refreshPatronViews();
+    showUndoToast('Patron deleted');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// ── Renewals ───────────────────────────────────────────────────────────────
+
+async function handleRenewLoan(borrowId) {
+  let res;
+  try {
+    res = await DBLib.renewLoan(borrowId);
+  } catch (err) {
+    if (err.code !== 'LOAN_OVERDUE') return showToast(err.message, 'error');
+    if (!confirm(`${err.message}\n\nRenew anyway as a librarian override?`)) return;
+    try {
+      res = await DBLib.renewLoan(borrowId, { override: true });
+    } catch (err2) {
+      return showToast(err2.message, 'error');
+    }
+  }
+  renderHistory();
+  handleBorrowerChange();
+  showToast(`Renewed — now due ${fmtDate(res.newDue)} ✓`);
+}
+
+// ── Barcode Scanning ───────────────────────────────────────────────────────
+
+let _scanner = null;   // { stop } while the camera is running
+
+async function openScanner() {
+  const status = document.getElementById('scan-status');
+  status.textContent = 'Starting camera…';
+  openModal('scan-modal');
+  try {
+    _scanner = await Barcode.startCamera(document.getElementById('scan-video'), hit => {
+      _scanner = null;
+      navigator.vibrate?.(60);
+      closeModal('scan-modal');
+      handleScannedCode(hit.text);
+    });
+    // Closed while the camera was still starting up
+    if (!document.getElementById('scan-modal').classList.contains('show')) stopScanner();
+    status.textContent = 'Hold the barcode flat and steady across the red line.';
+  } catch (err) {
+    status.textContent = err.name === 'NotAllowedError'
+      ? 'Camera permission was refused — allow it in the browser settings, or use a USB scanner.'
+      : `Camera unavailable: ${err.message}`;
+  }
+}
+
+function stopScanner() {
+  _scanner?.stop();
+  _scanner = null;
+}
+
+// A code from the camera or a USB scanner — what it does depends on the page
+function handleScannedCode(code) {
+  if (isLocked()) return;
+  const page = document.querySelector('.page.active')?.id;
+  const hit  = DBLib.findByCode(code);
+
+  if (page === 'config-page') return scanIntoAddBook(code, hit);
+  if (page === 'return-page') return scanIntoCirculation(code, hit);
+
+  if (!hit || hit.type === 'isbn') return showToast(`No match for “${code}”`, 'error');
+  if (hit.type === 'patron') return openPatronProfile(hit.patron.id);
+  // A copy or a title — show it in the catalogue
+  loadPage('main-page');
+  const search = document.getElementById('search-books');
+  search.value = hit.type === 'item' ? code : ISBN.format(hit.book.isbn);
+  setView('books', { q: search.value }, { reset: true });
+}
+
+function scanIntoAddBook(code, hit) {
+  const parsed = ISBN.parse(code);
+  if (!parsed) return showToast(`“${code}” isn't an ISBN`, 'error');
+
+  document.getElementById('add-isbn').value = ISBN.format(code);
+  renderIsbnHint();
+  if (hit?.type === 'book') {
+    // Already catalogued — fill in the rest so saving just adds copies
+    document.getElementById('add-book-title').value    = hit.book.title;
+    document.getElementById('add-author').value        = hit.book.author;
+    document.getElementById('add-book-category').value = hit.book.category;
+    const n = hit.book.owned;
+    showToast(`Already catalogued: ${hit.book.title} (${n} cop${n === 1 ? 'y' : 'ies'}) — saving adds more`);
+  } else {
+    document.getElementById('add-book-title').focus();
+  }
+}
+
+function scanIntoCirculation(code, hit) {
+  if (!hit) return showToast(`No copy, patron or title matches “${code}”`, 'error');
+
+  if (hit.type === 'isbn') {
+    return showToast(`ISBN ${ISBN.format(hit.isbn)} isn't in the catalogue yet`, 'error');
+  }
+
+  if (hit.type === 'patron') {
+    const p = hit.patron;
+    if (!p.active) return showToast(`${p.name} is inactive`, 'error');
+    document.getElementById('borrow-patron-search').value = '';
+    renderBorrowPatronSelect();
+    document.getElementById('borrow-patron-select').value = p.id;
+    // Bringing books back? Their loans are ready in the return form too.
+    const returnSel = document.getElementById('return-borrower-select');
+    if ([...returnSel.options].some(o => o.value === String(p.id))) {
+      returnSel.value = p.id;
+      handleBorrowerChange();
+    }
+    return showToast(`Patron: ${p.name} · ${p.member_id}`);
+  }
+
+  if (hit.type === 'item' && hit.item.status === 'on_loan') {
+    const loan = DBLib.getActiveBorrows().find(b => b.item_id === hit.item.id);
+    if (!loan) return showToast(`Copy ${hit.item.accession_no} has no open loan`, 'error');
+    document.getElementById('return-borrower-select').value = loan.patron_id;
+    handleBorrowerChange();
+    document.getElementById('return-book-select').value = loan.id;
+    renderReturnLoanInfo();
+    return showToast(`Return: ${loan.book_title} — ${loan.borrower}`);
+  }
+
+  if (hit.type === 'item' && !['available', 'on_hold'].includes(hit.item.status)) {
+    return showToast(`Copy ${hit.item.accession_no} is ${DBLib.ITEM_STATUSES[hit.item.status].toLowerCase()}`, 'error');
+  }
+
+  // A copy on the shelf (or hold shelf), or a title by ISBN → borrow form
+  const bookSel = document.getElementById('borrow-book-select');
+  bookSel.value = hit.book.id;
+  renderBorrowItemSelect();
+  applyBorrowPolicy();
+  if (hit.type === 'item' && hit.item.status === 'available') {
+    document.getElementById('borrow-item-select').value = hit.item.id;
+  }
+  showToast(`Borrow: ${hit.book.title}${hit.type === 'item' ? ` · #${hit.item.accession_no}` : ''}`);
+}
+
+// ── Labels & Library Cards ─────────────────────────────────────────────────
+
+// Ticked rows survive searching and re-rendering until printed or cleared
+const _selected = { books: new Set(), patrons: new Set() };
+let _labelsKind = 'books';
+
+function setupLabels() {
+  [['books-table', 'books'], ['patrons-table', 'patrons']].forEach(([tableId, kind]) => {
+    const table = document.getElementById(tableId);
+    table?.addEventListener('change', e => {
+      if (!e.target.classList.contains('row-select')) return;
+      const id = parseInt(e.target.value);
+      e.target.checked ? _selected[kind].add(id) : _selected[kind].delete(id);
+      renderSelectionButtons();
+    });
+    document.getElementById(`${kind}-select-all`)?.addEventListener('change', e => {
+      table.querySelectorAll('.row-select').forEach(box => {
+        box.checked = e.target.checked;
+        const id = parseInt(box.value);
+        e.target.checked ? _selected[kind].add(id) : _selected[kind].delete(id);
+      });
+      renderSelectionButtons();
+    });
+  });
+
+  ['labels-template', 'labels-skip', 'labels-encoding'].forEach(id =>
+    document.getElementById(id)?.addEventListener('change', renderLabelsPreview));
+  window.addEventListener('afterprint', () => {
+    document.getElementById('print-area').innerHTML = '';
+  });
+}
+
+function renderSelectionButtons() {
+  const books   = document.getElementById('book-labels-btn');
+  const patrons = document.getElementById('patron-cards-btn');
+  if (books)   books.textContent   = `🏷️ Labels${_selected.books.size ? ` (${_selected.books.size})` : ''}`;
+  if (patrons) patrons.textContent = `🪪 Cards${_selected.patrons.size ? ` (${_selected.patrons.size})` : ''}`;
+}
+
+function openLabelsModal(kind) {
+  if (!_selected[kind].size) {
+    return showToast(kind === 'books' ? 'Tick the books to label first' : 'Tick the patrons to print cards for', 'error');
+  }
+  _labelsKind = kind;
+  const sel = document.getElementById('labels-template');
+  sel.innerHTML = Object.entries(Labels.TEMPLATES)
+    .filter(([, t]) => kind === 'patrons' || !t.card)
+    .map(([id, t]) => `<option value="${id}">${esc(t.name)}</option>`).join('');
+  sel.value = kind === 'patrons' ? 'C32010' : 'L7160';
+  document.getElementById('labels-skip').value = 0;
+  document.getElementById('labels-encoding-row').style.display = kind === 'books' ? '' : 'none';
+  document.getElementById('labels-modal-title').textContent = kind === 'books' ? 'Print Book Labels' : 'Print Library Cards';
+  renderLabelsPreview();
+  openModal('labels-modal');
+}
+
+function bookLabelCells(encoding) {
+  const cells = [];
+  let skipped = 0;
+  [..._selected.books].forEach(id => {
+    const book = DBLib.getBook(id);
+    if (!book) return;
+    const text = `
+      <div class="label-text">
+        <strong>${esc(book.title)}</strong>
+        <span>${esc(book.author)}</span>
+        <span>${esc(book.category)}</span>
+      </div>`;
+    if (encoding === 'isbn') {
+      if (!ISBN.parse(book.isbn)?.valid) { skipped++; return; }
+      const svg = Barcode.toSVG(Barcode.encodeEan13(book.isbn), { text: ISBN.format(book.isbn) });
+      cells.push(`${text}<div class="label-code">${svg}</div>`);
+      return;
+    }
+    DBLib.getItems(id)
+      .filter(item => !['lost', 'withdrawn'].includes(item.status))
+      .forEach(item => {
+        try {
+          const svg = Barcode.toSVG(Barcode.encodeCode128(item.barcode), { text: item.accession_no });
+          cells.push(`${text}<div class="label-code">${svg}</div>`);
+        } catch {
+          skipped++;   // a hand-edited barcode Code 128 can't carry
+        }
+      });
+  });
+  return { cells, skipped };
+}
+
+function patronCardCells() {
+  const cells = [];
+  [..._selected.patrons].forEach(id => {
+    const p = DBLib.getPatron(id);
+    if (!p) return;
+    const svg = Barcode.toSVG(Barcode.encodeCode128(p.member_id), { text: p.member_id });
+    cells.push(`
+      <div class="card-head">Library Card</div>
+      <div class="label-text">
+        <strong>${esc(p.name)}</strong>
+        <span>${esc(p.department || '')}</span>
+      </div>
+      <div class="label-code">${svg}</div>`);
+  });
+  return { cells, skipped: 0 };
+}
+
+function buildLabelSheets() {
+  const template = v('labels-template');
+  const skip     = parseInt(v('labels-skip')) || 0;
+  const { cells, skipped } = _labelsKind === 'books' ? bookLabelCells(v('labels-encoding')) : patronCardCells();
+  const sheets   = Math.ceil((cells.length + Math.min(skip, Labels.perSheet(template) - 1)) / Labels.perSheet(template));
+  return { html: Labels.sheets(cells, template, { skip }), count: cells.length, sheets, skipped };
+}
+
+function renderLabelsPreview() {
+  const { html, count, sheets, skipped } = buildLabelSheets();
+  const noun = _labelsKind === 'books' ? 'label' : 'card';
+  document.getElementById('labels-summary').textContent =
+    `${count} ${noun}${count === 1 ? '' : 's'} on ${sheets} sheet${sheets === 1 ? '' : 's'}` +
+    (skipped ? ` · ${skipped} left out — no usable ISBN or barcode` : '');
+  document.getElementById('labels-preview').innerHTML = html;
+}
+
+function handlePrintLabels() {
+  const { html, count } = buildLabelSheets();
+  if (!count) return showToast('Nothing to print', 'error');
+  document.getElementById('print-area').innerHTML = html;
+  closeModal('labels-modal');
+  window.print();
+}
+
+// ── Receipts & Notices ─────────────────────────────────────────────────────
+
+// The patron and date of the last borrow and return at this desk, for the receipt buttons
+const _lastSlip = { checkout: null, return: null };
+let _noticeDrafts = {};   // template text being edited on the Config page, by kind
+
+function noticeTemplate(kind) {
+  return DBLib.getSetting(`notice_${kind}`) || Notices.KINDS[kind].template;
+}
+
+// A slip from DBLib (getCheckoutSlip, getReturnSlip, getOverdueNotices) → template values
+function slipValues(kind, slip) {
+  const money = DBLib.formatMoney;
+  const first = slip.loans[0] || {};
+  const staff = kind === 'checkout' ? first.lent_by : kind === 'return' ? first.returned_by : null;
+  return {
+    library:    DBLib.getSetting('library_name'),
+    borrower:   slip.patron.name,
+    member_id:  slip.patron.member_id || '',
+    department: slip.patron.department || '',
+    phone:      slip.patron.phone || '',
+    date:       fmtDate(slip.date),
+    count:      slip.loans.length,
+    staff:      staff || DBLib.currentStaff()?.name || '—',
+    balance:    money(slip.balance.total),
+    total_fine: money(slip.loans.reduce((sum, l) => sum + l.fine, 0)),
+    loans: slip.loans.map(l => ({
+      title: l.title, author: l.author, accession_no: l.accession_no || '—',
+      date_out: fmtDate(l.date_out), due_date: fmtDate(l.due_date), return_date: fmtDate(l.return_date),
+      days_overdue: l.daysOverdue ?? '', fine: money(l.fine),
+    })),
+  };
+}
+
+function slipHTML(kind, slip, template = noticeTemplate(kind)) {
+  return `<div class="notice notice-${Notices.KINDS[kind].paper}">${Notices.render(template, slipValues(kind, slip))}</div>`;
+}
+
+// Letters start a new page each; receipts follow one another
+function printSlips(kind, slips) {
+  document.getElementById('print-area').innerHTML = slips.map(slip => slipHTML(kind, slip)).join('');
+  window.print();
+}
+
+function rememberSlip(kind, patronId, date) {
+  _lastSlip[kind] = { patronId, date, name: DBLib.getPatron(patronId)?.name || '' };
+  renderReceiptButtons();
+}
+
+function renderReceiptButtons() {
+  Object.entries(_lastSlip).forEach(([kind, last]) => {
+    const btn = document.getElementById(`${kind}-receipt-btn`);
+    if (!btn) return;
+    btn.style.display = last ? '' : 'none';
+    if (last) btn.textContent = `🧾 Print Receipt — ${last.name}`;
+  });
+}
+
+// Everything that patron borrowed (or returned) that day goes on the one receipt
+function handlePrintReceipt(kind) {
+  const last = _lastSlip[kind];
+  if (!last) return;
+  let slip;
+  try {
+    slip = kind === 'checkout'
+      ? DBLib.getCheckoutSlip(last.patronId, last.date)
+      : DBLib.getReturnSlip(last.patronId, last.date);
+  } catch (err) {
+    return showToast(err.message, 'error');
+  }
+  if (!slip.loans.length) return showToast('Nothing to put on the receipt — was it undone?', 'error');
+  printSlips(kind, [slip]);
+}
+
+// Batch: one letter per overdue borrower, each on its own page. patronId: just theirs.
+function handlePrintOverdueNotices(patronId = null) {
+  const notices = DBLib.getOverdueNotices({ patronId });
+  if (!notices.length) return showToast('No overdue loans ✓');
+  printSlips('overdue', notices);
+}
+
+// Made-up loans for the Config page preview — nothing here is read from the library
+function sampleSlip(kind) {
+  const today = DB.today();
+  const loan  = (title, author, n, due) => ({
+    title, author, accession_no: `00004${n}`, date_out: DB.addDays(due, -14), due_date: due,
+    return_date: kind === 'return' ? today : null,
+    daysOverdue: kind === 'overdue' ? DB.daysBetween(due, today) : null,
+    fine: kind === 'checkout' ? 0 : 50 * n, lent_by: 'Front Desk', returned_by: 'Front Desk',
+  });
+  const due = kind === 'checkout' ? DB.addDays(today, 14) : DB.addDays(today, -6);
+  return {
+    patron: { name: 'Ada Obi', member_id: 'M00012', department: 'JSS 2', phone: '' },
+    date: today,
+    loans: [loan('Things Fall Apart', 'Chinua Achebe', 1, due), loan('Half of a Yellow Sun', 'Chimamanda Ngozi Adichie', 2, due)],
+    balance: { total: kind === 'checkout' ? 0 : 150 },
+  };
+}
+
+function setupNotices() {
+  document.getElementById('notice-kind')?.addEventListener('change', showNoticeDraft);
+  document.getElementById('notice-template')?.addEventListener('input', function () {
+    _noticeDrafts[v('notice-kind')] = this.value;
+    renderNoticePreview();
+  });
+  document.getElementById('notice-library-name')?.addEventListener('input', renderNoticePreview);
+  document.getElementById('notice-form')?.addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      await DBLib.saveNoticeSettings({ libraryName: v('notice-library-name'), templates: _noticeDrafts });
+      renderNoticeSettings();
+      showToast('Receipts & notices saved ✓');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+}
+
+function renderNoticeSettings() {
+  const kindSel = document.getElementById('notice-kind');
+  if (!kindSel) return;
+  const kind = kindSel.value || DBLib.NOTICE_KINDS[0];
+  _noticeDrafts = Object.fromEntries(DBLib.NOTICE_KINDS.map(k => [k, noticeTemplate(k)]));
+  kindSel.innerHTML = DBLib.NOTICE_KINDS.map(k => `<option value="${k}">${Notices.KINDS[k].name}</option>`).join('');
+  kindSel.value = kind;
+  document.getElementById('notice-library-name').value = DBLib.getSetting('library_name');
+  showNoticeDraft();
+}
+
+function showNoticeDraft() {
+  const kind = v('notice-kind');
+  const tags = fields => fields.map(f => `<code>{{${f}}}</code>`).join(' ');
+  document.getElementById('notice-template').value = _noticeDrafts[kind];
+  document.getElementById('notice-fields').innerHTML =
+    `${tags(Notices.KINDS[kind].slip)}<br>Once per loan, between <code>{{#loans}}</code> and <code>{{/loans}}</code>: ` +
+    tags(Notices.KINDS[kind].loan);
+  renderNoticePreview();
+}
+
+function renderNoticePreview() {
+  const kind = v('notice-kind');
+  const box  = document.getElementById('notice-preview');
+  if (!box || !kind) return;
+  // The preview shows the name being typed, not the saved one
+  const html = slipHTML(kind, sampleSlip(kind), _noticeDrafts[kind]);
+  box.innerHTML = html.replaceAll(esc(DBLib.getSetting('library_name')), esc(v('notice-library-name')));
+}
+
+function handleResetNotice() {
+  const kind = v('notice-kind');
+  _noticeDrafts[kind] = Notices.KINDS[kind].template;
+  showNoticeDraft();
+}
+
+// ── Catalogue Import ───────────────────────────────────────────────────────
+
+let _importRows = [];   // raw rows from the chosen file, header included
+
+const IMPORT_LABELS = { title: 'Title', author: 'Author', isbn: 'ISBN', category: 'Category', copies: 'Copies' };
+
+// Header spellings we recognise when guessing the column mapping
+const IMPORT_HEADERS = {
+  title:    ['title', 'book', 'book title', 'name'],
+  author:   ['author', 'authors', 'writer', 'by'],
+  isbn:     ['isbn', 'isbn13', 'isbn-13', 'isbn10', 'isbn-10'],
+  category: ['category', 'genre', 'subject', 'section', 'shelf'],
+  copies:   ['copies', 'qty', 'quantity', 'count', 'no. of copies'],
+};
+
+const IMPORT_PREVIEW_LIMIT = 200;
+
+function handleChooseImportFile() {
+  document.getElementById('import-file')?.click();
+}
+
+function setupImport() {
+  document.getElementById('import-file')?.addEventListener('change', async function (e) {
+    const file = e.target.files[0];
+    this.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      _importRows = CSV.parse(text, { delimiter: /\.tsv$/i.test(file.name) ? '\t' : undefined });
+      if (!_importRows.length) throw new Error('The file is empty.');
+      openImportModal(file.name);
+    } catch (err) {
+      showToast('Could not read file: ' + err.message, 'error');
+    }
+  });
+
+  document.getElementById('import-has-header')?.addEventListener('change', () => renderImportMapping());
+  document.getElementById('import-mapping')?.addEventListener('change', renderImportPreview);
+  document.getElementById('import-confirm-btn')?.addEventListener('click', handleImport);
+}
+
+function openImportModal(fileName) {
+  const header = _importRows[0].map(h => h.trim().toLowerCase());
+  const known  = header.some(h => Object.values(IMPORT_HEADERS).some(names => names.includes(h)));
+  document.getElementById('import-has-header').checked = known;
+  document.getElementById('import-modal-title').textContent = `Import — ${fileName}`;
+  renderImportMapping();
+  openModal('import-modal');
+}
+
+function renderImportMapping() {
+  const hasHeader = document.getElementById('import-has-header').checked;
+  const width     = Math.max(..._importRows.map(r => r.length));
+  const columns   = Array.from({ length: width }, (_, i) =>
+    hasHeader && _importRows[0][i]?.trim() ? _importRows[0][i].trim() : `Column ${i + 1}`);
+  const header    = hasHeader ? _importRows[0].map(h => h.trim().toLowerCase()) : [];
+
+  document.getElementById('import-mapping').innerHTML = DBLib.IMPORT_FIELDS.map((field, n) => {
+    // With a header, match by name; without one, assume the documented column order
+    const guess = hasHeader
+      ? header.findIndex(h => IMPORT_HEADERS[field].includes(h))
+      : (n < width ? n : -1);
+    return `
+      <div>
+        <label>${IMPORT_LABELS[field]}</label>
+        <select data-field="${field}">
+          <option value="-1">— not in file —</option>
+          ${columns.map((c, i) => `<option value="${i}"${i === guess ? ' selected' : ''}>${esc(c)}</option>`).join('')}
+        </select>
+      </div>`;
+  }).join('');
+  renderImportPreview();
+}
+
+function getImportRecords() {
+  const mapping = {};
+  document.querySelectorAll('#import-mapping select').forEach(sel => {
+    mapping[sel.dataset.field] = parseInt(sel.value);
+  });
+  const hasHeader = document.getElementById('import-has-header').checked;
+  const offset    = hasHeader ? 1 : 0;
+  return _importRows.slice(offset).map((cells, i) => {
+    const rec = { line: i + 1 + offset };
+    DBLib.IMPORT_FIELDS.forEach(f => { rec[f] = mapping[f] >= 0 ? (cells[mapping[f]] ?? '') : ''; });
+    return rec;
+  });
+}
+
+function renderImportPreview() {
+  const rows  = DBLib.validateImport(getImportRecords());
+  const bad   = rows.filter(r => r.errors.length);
+  const tbody = document.querySelector('#import-preview-table tbody');
+  const btn   = document.getElementById('import-confirm-btn');
+
+  const merges  = rows.filter(r => r.merge).length;
+  const newCats = rows.filter(r => r.newCategory).map(r => r.category);
+  const copies  = rows.reduce((n, r) => n + (r.errors.length ? 0 : r.copies), 0);
+  document.getElementById('import-summary').innerHTML = [
+    `${rows.length} row${rows.length === 1 ? '' : 's'} · ${copies} cop${copies === 1 ? 'y' : 'ies'}`,
+    merges ? `${merges} will add copies to existing titles` : '',
+    newCats.length ? `new categories: ${newCats.map(esc).join(', ')}` : '',
+    bad.length ? `<strong class="hint-error">${bad.length} with errors — fix the file and choose it again</strong>` : '',
+  ].filter(Boolean).join(' · ');
+
+  btn.disabled    = !rows.length || bad.length > 0;
+  btn.textContent = bad.length ? 'Import' : `Import ${rows.length} row${rows.length === 1 ? '' : 's'}`;
+
+  // Problem rows first so they can't hide past the preview limit
+  const shown = [...bad, ...rows.filter(r => !r.errors.length)].slice(0, IMPORT_PREVIEW_LIMIT);
+  tbody.innerHTML = shown.map(r => `
+    <tr class="${r.errors.length ? 'overdue' : ''}">
+      <td>${r.line}</td>
+      <td>${esc(r.title) || '—'}</td>
+      <td class="hide-sm">${esc(r.author) || '—'}</td>
+      <td class="hide-sm">${esc(ISBN.format(r.isbn)) || '—'}</td>
+      <td>${esc(r.category) || '—'}${r.newCategory ? ' <span class="cell-note">(new)</span>' : ''}</td>
+      <td>${Number.isFinite(r.copies) ? r.copies : '—'}</td>
+      <td>${r.errors.length
+        ? `<span class="status status-overdue">${r.errors.map(esc).join('; ')}</span>`
+        : `<span class="status ${r.merge ? 'status-borrowed' : 'status-returned'}">${r.merge ? 'Add copies' : 'New'}</span>`}
+        ${r.warnings.map(w => `<div class="cell-note">⚠ ${esc(w)}</div>`).join('')}</td>
+    </tr>`).join('') || `<tr><td colspan="7" class="empty-cell">No rows</td></tr>`;
+  if (rows.length > shown.length) {
+    tbody.insertAdjacentHTML('beforeend',
+      `<tr><td colspan="7" class="empty-cell">…and ${rows.length - shown.length} more</td></tr>`);
+  }
+}
+
+async function handleImport() {
+  try {
+    const res = await DBLib.importBooks(getImportRecords());
+    closeModal('import-modal');
+    _importRows = [];
+    renderCategorySelects();
+    renderCategoryList();
+    renderLoanSettings();
+    renderFineRules();
+    showToast(`Imported ${res.added} new title${res.added === 1 ? '' : 's'}, ` +
+      `${res.copies} cop${res.copies === 1 ? 'y' : 'ies'}` +
+      (res.merged ? ` · ${res.merged} merged` : '') +
+      (res.categories ? ` · ${res.categories} new categor${res.categories === 1 ? 'y' : 'ies'}` : '') + ' ✓');
+  } catch (err) {
+    showToast('Import failed: ' + err.message, 'error');
+  }
+}
+
+// ── Spreadsheet Export (CSV) ───────────────────────────────────────────────
+
+function exportFilename(what) {
+  return `gnoke-library-${what}-${DB.today()}.csv`;
+}
+
+function handleExportCatalogue() {
+  const rows = DBLib.getAllBooks().map(b => [
+    b.title, b.author, ISBN.format(b.isbn), b.category, b.owned, b.available, b.not_for_loan ? 'Yes' : 'No',
+    b.withdrawn_on || '',
+  ]);
+  CSV.download([['Title', 'Author', 'ISBN', 'Category', 'Copies', 'Available', 'Not for loan', 'Withdrawn'], ...rows],
+    exportFilename('catalogue'));
+}
+
+// From the History page this follows the search and filters, same as the table
+function handleExportHistory(filtered = true) {
+  const view  = filtered ? _views.history : VIEW_DEFAULTS.history;
+  const today = DB.today();
+  const rows  = DBLib.queryBorrows(historyQuery(view)).rows.map(r => [
+    r.borrower, r.member_id, r.book_title, r.accession_no, r.date_out, r.due_date, r.return_date,
+    r.renewals, r.return_date ? (r.note ? 'Closed' : 'Returned') : r.due_date < today ? 'Overdue' : 'On loan',
+    r.lent_by, r.returned_by, r.note,
+  ]);
+  CSV.download([
+    ['Borrower', 'Member ID', 'Book', 'Accession', 'Date Out', 'Due Date', 'Returned', 'Renewals', 'Status',
+     'Lent By', 'Returned By', 'Note'], ...rows,
+  ], exportFilename(view.q || view.status || view.from || view.to ? 'loans-filtered' : 'loans'));
+}
+
+function handleExportActive() {
+  const today = DB.today();
+  const rows  = DBLib.getActiveBorrows().map(r => [
+    r.borrower, r.member_id, r.phone, r.email, r.book_title, r.accession_no, r.date_out, r.due_date,
+    r.due_date < today ? 'Overdue' : 'On loan', r.due_date < today ? DB.daysBetween(r.due_date, today) : 0,
+  ]);
+  CSV.download([
+    ['Borrower', 'Member ID', 'Phone', 'Email', 'Book', 'Accession', 'Date Out', 'Due Date', 'Status', 'Days Overdue'],
+    ...rows,
+  ], exportFilename('on-loan'));
+}
+
+function handleExportStats() {
+  const s = DBLib.getStats();
+  CSV.download([
+    ['Library Summary', DB.today()],
+    [],
+    ['Metric', 'Value'],
+    ['Titles', s.totalTitles],
+    ['Copies', s.totalCopies],
+    ['Available copies', s.availableCopies],
+    ['Active loans', s.activeLoans],
+    ['Overdue', s.overdueCount],
+    ['Returned', s.returnedLoans],
+    [],
+    ['Most borrowed', 'Author', 'Times borrowed'],
+    ...s.topBooks.map(b => [b.title, b.author, b.borrow_count]),
+  ], exportFilename('summary'));
+}
+
+// ── Backup / Restore ───────────────────────────────────────────────────────
+
+async function handleBackup() {
+  try {
+    DBLib.assertCan('admin');
+    const password = await askPassword({
+      title:    '📥 Backup',
+      hint:     'Patron names and reading history are in this file. Give it a password to encrypt it, ' +
+                'or leave both fields blank for a plain .db file.',
+      confirm:  true,
+      optional: true,
+      ok:       'Download',
+    });
+    if (password === null) return;
+    await DB.exportDB(`gnoke-library-backup.${password ? 'gnoke' : 'db'}`, { password });
+    await DBLib.recordBackup({ encrypted: !!password });
+    renderBackupReminder();
+    showToast(password ? 'Encrypted backup saved ✓' : 'Backup saved ✓');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
 
 function handleChooseFile() {
-  document.getElementById('restore-file')?.click();
+  try {
+    DBLib.assertCan('admin');
+    document.getElementById('restore-file')?.click();
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
 }
 
 function setupRestore() {
-  document.getElementById('restore-file')?.addEventListener('change', async function (e) {
-    if (!e.target.files.length) return;
-    if (!confirm('Restoring will overwrite all current data. Continue?')) return;
+  document.getElementById('restore-file')?.addEventListener('change', async function () {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
     try {
-      await DB.restoreDB(e.target.files[0]);
-      loadPage('main-page');
-      showToast('Data restored ✓');
+      DBLib.assertCan('admin');
+      const backup = await withPassword(password => DB.openBackup(file, { password }),
+        { title: '🔐 Encrypted Backup', hint: `“${file.name}” is password-protected.` });
+      if (backup) openRestoreModal(backup);
     } catch (err) {
       showToast('Restore failed: ' + err.message, 'error');
     }
-    this.value = '';
   });
+
+  document.getElementById('setting-backup-reminder')?.addEventListener('change', async e => {
+    try {
+      await DBLib.saveSetting('backup_reminder_days', e.target.value);
+      renderBackupReminder();
+      showToast('Saved ✓');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+  });
+}
+
+let _restoreBackup = null;   // the backup open in the restore modal
+
+function openRestoreModal(backup) {
+  _restoreBackup?.close();
+  _restoreBackup = backup;
+  const p = DBLib.previewBackup(backup);
+
+  document.getElementById('restore-file-name').textContent = p.fileName;
+  document.getElementById('restore-merge-error').innerHTML = '';
+  document.getElementById('restore-stats').innerHTML = [
+    ['Titles', p.titles], ['Copies', p.copies], ['Patrons', p.patrons],
+    ['Loans', p.loans], ['Already Here', p.alreadyHeld],
+  ].map(([label, n]) => `
+    <div class="stat-card">
+      <span class="stat-label">${label}</span>
+      <span class="stat-val">${n}</span>
+    </div>`).join('');
+
+  const facts = [
+    p.version < DB.SCHEMA_VERSION
+      ? `Made by an older version (schema v${p.version}) — upgraded to read it`
+      : `Schema v${p.version}`,
+    p.loans ? `Loans from ${fmtDate(p.firstLoan)} to ${fmtDate(p.lastLoan)}, ${p.activeLoans} still out` : 'No loans recorded',
+    `${p.categories} categories`,
+    p.staff ? `${p.staff} staff accounts — replacing signs everyone out` : 'No staff accounts',
+    p.lastChange ? `Last change ${fmtDateTime(p.lastChange)}` : null,
+  ].filter(Boolean);
+  document.getElementById('restore-facts').innerHTML = facts.map(f => `<li>${esc(f)}</li>`).join('');
+  document.getElementById('restore-titles').innerHTML = p.sampleTitles.length
+    ? p.sampleTitles.map(t => `<li>${esc(t)}</li>`).join('') +
+      (p.titles > p.sampleTitles.length ? `<li class="hint">…and ${p.titles - p.sampleTitles.length} more</li>` : '')
+    : '<li class="hint">No books in this backup</li>';
+
+  openModal('restore-modal');
+}
+
+async function handleRestoreReplace() {
+  const backup = _restoreBackup;
+  if (!backup) return;
+  _restoreBackup = null;   // restoreDB takes it over
+  closeModal('restore-modal');
+  try {
+    await DB.restoreDB(backup);
+    await DBLib.recordRestore(backup.fileName);
+  } catch (err) {
+    backup.close();
+    return showToast('Restore failed: ' + err.message, 'error');
+  }
+  loadPage('main-page');
+  // The restored file has its own staff list
+  lockApp();
+  showToast('Data restored ✓', 'success', { label: 'Undo', onClick: () => handleRevertRestore(backup.fileName) });
+}
+
+// Offered only in the toast right after a restore, so no sign-in is asked for —
+// the lock screen is already up for the restored file's staff
+async function handleRevertRestore(fileName) {
+  try {
+    await DB.revertRestore();
+    await DBLib.recordRestore(fileName, { reverted: true });
+  } catch (err) {
+    return showToast(err.message, 'error');
+  }
+  loadPage('main-page');
+  lockApp();
+  showToast('Back to the data from before the restore');
+}
+
+async function handleRestoreMerge() {
+  const backup = _restoreBackup;
+  if (!backup) return;
+  try {
+    const c = await DBLib.mergeBackup(backup);
+    closeModal('restore-modal');
+    loadPage(document.querySelector('.page.active')?.id || 'main-page');
+    const parts = [
+      `${c.titles} new title${c.titles === 1 ? '' : 's'}`,
+      `${c.copies} cop${c.copies === 1 ? 'y' : 'ies'}`,
+      `${c.patrons} patron${c.patrons === 1 ? '' : 's'}`,
+      `${c.loans} loan${c.loans === 1 ? '' : 's'}`,
+    ];
+    if (c.duplicates) parts.push(`${c.duplicates} already here`);
+    showUndoToast(`Merged “${backup.fileName}”: ${parts.join(', ')}`);
+  } catch (err) {
+    if (err.code !== 'MERGE_LOANS_CLASH') return showToast('Merge failed: ' + err.message, 'error');
+    // The librarian needs the whole list to sort out, so it stays in the modal
+    document.getElementById('restore-merge-error').innerHTML =
+      `${esc(err.message)}<ul class="summary-list">${err.loans.map(l => `<li>${esc(l)}</li>`).join('')}</ul>`;
+  }
+}
+
+// ── Restore Points ─────────────────────────────────────────────────────────
+
+function fmtSize(bytes) {
+  return bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Automatic ones are kept daily for a week, then weekly
+function snapshotKind(snap) {
+  if (snap.kind !== 'auto') return DB.SNAPSHOT_KINDS[snap.kind] || snap.kind;
+  return DB.daysBetween(snap.day, DB.today()) < 7 ? 'Daily' : 'Weekly';
+}
+
+function snapshotContents({ counts }) {
+  if (!counts) return '—';
+  return [
+    [counts.books, 'title'], [counts.items, 'copy', 'copies'], [counts.patrons, 'patron'], [counts.borrows, 'loan'],
+  ].filter(([n]) => n !== null)
+   .map(([n, one, many = `${one}s`]) => `${n} ${n === 1 ? one : many}`).join(' · ');
+}
+
+async function renderRestorePoints() {
+  const tbody = document.querySelector('#restore-points-table tbody');
+  if (!tbody) return;
+  const points = await DB.listSnapshots();
+  const total  = points.reduce((sum, p) => sum + p.size, 0);
+  document.getElementById('restore-points-usage').textContent =
+    `${points.length} restore point${points.length === 1 ? '' : 's'} using ${fmtSize(total)} ` +
+    `of the ${fmtSize(DB.SNAPSHOT_BUDGET)} allowed. The oldest are removed first.`;
+
+  if (!points.length) {
+    tbody.innerHTML = `<tr><td colspan="5" class="empty-cell">No restore points yet</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = points.map(p => `
+    <tr>
+      <td class="audit-when">${fmtDateTime(p.at)}</td>
+      <td>${esc(snapshotKind(p))}${p.encrypted ? ' 🔐' : ''}</td>
+      <td class="hide-sm">${fmtSize(p.size)}</td>
+      <td>${snapshotContents(p)}</td>
+      <td class="action-cell">
+        <button class="btn-icon btn-edit" title="Download" onclick="handleDownloadSnapshot(${p.id})">⬇</button>
+        <button class="btn-outline" onclick="handleRollback(${p.id})">Roll Back</button>
+      </td>
+    </tr>`).join('');
+}
+
+function openRestorePoints() {
+  try {
+    DBLib.assertCan('admin');
+    loadPage('restore-points-page');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleDownloadSnapshot(id) {
+  try {
+    DBLib.assertCan('admin');
+    const snap = await DB.downloadSnapshot(id);
+    await DBLib.recordBackup({ encrypted: snap.encrypted, restorePoint: true });
+    renderBackupReminder();
+    showToast(snap.encrypted ? 'Saved — it opens with this device\'s password ✓' : 'Restore point saved ✓');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// The data on screen becomes a restore point of its own, so the toast can undo this
+async function handleRollback(id) {
+  let saved;
+  try {
+    DBLib.assertCan('admin');
+    const point = (await DB.listSnapshots()).find(p => p.id === id);
+    saved = await withPassword(password => DB.rollbackToSnapshot(id, { password }), {
+      title: '🔐 Restore Point', hint: 'This restore point was saved under an earlier password for this device.',
+    });
+    if (saved === null) return;
+    await DBLib.recordRollback(fmtDateTime(point.at));
+  } catch (err) {
+    return showToast('Roll back failed: ' + err.message, 'error');
+  }
+  loadPage('restore-points-page');
+  // The older data has its own staff list
+  lockApp();
+  showToast('Rolled back ✓', 'success', { label: 'Undo', onClick: () => handleUndoRollback(saved) });
+}
+
+// Offered only in the toast right after a rollback, like handleRevertRestore
+async function handleUndoRollback(saved) {
+  try {
+    await DB.rollbackToSnapshot(saved, { keepCurrent: false });
+    await DBLib.recordRollback('just before the last rollback');
+  } catch (err) {
+    return showToast(err.message, 'error');
+  }
+  loadPage(document.querySelector('.page.active')?.id || 'main-page');
+  lockApp();
+  showToast('Rollback undone');
+}
+
+// Only admins see it (data-needs); dismissing hides it until the next start
+function renderBackupReminder() {
+  const banner = document.getElementById('backup-banner');
+  if (!banner) return;
+  const every = parseInt(DBLib.getSetting('backup_reminder_days')) || 0;
+  const days  = DBLib.daysSinceBackup();
+  banner.style.display = every && days >= every ? 'flex' : 'none';
+  document.getElementById('backup-banner-text').textContent = DBLib.getSetting('last_backup_at')
+    ? `💾 No backup for ${days} days — snapshots on this device won't survive a lost or broken device.`
+    : '💾 This library has never been backed up — restore points stay on this device only.';
+}
+
+// ── Transfer to Another Device ─────────────────────────────────────────────
+
+const QR_FRAME_MS = 350;   // long enough for a camera to lock on, short enough to loop quickly
+
+let _transfer  = null;   // { bytes, fileName, frames, svgs, timer } while the send modal is open
+let _receiving = null;   // { stop } while the camera watches for codes
+
+async function openTransferSend() {
+  try {
+    DBLib.assertCan('admin');
+    const password = await askPassword({
+      title:    '📲 Send to Another Device',
+      hint:     'Patron names and reading history go with the library. Give it a password to encrypt it, ' +
+                'or leave both fields blank.',
+      confirm:  true,
+      optional: true,
+      ok:       'Next',
+    });
+    if (password === null) return;
+    const bytes  = await DB.exportPackage({ password });
+    const frames = await Transfer.toFrames(bytes);
+    _transfer = {
+      bytes, frames, svgs: [], timer: null,
+      fileName: `gnoke-library-transfer.${password ? 'gnoke' : 'db.gz'}`,
+    };
+    document.getElementById('transfer-size').textContent =
+      `The library packs down to ${fmtSize(bytes.length)}${password ? ', encrypted' : ''} — ` +
+      `${frames.length} QR code${frames.length === 1 ? '' : 's'}, about ${Math.ceil(frames.length * QR_FRAME_MS / 1000)} s a loop.`;
+    document.getElementById('transfer-qr-view').style.display = 'none';
+    openModal('transfer-modal');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleTransferShare() {
+  if (!_transfer) return;
+  try {
+    const how = await Transfer.shareFile(_transfer.bytes, _transfer.fileName);
+    if (!how) return;
+    closeModal('transfer-modal');
+    showToast(how === 'shared' ? 'Sent ✓ — open it on the other device with Restore'
+                               : 'Saved ✓ — copy the file across and open it there with Restore');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+// Loops the codes until the modal closes — the receiver picks up what it missed next time round
+function handleTransferQR() {
+  if (!_transfer || _transfer.timer) return;
+  const { frames, svgs } = _transfer;
+  const box    = document.getElementById('transfer-qr');
+  const status = document.getElementById('transfer-qr-status');
+  let n = 0;
+  const show = () => {
+    if (!svgs[n]) svgs[n] = QR.toSVG(QR.encode(frames[n], { ecc: 'L' }));
+    box.innerHTML = svgs[n];
+    status.textContent = `Code ${n + 1} of ${frames.length} — keep this screen up until the other device has them all.`;
+    n = (n + 1) % frames.length;
+  };
+  document.getElementById('transfer-qr-view').style.display = '';
+  show();
+  _transfer.timer = setInterval(show, QR_FRAME_MS);
+}
+
+function stopTransferSend() {
+  clearInterval(_transfer?.timer);
+  _transfer = null;
+  document.getElementById('transfer-qr').innerHTML = '';
+}
+
+async function openTransferReceive() {
+  try {
+    DBLib.assertCan('admin');
+  } catch (err) {
+    return showToast(err.message, 'error');
+  }
+  const status   = document.getElementById('receive-status');
+  const progress = document.getElementById('receive-progress');
+  const receiver = Transfer.createReceiver();
+  status.textContent = 'Starting camera…';
+  progress.value = 0;
+  openModal('receive-modal');
+  try {
+    _receiving = await Barcode.startCamera(document.getElementById('receive-video'), hit => {
+      const got = receiver.add(hit.text);
+      if (!got) return;
+      progress.max   = got.total;
+      progress.value = got.received;
+      status.textContent = `${got.received} of ${got.total} codes read…`;
+      if (got.done) handleTransferReceived(receiver);
+    }, { formats: ['qr_code'], continuous: true });
+    // Closed while the camera was still starting up
+    if (!document.getElementById('receive-modal').classList.contains('show')) stopTransferReceive();
+    if (!progress.value) status.textContent = 'Point the camera at the codes on the other device.';
+  } catch (err) {
+    status.textContent = err.name === 'NotAllowedError'
+      ? 'Camera permission was refused — allow it in the browser settings, or send the library as a file.'
+      : `Camera unavailable: ${err.message} Send the library as a file instead and open it with Restore.`;
+  }
+}
+
+function stopTransferReceive() {
+  _receiving?.stop();
+  _receiving = null;
+}
+
+// Every code is in: check it adds up, then it's a backup like any other
+async function handleTransferReceived(receiver) {
+  stopTransferReceive();
+  closeModal('receive-modal');
+  navigator.vibrate?.(60);
+  try {
+    const file   = new File([await receiver.assemble()], 'Transferred library');
+    const backup = await withPassword(password => DB.openBackup(file, { password }),
+      { title: '🔐 Encrypted Transfer', hint: 'The library was sent with a password.' });
+    if (backup) openRestoreModal(backup);
+  } catch (err) {
+    showToast('Transfer failed: ' + err.message, 'error');
+  }
+}
+
+// ── Sync Between Desks ─────────────────────────────────────────────────────
+
+// Pages that only list things — safe to redraw when another desk's changes land
+const SYNC_REFRESH_PAGES = ['main-page', 'history-page', 'holds-page', 'patrons-page', 'activity-page'];
+
+function setupSync() {
+  const server = Sync.getServer();
+  document.getElementById('sync-url').value = server.url;
+  document.getElementById('sync-key').value = server.key;
+  document.getElementById('sync-form')?.addEventListener('submit', handleSyncConnect);
+  renderSyncConflicts();
+}
+
+function handleSyncEvent({ status, applied }) {
+  if (status) return renderSyncStatus(status);
+  const page = document.querySelector('.page.active')?.id;
+  if (applied && SYNC_REFRESH_PAGES.includes(page)) loadPage(page);
+  renderStaffState();
+  const count = renderSyncConflicts();
+  if (count) showToast(`Another desk's changes need a look (${count})`, 'error', { label: 'Review', onClick: openSyncConflicts });
+}
+
+function renderSyncStatus(status = Sync.status()) {
+  const line = document.getElementById('sync-status');
+  if (!line) return;
+  const { url } = Sync.getServer();
+  const waiting = `${status.pending} change${status.pending === 1 ? '' : 's'} waiting`;
+  line.textContent = !status.on              ? 'Not connected — this desk\'s data stays on this device.'
+                   : status.state === 'syncing' ? `Syncing with ${url}…`
+                   : status.state === 'offline' ? `Offline — ${waiting}, sent when ${url} is back.`
+                   : status.state === 'error'   ? `Sync problem: ${status.error}`
+                   : `Connected to ${url}${status.at ? ` · last synced ${fmtDateTime(status.at)}` : ''} · ${waiting}`;
+  document.getElementById('sync-form').style.display    = status.on ? 'none' : '';
+  document.getElementById('sync-on-btns').style.display = status.on ? '' : 'none';
+}
+
+// → how many need a look; the topbar button shows while any do
+function renderSyncConflicts() {
+  const { count } = DBLib.getSyncConflicts();
+  const btn = document.getElementById('sync-conflicts-btn');
+  btn.style.display = count ? '' : 'none';
+  btn.textContent   = `⚠️ ${count}`;
+  return count;
+}
+
+async function handleSyncConnect(e) {
+  e.preventDefault();
+  const server = { url: v('sync-url'), key: v('sync-key') };
+  if (!/^https?:\/\/./i.test(server.url)) return showToast('Enter the server address, e.g. http://192.168.1.20:8787', 'error');
+  try {
+    DBLib.assertCan('admin');
+    const { joined } = await Sync.connect(server);
+    if (joined) {
+      // The shared library has its own staff list
+      lockApp();
+      showToast('Joined — this desk\'s own data is kept as a restore point ✓');
+    } else {
+      showToast('Connected — other desks can join now ✓');
+    }
+    loadPage('config-page');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleSyncNow() {
+  try {
+    const result = await Sync.syncNow();
+    showToast(`Synced ✓ — ${result.applied} in, ${result.sent} out`);
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleSyncDisconnect() {
+  try {
+    await Sync.disconnect();
+    showToast('Disconnected — this desk keeps its data');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+function openSyncConflicts() {
+  const { doubleLoans, notices } = DBLib.getSyncConflicts();
+  const list = document.getElementById('sync-conflicts-list');
+  list.innerHTML = doubleLoans.map(d => `
+    <div class="conflict-group">
+      <h3>Copy #${esc(d.accessionNo)} of “${esc(d.title)}” is out on ${d.loans.length} loans</h3>
+      <p class="hint">Lent on two desks before they synced. Keep the real loan — the others are closed, with a note in History.</p>
+      <ul class="summary-list">${d.loans.map(l => `
+        <li>
+          <span>${esc(l.patron)} — out ${fmtDate(l.date_out)}${l.lent_by ? `, lent by ${esc(l.lent_by)}` : ''}</span>
+          <button class="btn-outline" data-needs="circulate" onclick="handleKeepLoan(${l.id})">Keep</button>
+        </li>`).join('')}
+      </ul>
+    </div>`).join('') + (notices.length ? `
+    <div class="conflict-group">
+      <h3>Changes replaced by another desk's</h3>
+      <ul class="summary-list">${notices.map(n => `
+        <li>
+          <span>${fmtDateTime(n.found_at)} — ${esc(n.label)}: ${esc(n.summary)}</span>
+          <button class="btn-outline" data-needs="circulate" onclick="handleDismissConflict(${n.id})">OK</button>
+        </li>`).join('')}
+      </ul>
+    </div>` : '') || '<p class="hint">Nothing needs a look.</p>';
+  openModal('sync-conflicts-modal');
+}
+
+async function handleKeepLoan(id) {
+  try {
+    await DBLib.resolveDoubleLoan(id);
+    showUndoToast('Loan kept ✓');
+  } catch (err) {
+    return showToast(err.message, 'error');
+  }
+  afterConflictChange();
+}
+
+async function handleDismissConflict(id) {
+  try {
+    await DBLib.dismissSyncConflict(id);
+  } catch (err) {
+    return showToast(err.message, 'error');
+  }
+  afterConflictChange();
+}
+
+function afterConflictChange() {
+  if (renderSyncConflicts()) openSyncConflicts();
+  else closeModal('sync-conflicts-modal');
+  const page = document.querySelector('.page.active')?.id;
+  if (SYNC_REFRESH_PAGES.includes(page)) loadPage(page);
+}
+
+// ── Encryption ─────────────────────────────────────────────────────────────
+
+let _passwordAnswer = null;   // resolves the open askPassword()
+
+// → the password typed, '' when optional and left blank, or null if cancelled.
+// confirm: ask twice and check the strength — for setting a password.
+function askPassword({ title, hint = '', error = '', confirm = false, optional = false, cancel = true, ok = 'OK' }) {
+  _passwordAnswer?.(null);
+  document.getElementById('password-form').reset();
+  document.getElementById('password-title').textContent = title;
+  document.getElementById('password-hint').textContent  = hint;
+  document.getElementById('password-error').textContent = error;
+  document.getElementById('password-ok').textContent    = ok;
+  document.getElementById('password-input').required    = !optional;
+  document.getElementById('password-confirm-row').style.display = confirm ? '' : 'none';
+  ['password-close', 'password-cancel'].forEach(id =>
+    document.getElementById(id).style.display = cancel ? '' : 'none');
+  openModal('password-modal');
+  document.getElementById('password-input').focus();
+
+  return new Promise(resolve => {
+    _passwordAnswer = value => {
+      _passwordAnswer = null;
+      resolve(value);
+    };
+  });
+}
+
+function setupPasswordForm() {
+  document.getElementById('password-form')?.addEventListener('submit', e => {
+    e.preventDefault();
+    const input    = document.getElementById('password-input');
+    const password = input.value;
+    let problem    = '';
+    // Setting a password (blank is fine when it's optional)
+    if (document.getElementById('password-confirm-row').style.display !== 'none' && (password || input.required)) {
+      problem = password !== v('password-confirm') ? 'The two passwords don\'t match.' : Vault.passwordProblem(password);
+    }
+    if (problem) return (document.getElementById('password-error').textContent = problem);
+    const answer = _passwordAnswer;
+    _passwordAnswer = null;
+    closeModal('password-modal');
+    answer?.(password);
+  });
+}
+
+// Runs fn(password), asking (see askPassword) for as long as the password is
+// missing or wrong. Resolves null if the person gives up.
+async function withPassword(fn, ask) {
+  let password = '';
+  for (;;) {
+    try {
+      return await fn(password);
+    } catch (err) {
+      if (err.code !== 'PASSWORD_REQUIRED' && err.code !== 'WRONG_PASSWORD') throw err;
+      password = await askPassword({ ...ask, error: err.code === 'WRONG_PASSWORD' ? err.message : '' });
+      if (password === null) return null;
+    }
+  }
+}
+
+function renderStorageEncryption() {
+  const on = DB.isStorageEncrypted();
+  const hint = document.getElementById('storage-encryption-hint');
+  if (hint) {
+    hint.textContent = on
+      ? '🔐 The library on this device is encrypted — its password is asked for every time the app opens.'
+      : 'The library on this device is stored unencrypted. Encrypting it means a password every time the app opens.';
+  }
+  document.getElementById('storage-encrypt-btn').textContent = on ? '🔑 Change Password' : '🔐 Encrypt This Device';
+  document.getElementById('storage-decrypt-btn').style.display = on ? '' : 'none';
+}
+
+async function handleStorageEncryption() {
+  const on = DB.isStorageEncrypted();
+  try {
+    DBLib.assertCan('admin');
+    const password = await askPassword({
+      title:   on ? '🔑 Change Storage Password' : '🔐 Encrypt This Device',
+      hint:    'Forget this password and the data on this device is gone for good — keep a backup somewhere safe.',
+      confirm: true,
+    });
+    if (password === null) return;
+    await DB.setStorageEncryption(password);
+    renderStorageEncryption();
+    showToast(on ? 'Storage password changed ✓' : 'Library encrypted on this device ✓');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
+}
+
+async function handleStorageDecrypt() {
+  if (!confirm('Store the library unencrypted on this device? Anyone with access to the browser could read it.')) return;
+  try {
+    DBLib.assertCan('admin');
+    await DB.setStorageEncryption(null);
+    renderStorageEncryption();
+    showToast('Encryption turned off');
+  } catch (err) {
+    showToast(err.message, 'error');
+  }
 }
 
 // ── Reset demo data ────────────────────────────────────────────────────────
 
 async function handleResetDemo() {
-  if (!confirm('This will delete all demo data and start fresh. Continue?')) return;
   try {
     await DBLib.resetToFresh();
     document.getElementById('demo-banner').style.display = 'none';
     loadPage('main-page');
-    showToast('Demo data cleared — you\'re ready to go ✓');
+    showUndoToast('Demo data cleared — you\'re ready to go ✓');
   } catch (err) {
     showToast('Reset failed: ' + err.message, 'error');
   }
@@ -558,9 +3363,8 @@ function fmtDate(dateStr) {
 }
 
 function setDefaultDates() {
-  const today    = DB.today();
-  const dueDate  = new Date(); dueDate.setDate(dueDate.getDate() + 14);
-  const dueDateStr = `${dueDate.getFullYear()}-${String(dueDate.getMonth()+1).padStart(2,'0')}-${String(dueDate.getDate()).padStart(2,'0')}`;
+  const today      = DB.today();
+  const dueDateStr = DB.addDays(today, parseInt(DBLib.getSetting('loan_period_days')) || 14);
 
   const dateOut = document.getElementById('borrow-date-out');
   const due     = document.getElementById('borrow-due-date');
@@ -574,13 +3378,23 @@ function setDefaultDates() {
 // ── Toast ──────────────────────────────────────────────────────────────────
 
 let _toastTimer;
-function showToast(msg, type = 'success') {
+// action: { label, onClick } adds a button and keeps the toast up a little longer
+function showToast(msg, type = 'success', action = null) {
   const toast = document.getElementById('toast');
   if (!toast) return;
   toast.textContent = msg;
   toast.className   = `toast show ${type}`;
+  if (action) {
+    const btn = Object.assign(document.createElement('button'), { className: 'toast-action', textContent: action.label });
+    btn.addEventListener('click', () => {
+      toast.classList.remove('show');
+      action.onClick();
+    });
+    toast.append(btn);
+    toast.classList.add('has-action');
+  }
   clearTimeout(_toastTimer);
-  _toastTimer = setTimeout(() => toast.classList.remove('show'), 3000);
+  _toastTimer = setTimeout(() => toast.classList.remove('show'), action ? 6000 : 3000);
 }
 
 // ── Theme Toggle ───────────────────────────────────────────────────────────
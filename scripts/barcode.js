@@ -0,0 +1,400 @@
+/*
+ * Gnoke Library — barcode.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Barcode reading and printing for the circulation desk.
+ * - EAN-13 (book ISBNs) and Code 128 (item and patron labels)
+ * - Encoders return the module pattern ('1' = bar, '0' = space) so the
+ *   output can be checked against published patterns; toSVG() draws it
+ * - Camera: the browser's BarcodeDetector when it has one, otherwise the
+ *   pure-JS decoder below on grabbed video frames. QR codes (transfers,
+ *   see qr.js) are read by BarcodeDetector only
+ * - USB "keyboard wedge" scanners: told apart from typing by key speed
+ * - decodeImageData() takes any { width, height, data } (RGBA), so the
+ *   decoder runs offline in Node against sample images
+ *
+ * No DB access — app.js decides what a scanned code means.
+ */
+
+const Barcode = (() => {
+
+  // ── Symbologies ────────────────────────────────────────────────────────────
+
+  // EAN-13 digit widths, space-bar-space-bar (L set; R is the same widths bar-first)
+  const EAN_L = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'];
+  const EAN_G = EAN_L.map(w => [...w].reverse().join(''));
+  const EAN_LG = [...EAN_L, ...EAN_G];
+  // Parity of the six left digits (L/G) encodes the first digit
+  const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+  // Code 128 symbol widths, bar-space-bar-space-bar-space, values 0–106
+  const C128 = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '233111',
+  ];
+  const C128_START = { A: 103, B: 104, C: 105 };
+  const C128_STOP  = 106;
+
+  function ean13CheckDigit(first12) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) sum += Number(first12[i]) * (i % 2 ? 3 : 1);
+    return (10 - (sum % 10)) % 10;
+  }
+
+  // ── Encoding ───────────────────────────────────────────────────────────────
+
+  // Widths → modules, alternating bar/space starting with `bar`
+  function _modules(widths, bar) {
+    let out = '';
+    for (const w of widths) { out += (bar ? '1' : '0').repeat(Number(w)); bar = !bar; }
+    return out;
+  }
+
+  // Code set C packs digit pairs (half the width for accession numbers);
+  // everything else uses set B, printable ASCII
+  function encodeCode128(text) {
+    text = String(text);
+    if (!text) throw new Error('Nothing to encode.');
+    if (!/^[\x20-\x7e]+$/.test(text)) throw new Error('Code 128 labels take plain ASCII text only.');
+
+    const values = [];
+    if (/^(\d\d)+$/.test(text)) {
+      values.push(C128_START.C);
+      for (let i = 0; i < text.length; i += 2) values.push(Number(text.slice(i, i + 2)));
+    } else {
+      values.push(C128_START.B);
+      for (const ch of text) values.push(ch.charCodeAt(0) - 32);
+    }
+    const check = values.reduce((acc, v, pos) => acc + v * (pos || 1), 0) % 103;
+    values.push(check);
+
+    return values.map(v => _modules(C128[v], true)).join('') + _modules('2331112', true);
+  }
+
+  // 12 digits (check digit added) or 13 (check digit verified)
+  function encodeEan13(digits) {
+    digits = String(digits).replace(/[\s-]/g, '');
+    if (/^\d{12}$/.test(digits)) digits += ean13CheckDigit(digits);
+    if (!/^\d{13}$/.test(digits)) throw new Error('EAN-13 needs 12 or 13 digits.');
+    if (ean13CheckDigit(digits) !== Number(digits[12])) throw new Error('EAN-13 check digit is wrong.');
+
+    const parity = EAN_PARITY[Number(digits[0])];
+    let out = '101';
+    for (let i = 1; i <= 6; i++) {
+      out += _modules((parity[i - 1] === 'L' ? EAN_L : EAN_G)[Number(digits[i])], false);
+    }
+    out += '01010';
+    for (let i = 7; i <= 12; i++) out += _modules(EAN_L[Number(digits[i])], true);
+    return out + '101';
+  }
+
+  // Modules → SVG, one unit per module. Sized by the caller's CSS; the quiet
+  // zone either side is part of the drawing so labels can't crowd it.
+  function toSVG(modules, { height = 40, quiet = 10, text = '' } = {}) {
+    const width = modules.length + quiet * 2;
+    const textH = text ? 9 : 0;
+    let bars = '';
+    for (let x = 0; x < modules.length;) {
+      if (modules[x] !== '1') { x++; continue; }
+      let w = 1;
+      while (modules[x + w] === '1') w++;
+      bars += `<rect x="${x + quiet}" y="0" width="${w}" height="${height}"/>`;
+      x += w;
+    }
+    const label = text
+      ? `<text x="${width / 2}" y="${height + 8}" font-size="8" font-family="monospace" text-anchor="middle">${
+          String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</text>`
+      : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height + textH}" ` +
+           `shape-rendering="crispEdges">${bars}${label}</svg>`;
+  }
+
+  // ── Decoding ───────────────────────────────────────────────────────────────
+
+  // Closest pattern to a group of runs, compared after scaling to `modules` wide
+  function _match(runs, patterns, modules) {
+    const total = runs.reduce((a, b) => a + b, 0);
+    let best = -1, bestErr = Infinity;
+    patterns.forEach((p, idx) => {
+      let err = 0;
+      for (let i = 0; i < runs.length; i++) err += Math.abs(runs[i] * modules / total - Number(p[i]));
+      if (err < bestErr) { best = idx; bestErr = err; }
+    });
+    return bestErr < 0.45 * runs.length ? best : -1;
+  }
+
+  // Guard bars should each be one module wide
+  function _isGuard(runs, module) {
+    return runs.every(r => r > module * 0.5 && r < module * 1.6);
+  }
+
+  // runs: alternating widths, space first (the quiet zone), so bars sit at odd indexes
+  function _decodeEan13(runs) {
+    for (let s = 1; s + 59 <= runs.length; s += 2) {
+      const seg    = runs.slice(s, s + 59);
+      const module = seg.reduce((a, b) => a + b, 0) / 95;
+      if (!_isGuard(seg.slice(0, 3), module) || !_isGuard(seg.slice(27, 32), module) ||
+          !_isGuard(seg.slice(56, 59), module)) continue;
+      // Quiet zone: a few modules of white before the start guard
+      if (runs[s - 1] < module * 3) continue;
+
+      let digits = '', parity = '';
+      for (let d = 0; d < 6; d++) {
+        const k = _match(seg.slice(3 + d * 4, 7 + d * 4), EAN_LG, 7);
+        if (k < 0) { digits = null; break; }
+        digits += k % 10;
+        parity += k < 10 ? 'L' : 'G';
+      }
+      if (digits === null) continue;
+      for (let d = 0; d < 6; d++) {
+        const r = seg.slice(32 + d * 4, 36 + d * 4);
+        const k = _match(r, EAN_L, 7);
+        if (k < 0) { digits = null; break; }
+        digits += k;
+      }
+      if (digits === null) continue;
+      const first = EAN_PARITY.indexOf(parity);
+      if (first < 0) continue;
+      const code = first + digits;
+      if (ean13CheckDigit(code) === Number(code[12])) return { format: 'ean_13', text: code };
+    }
+    return null;
+  }
+
+  function _decodeCode128(runs) {
+    for (let s = 1; s + 6 * 3 + 7 <= runs.length; s += 2) {
+      const start = _match(runs.slice(s, s + 6), C128, 11);
+      if (start < C128_START.A || start > C128_START.C) continue;
+      const module = runs.slice(s, s + 6).reduce((a, b) => a + b, 0) / 11;
+      if (runs[s - 1] < module * 5) continue;
+
+      const values = [start];
+      let i = s + 6, stopped = false;
+      while (i + 7 <= runs.length) {
+        // Stop is 7 runs: the 106 symbol plus a 2-module closing bar
+        if (_match(runs.slice(i, i + 6), C128, 11) === C128_STOP &&
+            Math.abs(runs[i + 6] / module - 2) < 1) { stopped = true; break; }
+        const v = _match(runs.slice(i, i + 6), C128, 11);
+        if (v < 0 || v >= C128_START.A) break;
+        values.push(v);
+        i += 6;
+      }
+      if (!stopped || values.length < 3) continue;
+
+      const check = values.pop();
+      const sum   = values.reduce((acc, v, pos) => acc + v * (pos || 1), 0);
+      if (sum % 103 !== check) continue;
+      const text = _code128Text(values);
+      if (text) return { format: 'code_128', text };
+    }
+    return null;
+  }
+
+  // Symbol values (start included, check excluded) → text
+  function _code128Text(values) {
+    let set = { 103: 'A', 104: 'B', 105: 'C' }[values[0]], out = '', shift = false;
+    for (const v of values.slice(1)) {
+      const cur = shift ? (set === 'A' ? 'B' : 'A') : set;
+      shift = false;
+      if (cur === 'C') {
+        if (v < 100)        out += String(v).padStart(2, '0');
+        else if (v === 100) set = 'B';
+        else if (v === 101) set = 'A';
+        // 102 = FNC1 — a GS1 marker, not text
+      } else {
+        if (v < 64)        out += String.fromCharCode(v + 32);
+        else if (v < 96)   out += String.fromCharCode(cur === 'A' ? v - 64 : v + 32);
+        else if (v === 98) shift = true;
+        else if (v === 99) set = 'C';
+        else if (v === 100 && cur === 'A') set = 'B';
+        else if (v === 101 && cur === 'B') set = 'A';
+        // 96, 97, 102 and FNC4 are control codes we don't use
+      }
+    }
+    return out;
+  }
+
+  // Luminance along one row → run widths, space first (the leading quiet zone).
+  // The threshold follows the local light level — phone photos are rarely lit evenly.
+  function _runs(line) {
+    let min = 255, max = 0;
+    for (const v of line) { if (v < min) min = v; if (v > max) max = v; }
+    if (max - min < 40) return [];
+    const global = (min + max) / 2;
+    const radius = Math.max(10, Math.round(line.length / 16));
+
+    const runs = [];
+    let dark = false, len = 0;
+    for (let x = 0; x < line.length; x++) {
+      let lo = 255, hi = 0;
+      for (let k = Math.max(0, x - radius); k <= Math.min(line.length - 1, x + radius); k++) {
+        if (line[k] < lo) lo = line[k];
+        if (line[k] > hi) hi = line[k];
+      }
+      // A flat stretch (quiet zone, blank paper) has no local contrast to go by
+      const threshold = hi - lo > (max - min) / 3 ? (lo + hi) / 2 : global;
+      const isDark = line[x] < threshold;
+      if (isDark === dark) len++;
+      else { runs.push(len); dark = isDark; len = 1; }
+    }
+    runs.push(len);
+    return runs;
+  }
+
+  // One scanline of greyscale values → { format, text } or null. Tries both
+  // directions, so an upside-down label still reads.
+  function decodeLine(line) {
+    const runs = _runs(line);
+    if (runs.length < 20) return null;
+    const reversed = [...runs].reverse();
+    if (runs.length % 2 === 0) reversed.unshift(0);   // ended on a bar — no quiet zone to lead with
+
+    for (const r of [runs, reversed]) {
+      const hit = _decodeEan13(r) || _decodeCode128(r);
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  // Scan a handful of rows across the middle of the frame
+  function decodeImageData({ width, height, data }) {
+    const rows = [0.5, 0.4, 0.6, 0.3, 0.7, 0.45, 0.55, 0.2, 0.8];
+    const line = new Uint8Array(width);
+    for (const frac of rows) {
+      const y = Math.floor(height * frac);
+      for (let x = 0; x < width; x++) {
+        const p = (y * width + x) * 4;
+        line[x] = (data[p] * 299 + data[p + 1] * 587 + data[p + 2] * 114) / 1000;
+      }
+      const hit = decodeLine(line);
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  // ── Camera ─────────────────────────────────────────────────────────────────
+
+  const SCAN_INTERVAL_MS = 150;
+  const FRAME_MAX_WIDTH  = 960;   // plenty for a few scanlines, cheap to grab
+
+  async function _nativeDetector(wanted) {
+    if (!('BarcodeDetector' in window)) return null;
+    try {
+      const supported = await BarcodeDetector.getSupportedFormats();
+      const formats   = wanted.filter(f => supported.includes(f));
+      return formats.length ? new BarcodeDetector({ formats }) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Streams the back camera into `video` and calls onDetect({ format, text })
+  // once, then stops. Resolves to { stop, native } when the camera is running.
+  // continuous: keep going, calling onDetect for each new code, until stop().
+  // QR codes ('qr_code') need the browser's own detector.
+  async function startCamera(video, onDetect, { formats = ['ean_13', 'code_128'], continuous = false } = {}) {
+    if (!navigator.mediaDevices?.getUserMedia) throw new Error('This browser has no camera access.');
+    const detector = await _nativeDetector(formats);
+    if (!detector && !formats.some(f => f === 'ean_13' || f === 'code_128')) {
+      throw new Error('This browser can\'t read QR codes with the camera.');
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'environment', width: { ideal: 1280 } }, audio: false,
+    });
+    video.srcObject = stream;
+    await video.play();
+
+    const canvas   = document.createElement('canvas');
+    const ctx      = canvas.getContext('2d', { willReadFrequently: true });
+    let stopped = false, timer = null, lastText = null;
+
+    const stop = () => {
+      if (stopped) return;
+      stopped = true;
+      clearTimeout(timer);
+      stream.getTracks().forEach(t => t.stop());
+      video.srcObject = null;
+    };
+
+    const tick = async () => {
+      if (stopped) return;
+      let hit = null;
+      try {
+        if (detector) {
+          const found = await detector.detect(video);
+          if (found.length) hit = { format: found[0].format, text: found[0].rawValue };
+        } else if (video.videoWidth) {
+          const scale   = Math.min(1, FRAME_MAX_WIDTH / video.videoWidth);
+          canvas.width  = Math.round(video.videoWidth * scale);
+          canvas.height = Math.round(video.videoHeight * scale);
+          ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+          hit = decodeImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+        }
+      } catch (err) {
+        console.warn('[Barcode] Frame skipped:', err);
+      }
+      if (stopped) return;
+      if (hit && !continuous) { stop(); onDetect(hit); return; }
+      if (hit && hit.text !== lastText) { lastText = hit.text; onDetect(hit); }
+      timer = setTimeout(tick, SCAN_INTERVAL_MS);
+    };
+    tick();
+    return { stop, native: !!detector };
+  }
+
+  // ── Keyboard-wedge scanners ────────────────────────────────────────────────
+  //
+  // A USB scanner "types" the code as a burst of keystrokes a few ms apart,
+  // then presses Enter. People don't type four characters that fast.
+
+  const WEDGE_MAX_GAP_MS = 35;
+  const WEDGE_MIN_LENGTH = 4;
+
+  // Calls onScan(code, target) for each burst; returns a function that stops listening
+  function listenForWedge(onScan) {
+    let buffer = '', last = 0;
+
+    const onKey = e => {
+      const now = performance.now();
+      if (e.key === 'Enter') {
+        const code = buffer;
+        buffer = '';
+        if (code.length < WEDGE_MIN_LENGTH || now - last > WEDGE_MAX_GAP_MS * 2) return;
+        // Don't let the Enter submit whatever form had focus
+        e.preventDefault();
+        e.stopPropagation();
+        // The burst also landed in the focused field — take it back out
+        const el = e.target;
+        if (typeof el?.value === 'string' && el.value.endsWith(code)) {
+          el.value = el.value.slice(0, -code.length);
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        onScan(code, el);
+        return;
+      }
+      if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) { buffer = ''; return; }
+      buffer = now - last > WEDGE_MAX_GAP_MS ? e.key : buffer + e.key;
+      last = now;
+    };
+
+    document.addEventListener('keydown', onKey, true);
+    return () => document.removeEventListener('keydown', onKey, true);
+  }
+
+  return {
+    ean13CheckDigit,
+    encodeCode128, encodeEan13, toSVG,
+    decodeImageData, decodeLine, startCamera, listenForWedge,
+  };
+
+})();
@@ -0,0 +1,103 @@
+/*
+ * Gnoke Library — charts.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Small SVG charts for the Reports page — no chart library.
+ * - columns(): one or more series side by side per label (loans per week…)
+ * - bars(): horizontal bars, longest first (loans by category…)
+ * - Returns SVG markup. Colours come from style.css (.chart-s0, .chart-s1…)
+ *   so charts follow the theme and print in the light one
+ */
+
+const Charts = (() => {
+
+  const WIDTH     = 640;
+  const MAX_TICKS = 12;   // x labels shown before thinning them out
+
+  function _esc(str) {
+    return String(str ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // A round step for the y axis: 1, 2 or 5 × a power of ten, about four gridlines
+  function _scale(max) {
+    const rough = Math.max(max, 1) / 4;
+    const mag   = 10 ** Math.floor(Math.log10(rough));
+    const step  = Math.max(1, [1, 2, 5, 10].map(m => m * mag).find(s => s >= rough));
+    return { step, top: Math.max(step, Math.ceil(max / step) * step) };
+  }
+
+  function _legend(series) {
+    if (series.length < 2) return '';
+    let x = 0;
+    return series.map((s, n) => {
+      const item = `<rect class="chart-s${n}" x="${x}" y="2" width="10" height="10" rx="2"/>` +
+                   `<text class="chart-text" x="${x + 14}" y="11">${_esc(s.name)}</text>`;
+      x += 24 + s.name.length * 7;
+      return item;
+    }).join('');
+  }
+
+  // labels: ['Mon', …]; series: [{ name, values: [n, …] }] → SVG
+  function columns({ labels, series, height = 220 }) {
+    const top    = series.length > 1 ? 22 : 8;
+    const left   = 38, bottom = 24;
+    const plotW  = WIDTH - left - 6;
+    const plotH  = height - top - bottom;
+    const max    = Math.max(0, ...series.flatMap(s => s.values));
+    const { step, top: yMax } = _scale(max);
+    const y      = v => top + plotH - (v / yMax) * plotH;
+    const groupW = plotW / Math.max(1, labels.length);
+    const barW   = Math.max(1, (groupW * 0.8) / series.length);
+    const every  = Math.ceil(labels.length / MAX_TICKS);
+
+    let grid = '';
+    for (let v = 0; v <= yMax; v += step) {
+      grid += `<line class="chart-grid" x1="${left}" x2="${WIDTH - 6}" y1="${y(v)}" y2="${y(v)}"/>` +
+              `<text class="chart-text" x="${left - 6}" y="${y(v) + 4}" text-anchor="end">${v}</text>`;
+    }
+
+    let bars = '', ticks = '';
+    labels.forEach((label, i) => {
+      const x0 = left + i * groupW + groupW * 0.1;
+      series.forEach((s, n) => {
+        const v = s.values[i] || 0;
+        if (!v) return;
+        bars += `<rect class="chart-s${n}" x="${(x0 + n * barW).toFixed(1)}" y="${y(v).toFixed(1)}" ` +
+                `width="${barW.toFixed(1)}" height="${(plotH + top - y(v)).toFixed(1)}">` +
+                `<title>${_esc(label)} — ${_esc(s.name)}: ${v}</title></rect>`;
+      });
+      if (i % every === 0) {
+        ticks += `<text class="chart-text" x="${(left + (i + 0.5) * groupW).toFixed(1)}" y="${height - 8}" ` +
+                 `text-anchor="middle">${_esc(label)}</text>`;
+      }
+    });
+
+    return `<svg class="chart" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${height}" role="img">` +
+           _legend(series) + grid + bars + ticks + '</svg>';
+  }
+
+  // items: [{ label, value }] → SVG, one row each, in the order given
+  function bars(items, { labelWidth = 170 } = {}) {
+    const rowH   = 24;
+    const height = Math.max(1, items.length) * rowH;
+    const max    = Math.max(1, ...items.map(i => i.value));
+    const plotW  = WIDTH - labelWidth - 40;
+    const fit    = text => (text.length > 26 ? `${text.slice(0, 25)}…` : text);
+
+    const rows = items.map((item, i) => {
+      const y = i * rowH;
+      const w = Math.max(item.value ? 2 : 0, (item.value / max) * plotW);
+      return `<text class="chart-text" x="${labelWidth - 8}" y="${y + 16}" text-anchor="end">` +
+             `${_esc(fit(String(item.label)))}<title>${_esc(item.label)}</title></text>` +
+             `<rect class="chart-s0" x="${labelWidth}" y="${y + 4}" width="${w.toFixed(1)}" height="${rowH - 8}" rx="2"/>` +
+             `<text class="chart-text" x="${(labelWidth + w + 6).toFixed(1)}" y="${y + 16}">${item.value}</text>`;
+    }).join('');
+
+    return `<svg class="chart" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${height}" role="img">` +
+           rows + '</svg>';
+  }
+
+  return { columns, bars };
+
+})();
@@ -0,0 +1,95 @@
+/*
+ * Gnoke Library — csv.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Delimited text (CSV / TSV) parsing and writing.
+ * - RFC 4180 quoting: "a, b", "say ""hi""", line breaks inside quotes
+ * - Comma, tab or semicolon — sniffed from the first line when not given
+ * - Strips a UTF-8 byte-order mark on read, writes one on download
+ *   (without it Excel shows "Adébáyọ̀" as mojibake)
+ * - No DB access — download() is the only DOM touch
+ */
+
+const CSV = (() => {
+
+  // ── Reading ────────────────────────────────────────────────────────────────
+
+  const DELIMITERS = [',', '\t', ';'];
+
+  // Pick whichever candidate splits the first line into the most fields
+  function detectDelimiter(text) {
+    const firstLine = String(text).replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+    let best = ',', bestCount = 1;
+    DELIMITERS.forEach(d => {
+      let count = 0;
+      try { count = parse(firstLine, { delimiter: d })[0]?.length || 0; } catch { /* quoted line break */ }
+      if (count > bestCount) { best = d; bestCount = count; }
+    });
+    return best;
+  }
+
+  // Returns an array of rows, each an array of strings. Blank lines are dropped.
+  function parse(text, { delimiter } = {}) {
+    const src = String(text).replace(/^\uFEFF/, '');
+    const sep = delimiter || detectDelimiter(src);
+    const rows = [];
+    let row = [], field = '', quoted = false;
+
+    const endField = () => { row.push(field); field = ''; };
+    const endRow   = () => {
+      endField();
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    };
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch !== '"')              field += ch;
+        else if (src[i + 1] === '"') { field += '"'; i++; }
+        else                         quoted = false;
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === sep) {
+        endField();
+      } else if (ch === '\n') {
+        endRow();
+      } else if (ch === '\r') {
+        if (src[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        field += ch;
+      }
+    }
+    if (quoted) throw new Error('Unterminated quoted field at end of file.');
+    if (field !== '' || row.length) endRow();
+    return rows;
+  }
+
+  // ── Writing ────────────────────────────────────────────────────────────────
+
+  // Text starting with = + - @ is run as a formula by spreadsheets
+  function _cell(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str) && !/^-?\d/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  // rows: array of arrays — the first is usually the header
+  function stringify(rows) {
+    return rows.map(row => row.map(_cell).join(',')).join('\r\n') + '\r\n';
+  }
+
+  function download(rows, filename) {
+    const blob = new Blob(['\uFEFF' + stringify(rows)], { type: 'text/csv;charset=utf-8' });
+    const url  = URL.createObjectURL(blob);
+    const a    = Object.assign(document.createElement('a'), { href: url, download: filename });
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  return { parse, detectDelimiter, stringify, download };
+
+})();
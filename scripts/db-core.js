@@ -5,100 +5,199 @@
  *
  * Core database engine.
  * Loads library.db via sql.js, persists to IndexedDB.
+ * Upgrades older databases in place using db-migrations.js.
+ * Optionally keeps the IndexedDB copy encrypted (vault.js); backups can be too.
+ * Keeps an in-memory undo history of labelled transactions.
+ * Takes automatic snapshots (restore points) into their own IndexedDB stores.
+ * Keeps the change log that sync.js exchanges with other desks, and applies theirs.
  * All db-library.js depends on this.
  */
 
 const DB = (() => {
 
   const IDB_NAME    = 'gnoke_library_store';
-  const IDB_VERSION = 1;
+  const IDB_VERSION = 2;
   const IDB_STORE   = 'db_file';
   const IDB_KEY     = 'library.db';
+  const DEVICE_KEY  = 'device_id';
+  const PUSHED_KEY  = 'pushed_lseq';   // the highest lseq the sync server has had from this device
+  const IDB_SNAPSHOTS      = 'snapshots';        // { id, at, day, kind, version, size, encrypted, counts }
+  const IDB_SNAPSHOT_FILES = 'snapshot_files';   // id → bytes, sealed like the main copy
   const DB_URL      = 'data/library.db';
 
-  const REQUIRED_TABLES = ['books', 'categories', 'borrows', 'settings'];
+  const SCHEMA_VERSION = DBMigrations[DBMigrations.length - 1].version;
 
   let _db    = null;
   let _SQL   = null;
   let _dirty = false;
+  let _key   = null;   // Vault key while the IndexedDB copy is kept encrypted
 
   // ── IndexedDB helpers ──────────────────────────────────────────────────────
 
   function _openIDB() {
     return new Promise((resolve, reject) => {
       const req = indexedDB.open(IDB_NAME, IDB_VERSION);
-      req.onupgradeneeded = e => e.target.result.createObjectStore(IDB_STORE);
+      req.onupgradeneeded = e => {
+        const idb = e.target.result;
+        if (!idb.objectStoreNames.contains(IDB_STORE))     idb.createObjectStore(IDB_STORE);
+        if (!idb.objectStoreNames.contains(IDB_SNAPSHOTS)) {
+          idb.createObjectStore(IDB_SNAPSHOTS, { keyPath: 'id', autoIncrement: true });
+          idb.createObjectStore(IDB_SNAPSHOT_FILES);
+        }
+      };
       req.onsuccess = e => resolve(e.target.result);
       req.onerror   = e => reject(e.target.error);
     });
   }
 
-  async function _loadFromIDB() {
+  // One request against one store → its result
+  async function _idbRequest(store, mode, makeRequest) {
     const idb = await _openIDB();
     return new Promise((resolve, reject) => {
-      const req = idb.transaction(IDB_STORE, 'readonly')
-                     .objectStore(IDB_STORE).get(IDB_KEY);
-      req.onsuccess = e => resolve(e.target.result || null);
+      const req = makeRequest(idb.transaction(store, mode).objectStore(store));
+      req.onsuccess = e => resolve(e.target.result);
       req.onerror   = e => reject(e.target.error);
     });
   }
 
-  async function _saveToIDB(uint8) {
-    const idb = await _openIDB();
-    return new Promise((resolve, reject) => {
-      const req = idb.transaction(IDB_STORE, 'readwrite')
-                     .objectStore(IDB_STORE).put(uint8, IDB_KEY);
-      req.onsuccess = () => resolve();
-      req.onerror   = e => reject(e.target.error);
-    });
+  async function _loadFromIDB(key = IDB_KEY) {
+    return (await _idbRequest(IDB_STORE, 'readonly', store => store.get(key))) || null;
   }
 
-  // ── Schema validation ──────────────────────────────────────────────────────
+  async function _saveToIDB(uint8, key = IDB_KEY) {
+    await _idbRequest(IDB_STORE, 'readwrite', store => store.put(uint8, key));
+  }
 
-  function _getExistingTables(db) {
-    const rows = db.exec("SELECT name FROM sqlite_master WHERE type='table'");
-    if (!rows.length) return [];
-    return rows[0].values.map(r => r[0]);
+  // Bytes as this device keeps them: encrypted when storage encryption is on
+  async function _seal(uint8) {
+    return _key ? Vault.encrypt(uint8, _key) : uint8;
   }
 
-  function _isSchemaCurrent(db) {
-    const existing = _getExistingTables(db);
-    return REQUIRED_TABLES.every(t => existing.includes(t));
+  async function _store(uint8) {
+    await _saveToIDB(await _seal(uint8));
+  }
+
+  // Encrypted bytes → plain, or an error coded for the app to ask for the password.
+  // password may also be a key from Vault.createKey().
+  async function _unlock(uint8, password) {
+    if (!Vault.isEncrypted(uint8)) return { bytes: uint8, key: null };
+    if (!password) {
+      const err = new Error('This database is encrypted — enter its password.');
+      err.code = 'PASSWORD_REQUIRED';
+      throw err;
+    }
+    return Vault.decrypt(uint8, password);
+  }
+
+  // ── Schema migrations ──────────────────────────────────────────────────────
+
+  function _getSchemaVersion(db) {
+    return db.exec('PRAGMA user_version')[0]?.values[0][0] || 0;
+  }
+
+  function _assertNotNewer(version) {
+    if (version <= SCHEMA_VERSION) return;
+    const err = new Error(
+      `This database uses schema v${version}, but this app only understands up to v${SCHEMA_VERSION}. ` +
+      'Update Gnoke Library before opening it.'
+    );
+    err.code = 'SCHEMA_TOO_NEW';
+    throw err;
+  }
+
+  function _migrate(db) {
+    const from    = _getSchemaVersion(db);
+    const pending = DBMigrations.filter(m => m.version > from);
+    if (!pending.length) return from;
+
+    const tx = (sql, params = []) => db.run(sql, params);
+    const q  = (sql, params = []) => {
+      const result = db.exec(sql, params);
+      if (!result.length) return [];
+      const { columns, values } = result[0];
+      return values.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i]])));
+    };
+
+    // Table rebuilds need FK enforcement off; it cannot change inside a transaction
+    db.run('PRAGMA foreign_keys = OFF;');
+    try {
+      for (const step of pending) {
+        db.run('BEGIN;');
+        try {
+          step.up(tx, q);
+          db.run(`PRAGMA user_version = ${step.version};`);
+          db.run('COMMIT;');
+        } catch (err) {
+          db.run('ROLLBACK;');
+          throw new Error(`Migration v${step.version} (${step.name}) failed: ${err.message}`);
+        }
+        console.log(`[DB] Migrated to v${step.version} — ${step.name}`);
+      }
+      const broken = q('PRAGMA foreign_key_check');
+      if (broken.length) throw new Error(`Migration left ${broken.length} broken reference(s).`);
+    } finally {
+      db.run('PRAGMA foreign_keys = ON;');
+    }
+    return from;
   }
 
   // ── Initialisation ─────────────────────────────────────────────────────────
 
-  async function init(sqlJsConfig = {}) {
+  async function _loadSeed() {
+    const res = await fetch(DB_URL);
+    if (!res.ok) throw new Error(`Seed DB fetch failed: ${res.status}`);
+    const db = new _SQL.Database(new Uint8Array(await res.arrayBuffer()));
+    _migrate(db);
+    return db;
+  }
+
+  // password: needed when the IndexedDB copy is encrypted — without it (or with
+  // a wrong one) this throws PASSWORD_REQUIRED / WRONG_PASSWORD; call again with it
+  async function init(sqlJsConfig = {}, { password = '' } = {}) {
     if (_db) return _db;
 
-    _SQL = await initSqlJs(sqlJsConfig);
+    _SQL = _SQL || await initSqlJs(sqlJsConfig);
 
     const saved = await _loadFromIDB();
 
     if (saved) {
-      const candidate = new _SQL.Database(saved);
-      if (_isSchemaCurrent(candidate)) {
-        _db = candidate;
-        _db.run('PRAGMA foreign_keys = ON;');
-        console.log('[DB] Loaded from IndexedDB — schema current');
-      } else {
+      const unlocked  = await _unlock(saved, password);
+      const candidate = new _SQL.Database(unlocked.bytes);
+      _key = unlocked.key;
+      const version   = _getSchemaVersion(candidate);
+      try {
+        _assertNotNewer(version);
+        if (version < SCHEMA_VERSION) {
+          // Keep the untouched bytes so a failed or faulty upgrade can be recovered
+          await _writeSnapshot({ kind: 'before-upgrade', version, counts: _counts(candidate) }, saved);
+          _migrate(candidate);
+          await _store(candidate.export());
+          console.log(`[DB] Loaded from IndexedDB — upgraded v${version} → v${SCHEMA_VERSION}`);
+        } else {
+          console.log('[DB] Loaded from IndexedDB — schema current');
+        }
+      } catch (err) {
         candidate.close();
-        console.warn('[DB] Schema outdated — reloading seed');
-        const res = await fetch(DB_URL);
-        if (!res.ok) throw new Error(`Seed DB fetch failed: ${res.status}`);
-        _db = new _SQL.Database(new Uint8Array(await res.arrayBuffer()));
-        _db.run('PRAGMA foreign_keys = ON;');
-        await _saveToIDB(_db.export());
-        console.log('[DB] Reloaded from seed');
+        throw err;
       }
+      _db = candidate;
+      _db.run('PRAGMA foreign_keys = ON;');
     } else {
-      const res = await fetch(DB_URL);
-      if (!res.ok) throw new Error(`Seed DB fetch failed: ${res.status}`);
-      _db = new _SQL.Database(new Uint8Array(await res.arrayBuffer()));
+      _db = await _loadSeed();
       _db.run('PRAGMA foreign_keys = ON;');
-      await _saveToIDB(_db.export());
+      await _store(_export());
       console.log('[DB] First run — seed DB loaded');
     }
+    _device = await _loadFromIDB(DEVICE_KEY);
+    if (!_device) {
+      _device = _newUid();
+      await _saveToIDB(_device, DEVICE_KEY);
+    }
+    _pushed = (await _loadFromIDB(PUSHED_KEY)) || 0;
+    _carryOnLseq();
+    _installUndo();
+    _installSync();
+    await _autoSnapshot();
 
     return _db;
   }
@@ -107,7 +206,11 @@ const DB = (() => {
 
   function query(sql, params = []) {
     if (!_db) throw new Error('[DB] Not initialised.');
-    const result = _db.exec(sql, params);
+    return _rows(_db, sql, params);
+  }
+
+  function _rows(db, sql, params = []) {
+    const result = db.exec(sql, params);
     if (!result.length) return [];
     const { columns, values } = result[0];
     return values.map(row => {
@@ -121,28 +224,48 @@ const DB = (() => {
 
   async function run(sql, params = []) {
     if (!_db) throw new Error('[DB] Not initialised.');
-    _db.run(sql, params);
+    const mark = _undoLog.length;
+    try {
+      _db.run(sql, params);
+    } catch (err) {
+      _undoLog.length = mark;
+      _syncPending = [];
+      throw err;
+    }
+    _flushSync();
     _dirty = true;
     const lastId  = _db.exec('SELECT last_insert_rowid()')[0]?.values[0][0];
     const changes = _db.getRowsModified();
+    _pruneUndo();
     await persist();
     return { changes, lastInsertRowid: lastId };
   }
 
   // ── Transaction ────────────────────────────────────────────────────────────
 
-  async function transaction(fn) {
+  // undo: a label (or { label, ...details }) makes the transaction a step undo() can reverse
+  async function transaction(fn, { undo = null } = {}) {
     if (!_db) throw new Error('[DB] Not initialised.');
+    const info = typeof undo === 'string' ? { label: undo } : undo;
+    let step = null;
+    const mark = _undoLog.length;
     try {
       _db.run('BEGIN;');
+      const from = _undoSeq + 1;
       await fn(_runInTx);
+      _flushSync();
       _db.run('COMMIT;');
-      _dirty = true;
-      await persist();
+      if (info && _undoSeq >= from) step = { ...info, from, to: _undoSeq, at: new Date().toISOString() };
     } catch (err) {
       _db.run('ROLLBACK;');
+      _undoLog.length = mark;
+      _syncPending = [];
       throw err;
     }
+    if (step) _undoSteps = [..._undoSteps, step].slice(-UNDO_LIMIT);
+    _pruneUndo();
+    _dirty = true;
+    await persist();
   }
 
   function _runInTx(sql, params = []) {
@@ -153,34 +276,795 @@ const DB = (() => {
     };
   }
 
+  // ── Undo ───────────────────────────────────────────────────────────────────
+  //
+  // Temp triggers hand the inverse of every row change to undo_capture(), which
+  // keeps it in _undoLog. A labelled transaction becomes a step; undo() replays
+  // its inverse statements newest first. A step can only be undone while nothing
+  // since has touched the same rows.
+
+  const UNDO_LIMIT = 10;
+  // The audit log is append-only — an undo is logged, not erased. The sync
+  // tables track the change log itself; an undo reaches other desks as new changes.
+  const UNDO_SKIP  = ['audit_log', 'sync_changes', 'sync_versions', 'sync_conflicts', 'sync_state'];
+
+  let _undoSteps = [];   // [{ label, ...details, from, to, at }], oldest first
+  let _undoLog   = [];   // [{ seq, tbl, rowId, sql }]
+  let _undoSeq   = 0;
+  let _replaying = false;
+
+  function _resetUndo() {
+    _undoSteps = [];
+    _undoLog   = [];
+  }
+
+  // sql.js export() closes and reopens the connection, which drops temp
+  // triggers and functions — so this runs again after every export
+  function _installUndo() {
+    _db.create_function('undo_capture', (tbl, rowId, sql) => {
+      if (!_replaying) _undoLog.push({ seq: ++_undoSeq, tbl, rowId, sql });
+      return null;
+    });
+    const tables = query(`SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`)
+      .map(t => t.name).filter(t => !UNDO_SKIP.includes(t));
+    tables.forEach(t => {
+      const cols = query(`PRAGMA main.table_info(${t})`).map(c => `"${c.name}"`);
+      const capture = (row, sql) => `SELECT undo_capture('${t}', ${row}, ${sql});`;
+      _db.run(`CREATE TEMP TRIGGER IF NOT EXISTS undo_${t}_ins AFTER INSERT ON main.${t} BEGIN
+        ${capture('new.rowid', `'DELETE FROM ${t} WHERE rowid = ' || new.rowid`)}
+      END`);
+      _db.run(`CREATE TEMP TRIGGER IF NOT EXISTS undo_${t}_upd AFTER UPDATE ON main.${t} BEGIN
+        ${capture('old.rowid', `'UPDATE ${t} SET ${cols.map(c => `${c} = ' || quote(old.${c}) || '`).join(', ')}` +
+                               ` WHERE rowid = ' || old.rowid`)}
+      END`);
+      _db.run(`CREATE TEMP TRIGGER IF NOT EXISTS undo_${t}_del BEFORE DELETE ON main.${t} BEGIN
+        ${capture('old.rowid', `'INSERT INTO ${t} (rowid, ${cols.join(', ')}) VALUES (' || old.rowid || ', ' || ` +
+                               `${cols.map(c => `quote(old.${c})`).join(` || ', ' || `)} || ')'`)}
+      END`);
+    });
+  }
+
+  // sql.js reopens the connection to export it — the temp triggers and
+  // foreign key enforcement go with the old one
+  function _export() {
+    const bytes = _db.export();
+    _db.run('PRAGMA foreign_keys = ON;');
+    _installUndo();
+    _installSync();
+    return bytes;
+  }
+
+  // Only what the remaining steps, and anything after them, still need
+  function _pruneUndo() {
+    const from = _undoSteps[0]?.from;
+    _undoLog = from ? _undoLog.filter(e => e.seq >= from) : [];
+  }
+
+  // Newest first
+  function undoSteps() {
+    return _undoSteps.map(({ from, to, ...step }) => step).reverse();
+  }
+
+  // Reverses the newest step. fn(tx, step) runs in the same transaction.
+  async function undo(fn = null) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    const step = _undoSteps[_undoSteps.length - 1];
+    if (!step) throw new Error('Nothing to undo.');
+
+    const entries = _undoLog.filter(e => e.seq >= step.from && e.seq <= step.to);
+    const rows    = new Set(entries.map(e => `${e.tbl}:${e.rowId}`));
+    if (_undoLog.some(e => e.seq > step.to && rows.has(`${e.tbl}:${e.rowId}`))) {
+      _undoSteps = _undoSteps.slice(0, -1);
+      _pruneUndo();
+      throw new Error(`Can't undo “${step.label}” — those records have changed since.`);
+    }
+
+    try {
+      _db.run('BEGIN;');
+      // Children may come back before their parent row does
+      _db.run('PRAGMA defer_foreign_keys = ON;');
+      _replaying = true;
+      entries.reverse().forEach(({ sql }) => _db.run(sql));
+      _replaying = false;
+      if (fn) await fn(_runInTx, step);
+      _flushSync();
+      _db.run('COMMIT;');
+    } catch (err) {
+      _replaying = false;
+      _db.run('ROLLBACK;');
+      _syncPending = [];
+      throw err;
+    }
+    _undoSteps = _undoSteps.slice(0, -1);
+    _undoLog   = _undoLog.filter(e => e.seq < step.from || e.seq > step.to);
+    _pruneUndo();
+    _dirty = true;
+    await persist();
+    return step;
+  }
+
+  // ── Sync change log ────────────────────────────────────────────────────────
+  //
+  // While sync is on, every committed change to a table with a uid column is
+  // queued in sync_changes, one Lamport clock tick per transaction. Rows go
+  // out as JSON with foreign keys turned into the parent's uid, since ids
+  // differ from desk to desk. Changes from other desks come in through
+  // applyChanges(): per row, the higher (clock, device) wins everywhere, so
+  // every desk settles on the same data. Talking to the server is sync.js's job.
+
+  let _device      = null;    // this browser's id, kept beside the database in IndexedDB
+  let _pushed      = 0;       // PUSHED_KEY, likewise outside the database
+  let _clock       = 0;       // above every change made or seen here
+  let _syncOn      = false;
+  let _syncPending = [];      // [{ tbl, rowId, uid, op }] captured in the open transaction
+  let _applying    = false;
+  let _syncTables  = [];      // [{ name, cols, fks: { col: { table, to } }, unique: [col] }], parents first
+
+  function _newUid() {
+    return [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function _syncSetting(key) {
+    return _rows(_db, 'SELECT value FROM main.sync_state WHERE key = ?', [key])[0]?.value ?? null;
+  }
+
+  function _setSyncSetting(key, value) {
+    _db.run('INSERT OR REPLACE INTO main.sync_state (key, value) VALUES (?, ?)', [key, value]);
+  }
+
+  // Tables with a uid column, ordered so a parent comes before its children
+  function _loadSyncTables() {
+    const tables = query(`SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`)
+      .map(t => {
+        const cols   = query(`PRAGMA main.table_info(${t.name})`).map(c => c.name);
+        const unique = query(`PRAGMA main.index_list(${t.name})`)
+          .filter(ix => ix.unique && ix.origin !== 'pk')
+          .map(ix => query(`PRAGMA main.index_info("${ix.name}")`))
+          .filter(ix => ix.length === 1)
+          .map(ix => ix[0].name);
+        return {
+          name: t.name,
+          cols,
+          fks:  Object.fromEntries(query(`PRAGMA main.foreign_key_list(${t.name})`)
+                  .map(fk => [fk.from, { table: fk.table, to: fk.to }])),
+          // Single columns no two rows may share besides the uid, in table order
+          unique: cols.filter(c => c !== 'uid' && unique.includes(c)),
+        };
+      })
+      // The sync tables carry uids too, but they're this desk's own bookkeeping
+      .filter(t => t.cols.includes('uid') && !t.name.startsWith('sync_'));
+    const sorted = [], seen = new Set();
+    const visit = t => {
+      if (seen.has(t)) return;
+      seen.add(t);
+      Object.values(t.fks).forEach(fk => {
+        const parent = tables.find(p => p.name === fk.table);
+        if (parent) visit(parent);
+      });
+      sorted.push(t);
+    };
+    tables.forEach(visit);
+    return sorted;
+  }
+
+  // Like _installUndo, runs again after every export
+  function _installSync() {
+    if (!query("SELECT name FROM main.sqlite_master WHERE name = 'sync_state'").length) return;
+    _db.create_function('sync_capture', (tbl, rowId, uid, op) => {
+      if (_syncOn && !_applying) _syncPending.push({ tbl, rowId, uid, op });
+      return null;
+    });
+    _syncTables = _loadSyncTables();
+    _syncTables.forEach(({ name: t }) => {
+      const capture = (row, op) => `SELECT sync_capture('${t}', ${row}.rowid, ${row}.uid, '${op}');`;
+      _db.run(`CREATE TEMP TRIGGER IF NOT EXISTS sync_${t}_ins AFTER INSERT ON main.${t} BEGIN ${capture('new', 'upsert')} END`);
+      _db.run(`CREATE TEMP TRIGGER IF NOT EXISTS sync_${t}_upd AFTER UPDATE ON main.${t} BEGIN ${capture('new', 'upsert')} END`);
+      _db.run(`CREATE TEMP TRIGGER IF NOT EXISTS sync_${t}_del AFTER DELETE ON main.${t} BEGIN ${capture('old', 'delete')} END`);
+    });
+    _syncOn = _syncSetting('on') === '1';
+    _clock  = Math.max(_clock, _rows(_db, 'SELECT MAX(clock) AS c FROM main.sync_versions')[0].c || 0);
+  }
+
+  // Inside the open transaction, just before COMMIT — the last change to each row counts
+  function _flushSync() {
+    if (!_syncPending.length) return;
+    const last = new Map();
+    _syncPending.forEach(({ tbl, rowId, uid, op }) => {
+      // A new row gets its uid from a trigger that may run after the capture
+      if (op === 'upsert') uid = _rows(_db, `SELECT uid FROM main.${tbl} WHERE rowid = ?`, [rowId])[0]?.uid;
+      if (!uid) return;
+      last.delete(`${tbl}:${uid}`);
+      last.set(`${tbl}:${uid}`, { tbl, uid, op });
+    });
+    _syncPending = [];
+    if (!last.size) return;
+    const clock = ++_clock;
+    last.forEach(({ tbl, uid, op }) => {
+      _db.run('INSERT INTO main.sync_changes (tbl, uid, op, clock) VALUES (?, ?, ?, ?)', [tbl, uid, op, clock]);
+      _db.run('INSERT OR REPLACE INTO main.sync_versions (tbl, uid, clock, device) VALUES (?, ?, ?, ?)',
+              [tbl, uid, clock, _device]);
+    });
+  }
+
+  function syncInfo() {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    return {
+      on:      _syncOn,
+      device:  _device,
+      clock:   _clock,
+      pulled:  Number(_syncSetting('pulled')) || 0,
+      pending: _rows(_db, 'SELECT COUNT(*) AS n FROM main.sync_changes')[0].n,
+    };
+  }
+
+  // replaceLocal: this desk joins a library the server already has — its own
+  // rows go (a snapshot keeps them) and the next pull brings everything.
+  // Otherwise it's the first desk, and every row is queued to go out.
+  async function startSync({ replaceLocal = false } = {}) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    if (replaceLocal) await _snapshot('before-sync');
+    _db.run('BEGIN;');
+    try {
+      _db.run('DELETE FROM main.sync_changes;');
+      if (replaceLocal) {
+        _applying = true;
+        [..._syncTables].reverse().forEach(t => _db.run(`DELETE FROM main.${t.name};`));
+        _db.run('DELETE FROM main.sync_versions;');
+      } else {
+        _queueAllRows();
+      }
+      _setSyncSetting('pulled', '0');
+      _setSyncSetting('on', '1');
+      _db.run('COMMIT;');
+    } catch (err) {
+      _db.run('ROLLBACK;');
+      throw err;
+    } finally {
+      _applying = false;
+    }
+    _syncOn = true;
+    if (replaceLocal) _resetUndo();
+    _dirty = true;
+    await persist();
+  }
+
+  // Every row goes out as this desk's newest version
+  function _queueAllRows() {
+    const clock = ++_clock;
+    _syncTables.forEach(t => {
+      _db.run(`INSERT INTO main.sync_changes (tbl, uid, op, clock) SELECT '${t.name}', uid, 'upsert', ? FROM main.${t.name}`, [clock]);
+      _db.run(`INSERT OR REPLACE INTO main.sync_versions (tbl, uid, clock, device)
+               SELECT '${t.name}', uid, ?, ? FROM main.${t.name}`, [clock, _device]);
+    });
+  }
+
+  // After a rollback or restore. Sharing is this desk's choice, not the
+  // file's: an older file can't switch it off (or on). While sharing, the
+  // older data goes out again as new — otherwise the other desks keep theirs
+  // and the next pull overwrites it here. Rows added elsewhere since come
+  // back with that pull, as the file's own `pulled` is older too.
+  function _keepSharing(wasOn) {
+    if (!query("SELECT name FROM main.sqlite_master WHERE name = 'sync_state'").length) return;
+    _db.run('BEGIN;');
+    try {
+      _db.run('DELETE FROM main.sync_changes;');
+      if (wasOn) {
+        _clock = Math.max(_clock, _rows(_db, 'SELECT MAX(clock) AS c FROM main.sync_versions')[0].c || 0);
+        _queueAllRows();
+        if (_syncSetting('on') !== '1') _setSyncSetting('pulled', '0');
+      }
+      _setSyncSetting('on', wasOn ? '1' : '0');
+      _db.run('COMMIT;');
+    } catch (err) {
+      _db.run('ROLLBACK;');
+      throw err;
+    }
+  }
+
+  // Changes not yet sent are dropped; the data stays as it is
+  async function stopSync() {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    _db.run('DELETE FROM main.sync_changes;');
+    _setSyncSetting('on', '0');
+    _syncOn = false;
+    _dirty = true;
+    await persist();
+  }
+
+  // A row as it travels: every column but the local id, parents by uid
+  function _outgoingRow(table, uid) {
+    const row = _rows(_db, `SELECT * FROM main.${table.name} WHERE uid = ?`, [uid])[0];
+    if (!row) return null;
+    delete row.id;
+    Object.entries(table.fks).forEach(([col, fk]) => {
+      if (row[col] === null) return;
+      row[col] = _rows(_db, `SELECT uid FROM main.${fk.table} WHERE ${fk.to} = ?`, [row[col]])[0]?.uid ?? null;
+    });
+    return row;
+  }
+
+  // → [{ lseq, clock, tbl, uid, op, row }], oldest first, rows as they are now
+  function pendingChanges(limit = 200) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    return _rows(_db, 'SELECT * FROM main.sync_changes ORDER BY seq LIMIT ?', [limit]).map(c => {
+      const table = _syncTables.find(t => t.name === c.tbl);
+      const row   = c.op === 'upsert' && table ? _outgoingRow(table, c.uid) : null;
+      return { lseq: c.seq, clock: c.clock, tbl: c.tbl, uid: c.uid, op: row ? 'upsert' : 'delete', row };
+    });
+  }
+
+  // Everything up to lseq reached the server
+  async function markPushed(lseq) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    _db.run('DELETE FROM main.sync_changes WHERE seq <= ?', [lseq]);
+    if (lseq > _pushed) {
+      _pushed = lseq;
+      await _saveToIDB(_pushed, PUSHED_KEY);
+    }
+    _dirty = true;
+    await persist();
+  }
+
+  // The server ignores an lseq it has already had from this device, and the
+  // counter lives in the database — so a restored or rolled-back file, which
+  // brings an older counter, has it moved on past the last one sent. Changes
+  // the file still holds as waiting are queued again above it.
+  function _carryOnLseq() {
+    if (!_pushed || !query("SELECT name FROM main.sqlite_master WHERE name = 'sync_changes'").length) return;
+    const seq = _rows(_db, "SELECT seq FROM main.sqlite_sequence WHERE name = 'sync_changes'")[0]?.seq;
+    if (seq >= _pushed) return;
+    if (seq === undefined) _db.run("INSERT INTO main.sqlite_sequence (name, seq) VALUES ('sync_changes', ?)", [_pushed]);
+    else _db.run("UPDATE main.sqlite_sequence SET seq = ? WHERE name = 'sync_changes'", [_pushed]);
+    _db.run(`INSERT INTO main.sync_changes (tbl, uid, op, clock)
+             SELECT tbl, uid, op, clock FROM main.sync_changes WHERE seq <= ? ORDER BY seq`, [_pushed]);
+    _db.run('DELETE FROM main.sync_changes WHERE seq <= ?', [_pushed]);
+  }
+
+  function _newer(a, b) {
+    return a.clock !== b.clock ? a.clock > b.clock : a.device > b.device;
+  }
+
+  function _noteConflict(kind, change, summary) {
+    _db.run(`INSERT INTO main.sync_conflicts (found_at, kind, tbl, uid, device, summary) VALUES (?, ?, ?, ?, ?, ?)`,
+            [new Date().toISOString(), kind, change.tbl, change.uid, change.device, summary]);
+  }
+
+  // Queued like a change made here, for a row this desk altered while applying
+  function _queueChange(tbl, uid) {
+    const clock = ++_clock;
+    _db.run('INSERT INTO main.sync_changes (tbl, uid, op, clock) VALUES (?, ?, ?, ?)', [tbl, uid, 'upsert', clock]);
+    _db.run('INSERT OR REPLACE INTO main.sync_versions (tbl, uid, clock, device) VALUES (?, ?, ?, ?)',
+            [tbl, uid, clock, _device]);
+  }
+
+  function _applyOne(table, change, renumber) {
+    const exists = _rows(_db, `SELECT rowid FROM main.${table.name} WHERE uid = ?`, [change.uid]).length;
+    if (change.op === 'delete') {
+      if (exists) _db.run(`DELETE FROM main.${table.name} WHERE uid = ?`, [change.uid]);
+      return;
+    }
+    const values = {};
+    Object.entries(change.row || {}).forEach(([col, value]) => {
+      if (col === 'id' || !table.cols.includes(col)) return;   // a column this version doesn't have
+      const fk = table.fks[col];
+      if (!fk || value === null) { values[col] = value; return; }
+      const parent = _rows(_db, `SELECT ${fk.to} AS id FROM main.${fk.table} WHERE uid = ?`, [value])[0];
+      if (!parent) throw new Error(`it refers to a ${fk.table} row this desk doesn't have`);
+      values[col] = parent.id;
+    });
+
+    // A number two desks gave out before they synced (an accession number, a
+    // member ID). The older row keeps it on every desk. The newer one is
+    // renumbered by the desk that last changed it, and the new number goes out
+    // from there; every other desk leaves it without one until that arrives.
+    const yielding = new Map();   // uid of this desk's row → [{ col, was }]
+    table.unique.forEach(col => {
+      if (!renumber[table.name]?.[col] || values[col] === null || values[col] === undefined) return;
+      const other = _rows(_db, `SELECT uid FROM main.${table.name} WHERE "${col}" = ? AND uid != ?`,
+                          [values[col], change.uid])[0];
+      if (!other) return;
+      const theirs = _rows(_db, 'SELECT clock, device FROM main.sync_versions WHERE tbl = ? AND uid = ?',
+                           [table.name, other.uid])[0] || { clock: 0, device: '' };
+      if (!_newer(theirs, change)) { values[col] = null; return; }
+      _db.run(`UPDATE main.${table.name} SET "${col}" = NULL WHERE uid = ?`, [other.uid]);
+      if (theirs.device === _device) yielding.set(other.uid, [...(yielding.get(other.uid) || []), { col, was: values[col] }]);
+    });
+
+    const cols = Object.keys(values);
+    if (exists) {
+      _db.run(`UPDATE main.${table.name} SET ${cols.map(c => `"${c}" = ?`).join(', ')} WHERE uid = ?`,
+              [...cols.map(c => values[c]), change.uid]);
+    } else {
+      _db.run(`INSERT INTO main.${table.name} (${cols.map(c => `"${c}"`).join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+              cols.map(c => values[c]));
+    }
+
+    yielding.forEach((clashes, uid) => {
+      const now = clashes.map(({ col }) => {
+        const value = renumber[table.name][col](_rows(_db, `SELECT * FROM main.${table.name} WHERE uid = ?`, [uid])[0]);
+        _db.run(`UPDATE main.${table.name} SET "${col}" = ? WHERE uid = ?`, [value, uid]);
+        return value;
+      });
+      _queueChange(table.name, uid);
+      const name = clashes[0].col.replace(/_/g, ' ').replace(/\bid$/, 'ID');
+      _noteConflict('renumbered', { tbl: table.name, uid, device: change.device },
+                    `${name[0].toUpperCase()}${name.slice(1)} ${clashes[0].was} was given out on another desk too — now ${now[0]}`);
+    });
+  }
+
+  // changes: from the server, in its order — [{ seq, device, clock, tbl, uid, op, row }].
+  // renumber: { table: { col: row => a free value } } for the unique columns
+  // whose clashes can be settled with a new number. One that can't be applied
+  // (a clash with a unique name, a missing parent) is skipped and noted.
+  // → { applied, conflicts }
+  async function applyChanges(changes, { renumber = {} } = {}) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    let applied = 0, conflicts = 0;
+    _db.run('BEGIN;');
+    _applying = true;
+    try {
+      for (const change of changes) {
+        _clock = Math.max(_clock, change.clock);
+        const table = _syncTables.find(t => t.name === change.tbl);
+        if (change.device === _device || !table) continue;
+
+        const mine = _rows(_db, 'SELECT clock, device FROM main.sync_versions WHERE tbl = ? AND uid = ?',
+                           [change.tbl, change.uid])[0];
+        if (mine && !_newer(change, mine)) continue;
+
+        _db.run('SAVEPOINT sync_change;');
+        try {
+          _applyOne(table, change, renumber);
+          _db.run('RELEASE sync_change;');
+        } catch (err) {
+          _db.run('ROLLBACK TO sync_change;');
+          _db.run('RELEASE sync_change;');
+          _noteConflict('failed', change, `Couldn't apply: ${err.message}`);
+          conflicts++;
+          continue;
+        }
+
+        // Overrides a change made here that hadn't gone out yet — that one is dropped
+        const waiting = _rows(_db, 'SELECT COUNT(*) AS n FROM main.sync_changes WHERE tbl = ? AND uid = ?',
+                              [change.tbl, change.uid])[0].n;
+        if (waiting) {
+          _db.run('DELETE FROM main.sync_changes WHERE tbl = ? AND uid = ?', [change.tbl, change.uid]);
+          _noteConflict('overridden', change, change.op === 'delete' ? 'Deleted on another desk' : 'Changed on another desk');
+          conflicts++;
+        }
+        _db.run('INSERT OR REPLACE INTO main.sync_versions (tbl, uid, clock, device) VALUES (?, ?, ?, ?)',
+                [change.tbl, change.uid, change.clock, change.device]);
+        applied++;
+      }
+      if (changes.length) _setSyncSetting('pulled', String(Math.max(...changes.map(c => c.seq))));
+      _db.run('COMMIT;');
+    } catch (err) {
+      _db.run('ROLLBACK;');
+      throw err;
+    } finally {
+      _applying = false;
+    }
+    _pruneUndo();
+    _dirty = true;
+    await persist();
+    return { applied, conflicts };
+  }
+
   // ── Persistence ────────────────────────────────────────────────────────────
 
   async function persist() {
     if (!_db || !_dirty) return;
-    await _saveToIDB(_db.export());
+    await _store(_export());
     _dirty = false;
+    await _autoSnapshot();
+  }
+
+  // ── Snapshots (restore points) ─────────────────────────────────────────────
+  //
+  // An automatic copy each day the app is used, kept daily for a week and
+  // weekly for two months, plus one-off copies taken before an upgrade, a
+  // restore or a rollback. Snapshots are sealed like the main copy and
+  // re-sealed when storage encryption changes. The oldest go first once they
+  // outgrow SNAPSHOT_BUDGET.
+
+  const SNAPSHOT_KINDS = {
+    'auto':            'Automatic',
+    'before-upgrade':  'Before upgrade',
+    'before-restore':  'Before restore',
+    'before-rollback': 'Before rollback',
+    'before-sync':     'Before joining sync',
+  };
+  const KEEP_DAILY_DAYS  = 7;
+  const KEEP_WEEKLY_DAYS = 63;   // nine weeks, so two whole months keep one a week
+  const SNAPSHOT_BUDGET  = 50 * 1024 * 1024;
+  const COUNTED_TABLES   = ['books', 'items', 'patrons', 'borrows'];
+
+  let _lastAutoDay = null;
+  let _preRestore  = null;   // snapshot id restoreDB() took, for revertRestore()
+
+  // Row counts shown beside a snapshot; a table an old schema lacks is null
+  function _counts(db) {
+    const tables = _rows(db, "SELECT name FROM sqlite_master WHERE type = 'table'").map(t => t.name);
+    return Object.fromEntries(COUNTED_TABLES.map(t =>
+      [t, tables.includes(t) ? _rows(db, `SELECT COUNT(*) AS n FROM ${t}`)[0].n : null]));
+  }
+
+  // meta without an id adds a snapshot, with one replaces it. bytes are stored as given.
+  async function _writeSnapshot(meta, bytes) {
+    const record = {
+      at: new Date().toISOString(), day: today(), ...meta,
+      size: bytes.length, encrypted: Vault.isEncrypted(bytes),
+    };
+    const idb = await _openIDB();
+    return new Promise((resolve, reject) => {
+      const tx  = idb.transaction([IDB_SNAPSHOTS, IDB_SNAPSHOT_FILES], 'readwrite');
+      const req = tx.objectStore(IDB_SNAPSHOTS).put(record);
+      req.onsuccess = e => tx.objectStore(IDB_SNAPSHOT_FILES).put(bytes, e.target.result);
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror    = e => reject(e.target.error);
+    });
+  }
+
+  async function _deleteSnapshot(id) {
+    const idb = await _openIDB();
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction([IDB_SNAPSHOTS, IDB_SNAPSHOT_FILES], 'readwrite');
+      tx.objectStore(IDB_SNAPSHOTS).delete(id);
+      tx.objectStore(IDB_SNAPSHOT_FILES).delete(id);
+      tx.oncomplete = () => resolve();
+      tx.onerror    = e => reject(e.target.error);
+    });
+  }
+
+  async function _snapshotBytes(id) {
+    const bytes = await _idbRequest(IDB_SNAPSHOT_FILES, 'readonly', store => store.get(id));
+    if (!bytes) throw new Error('That restore point no longer exists.');
+    return bytes;
+  }
+
+  async function _snapshot(kind) {
+    return _writeSnapshot({ kind, version: SCHEMA_VERSION, counts: _counts(_db) }, await _seal(_export()));
+  }
+
+  // Newest first
+  async function listSnapshots() {
+    const all = await _idbRequest(IDB_SNAPSHOTS, 'readonly', store => store.getAll());
+    return all.sort((a, b) => b.id - a.id);
+  }
+
+  // Monday of the week a date falls in
+  function _weekOf(dateStr) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    return addDays(dateStr, -((new Date(y, m - 1, d).getDay() + 6) % 7));
+  }
+
+  // Walks newest to oldest: the latest automatic snapshot of each recent day,
+  // then of each week, stays; one-offs stay for the same two months. The
+  // newest snapshot always survives the budget.
+  async function _pruneSnapshots() {
+    const now  = today();
+    const used = new Set();
+    let total  = 0;
+    for (const [n, snap] of (await listSnapshots()).entries()) {
+      const age = daysBetween(snap.day, now);
+      let keep  = age <= KEEP_WEEKLY_DAYS;
+      if (keep && snap.kind === 'auto') {
+        const slot = age < KEEP_DAILY_DAYS ? snap.day : `week of ${_weekOf(snap.day)}`;
+        keep = !used.has(slot);
+        used.add(slot);
+      }
+      if (keep && n > 0 && total + snap.size > SNAPSHOT_BUDGET) keep = false;
+      if (keep) total += snap.size;
+      else await _deleteSnapshot(snap.id);
+    }
+  }
+
+  // At start-up, and on the first save of a new day for an app left open
+  // overnight. A full disk skips the snapshot rather than the save.
+  async function _autoSnapshot() {
+    const day = today();
+    if (_lastAutoDay === day) return;
+    _lastAutoDay = day;
+    try {
+      const latest = (await listSnapshots()).find(s => s.kind === 'auto');
+      if (latest?.day !== day) await _snapshot('auto');
+      await _pruneSnapshots();
+    } catch (err) {
+      console.warn('[DB] Snapshot skipped:', err);
+    }
+  }
+
+  // After the storage key changes. One sealed under a password from before
+  // that can't be opened stays as it is — rolling back to it asks for it.
+  async function _resealSnapshots(oldKey) {
+    for (const snap of await listSnapshots()) {
+      let plain;
+      try {
+        plain = (await _unlock(await _snapshotBytes(snap.id), oldKey)).bytes;
+      } catch {
+        continue;
+      }
+      await _writeSnapshot(snap, await _seal(plain));
+    }
+  }
+
+  // As a .gnoke file when sealed — it opens in Restore with the device password
+  async function downloadSnapshot(id) {
+    const snap = (await listSnapshots()).find(s => s.id === id);
+    if (!snap) throw new Error('That restore point no longer exists.');
+    _download(await _snapshotBytes(id), `gnoke-library-${snap.day}.${snap.encrypted ? 'gnoke' : 'db'}`);
+    return snap;
+  }
+
+  // Makes a snapshot the live database, upgrading it if it's from an older
+  // schema. Unless keepCurrent is false, the current data is snapshotted first
+  // → that snapshot's id, to roll back the rollback.
+  // password: only for a snapshot sealed under an earlier password.
+  async function rollbackToSnapshot(id, { keepCurrent = true, password = '' } = {}) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    const { bytes } = await _unlock(await _snapshotBytes(id), password || _key);
+    const candidate = new _SQL.Database(bytes);
+    try {
+      _assertNotNewer(_getSchemaVersion(candidate));
+      _migrate(candidate);
+    } catch (err) {
+      candidate.close();
+      throw err;
+    }
+    const saved = keepCurrent ? await _snapshot('before-rollback') : null;
+    _db.close();
+    const sharing = _syncOn;
+    _db = candidate;
+    _db.run('PRAGMA foreign_keys = ON;');
+    _carryOnLseq();
+    _keepSharing(sharing);
+    _resetUndo();
+    await _store(_export());
+    console.log(`[DB] Rolled back to snapshot ${id}`);
+    return saved;
+  }
+
+  // ── Storage encryption ─────────────────────────────────────────────────────
+  //
+  // The password is only ever held as a derived key, in memory. Forgetting it
+  // loses the data on this device — a backup is the only way back.
+
+  function isStorageEncrypted() {
+    return !!_key;
+  }
+
+  // password: turns encryption on, or changes the password; null turns it off
+  async function setStorageEncryption(password) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    if (password !== null) {
+      const problem = Vault.passwordProblem(password);
+      if (problem) throw new Error(problem);
+    }
+    const oldKey = _key;
+    _key = password === null ? null : await Vault.createKey(password);
+    await _store(_export());
+    await _resealSnapshots(oldKey);
   }
 
   // ── Export / Restore ───────────────────────────────────────────────────────
 
-  function exportDB(filename = 'gnoke-library-backup.db') {
+  // password: encrypts the file (see vault.js for the format)
+  async function exportDB(filename = 'gnoke-library-backup.db', { password = '' } = {}) {
+    if (!_db) throw new Error('[DB] Not initialised.');
+    _download(password ? await Vault.encrypt(_export(), password) : _export(), filename);
+  }
+
+  const GZIP_MAGIC = [0x1f, 0x8b];
+
+  function _isGzip(bytes) {
+    return bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1];
+  }
+
+  // Through CompressionStream / DecompressionStream. gzip carries a CRC-32,
+  // so a damaged package fails here rather than as a broken database.
+  async function _pipe(bytes, stream) {
+    const writer = stream.writable.getWriter();
+    writer.write(bytes).catch(() => {});
+    writer.close().catch(() => {});
+    return new Uint8Array(await new Response(stream.readable).arrayBuffer());
+  }
+
+  // The database compressed for moving to another device — then encrypted
+  // when there's a password. openBackup() takes it like any backup.
+  async function exportPackage({ password = '' } = {}) {
     if (!_db) throw new Error('[DB] Not initialised.');
-    const blob = new Blob([_db.export()], { type: 'application/octet-stream' });
+    const packed = await _pipe(_export(), new CompressionStream('gzip'));
+    return password ? Vault.encrypt(packed, password) : packed;
+  }
+
+  function _download(bytes, filename) {
+    const blob = new Blob([bytes], { type: 'application/octet-stream' });
     const url  = URL.createObjectURL(blob);
     const a    = Object.assign(document.createElement('a'), { href: url, download: filename });
     a.click();
     URL.revokeObjectURL(url);
   }
 
-  async function restoreDB(file) {
-    const uint8 = new Uint8Array(await file.arrayBuffer());
-    if (_db) _db.close();
-    _db = new _SQL.Database(uint8);
+  // Tables every Gnoke Library database has had since v1
+  const REQUIRED_TABLES = ['books', 'categories', 'borrows', 'settings'];
+  const SQLITE_MAGIC    = 'SQLite format 3\0';
+
+  const _backups = new WeakMap();   // handle from openBackup() → its Database
+
+  // Checks a backup file without touching the open database: SQLite, intact,
+  // a Gnoke Library schema no newer than this app's — then upgrades it in memory.
+  // An encrypted file throws PASSWORD_REQUIRED / WRONG_PASSWORD until given its password;
+  // a compressed one (exportPackage) is unpacked first.
+  // → { fileName, version, query(sql, params), close() } for restoreDB() or a merge
+  async function openBackup(file, { password = '' } = {}) {
+    const name = file.name || 'This file';
+    let { bytes } = await _unlock(new Uint8Array(await file.arrayBuffer()), password);
+    if (_isGzip(bytes)) {
+      try { bytes = await _pipe(bytes, new DecompressionStream('gzip')); }
+      catch { throw new Error(`“${name}” is damaged — it doesn't decompress cleanly.`); }
+    }
+    if (String.fromCharCode(...bytes.subarray(0, SQLITE_MAGIC.length)) !== SQLITE_MAGIC) {
+      throw new Error(`“${name}” isn't a Gnoke Library backup — it isn't a database file at all.`);
+    }
+
+    const candidate = new _SQL.Database(bytes);
+    let version;
+    try {
+      let check;
+      try { check = _rows(candidate, 'PRAGMA integrity_check').map(r => r.integrity_check); }
+      catch (err) { check = [err.message]; }   // too broken to even check
+      if (check[0] !== 'ok') throw new Error(`“${name}” is damaged: ${check.slice(0, 3).join('; ')}`);
+      const tables  = _rows(candidate, "SELECT name FROM sqlite_master WHERE type = 'table'").map(t => t.name);
+      const missing = REQUIRED_TABLES.filter(t => !tables.includes(t));
+      if (missing.length) {
+        throw new Error(`“${name}” isn't a Gnoke Library backup — it has no ${missing.join(', ')} table.`);
+      }
+      version = _getSchemaVersion(candidate);
+      _assertNotNewer(version);
+      _migrate(candidate);
+    } catch (err) {
+      candidate.close();
+      throw err;
+    }
+
+    const backup = {
+      fileName: file.name,
+      version,
+      query: (sql, params = []) => _rows(candidate, sql, params),
+      close: () => { if (_backups.delete(backup)) candidate.close(); },
+    };
+    _backups.set(backup, candidate);
+    return backup;
+  }
+
+  // Replaces the open database with a backup from openBackup(). The current one
+  // is snapshotted first (revertRestore puts it back). The restored data is stored
+  // under this device's encryption setting, not the file's.
+  async function restoreDB(backup) {
+    const candidate = _backups.get(backup);
+    if (!candidate) throw new Error('That backup has already been used or closed.');
+    const sharing = _db ? _syncOn : null;
+    if (_db) {
+      _preRestore = await _snapshot('before-restore');
+      _db.close();
+    }
+    _backups.delete(backup);
+    _db = candidate;
     _db.run('PRAGMA foreign_keys = ON;');
-    await _saveToIDB(_db.export());
+    _carryOnLseq();
+    if (sharing !== null) _keepSharing(sharing);
+    _resetUndo();
+    await _store(_export());
     console.log('[DB] Restored from file');
   }
 
+  async function revertRestore() {
+    if (!_preRestore) throw new Error('There is no earlier database to go back to.');
+    await rollbackToSnapshot(_preRestore, { keepCurrent: false });
+    _preRestore = null;
+    console.log('[DB] Restore reverted');
+  }
+
   // ── Utilities ──────────────────────────────────────────────────────────────
 
   function today() {
@@ -188,6 +1072,18 @@ const DB = (() => {
     return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`;
   }
 
+  function addDays(dateStr, days) {
+    const [y, m, d] = dateStr.split('-').map(Number);
+    const dt = new Date(y, m - 1, d + days);
+    return `${dt.getFullYear()}-${String(dt.getMonth()+1).padStart(2,'0')}-${String(dt.getDate()).padStart(2,'0')}`;
+  }
+
+  function daysBetween(fromStr, toStr) {
+    const [y1, m1, d1] = fromStr.split('-').map(Number);
+    const [y2, m2, d2] = toStr.split('-').map(Number);
+    return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 86400000);
+  }
+
   function formatDate(dateStr) {
     if (!dateStr) return '—';
     const [y, m, d] = dateStr.split('-').map(Number);
@@ -200,8 +1096,13 @@ const DB = (() => {
 
   return {
     init, query, run, transaction, persist,
-    exportDB, restoreDB,
-    today, formatDate,
+    undo, undoSteps,
+    isStorageEncrypted, setStorageEncryption,
+    exportDB, exportPackage, openBackup, restoreDB, revertRestore,
+    SNAPSHOT_KINDS, SNAPSHOT_BUDGET, listSnapshots, downloadSnapshot, rollbackToSnapshot,
+    syncInfo, startSync, stopSync, pendingChanges, markPushed, applyChanges,
+    SCHEMA_VERSION,
+    today, addDays, daysBetween, formatDate,
   };
 
 })();
@@ -4,69 +4,400 @@
  * Licensed under GNU GPL v3
  *
  * Data access layer for:
- *   - Books (CRUD)
+ *   - Books (CRUD, ranked search, sorted/filtered pages, withdrawing)
+ *   - Items — individual physical copies
  *   - Categories (CRUD)
- *   - Borrows (record, return, history)
- *   - Stats / summary
+ *   - Catalogue import (validated, all-or-nothing)
+ *   - Patrons (CRUD, profile)
+ *   - Loan policies (per-category periods, loan limits)
+ *   - Borrows (record, return, renew, filtered history)
+ *   - Holds (FIFO reservation queue per title)
+ *   - Fines (overdue charges, payments, waivers)
+ *   - Receipts & overdue notices (the loans behind each printed slip)
+ *   - Audit log (append-only record of every change)
+ *   - Backup preview and merging another branch's backup
+ *   - Sync between desks (starting, conflicts for review)
+ *   - Staff accounts (PIN sign-in, role permissions on every change)
+ *   - Scanned code lookup (copy, patron card, ISBN)
+ *   - Stats / summary, circulation reports over a date range
+ *   - Collection health (dead stock, demand, category balance)
  *   - Settings
+ *   - Undo of deletes, returns and the reset
  *
- * Depends on db-core.js
+ * Depends on db-core.js, isbn.js, search.js and WebCrypto (PIN hashing)
  */
 
 const DBLib = (() => {
 
   // ── Books ──────────────────────────────────────────────────────────────────
 
+  // Holdings are derived from items: lost and withdrawn copies are no longer owned
+  const BOOK_COLUMNS = `
+    bk.*,
+    (SELECT COUNT(*) FROM items i
+      WHERE i.book_id = bk.id AND i.status NOT IN ('lost', 'withdrawn')) AS owned,
+    (SELECT COUNT(*) FROM items i
+      WHERE i.book_id = bk.id AND i.status = 'available') AS available`;
+
   function getAllBooks() {
-    return DB.query('SELECT * FROM books ORDER BY title ASC');
+    return DB.query(`SELECT ${BOOK_COLUMNS} FROM books bk ORDER BY bk.title ASC`);
   }
 
   function getBook(id) {
-    return DB.query('SELECT * FROM books WHERE id = ?', [id])[0] || null;
+    return DB.query(`SELECT ${BOOK_COLUMNS} FROM books bk WHERE bk.id = ?`, [id])[0] || null;
+  }
+
+  // Ranked, typo-tolerant search — see search.js for the query syntax.
+  // A copy's barcode or accession number, or an ISBN in either form, goes straight to its title.
+  function _searchBookIds(term) {
+    const ids = _searchIndex().search(term).map(hit => hit.id);
+    const isbn13 = ISBN.parse(term)?.isbn13;
+    const exact = [
+      findItemByCode(term)?.book_id,
+      ...(isbn13 ? DB.query('SELECT id FROM books WHERE isbn = ?', [isbn13]).map(b => b.id) : []),
+    ].filter(Boolean);
+    return [...new Set([...exact, ...ids])];
   }
 
   function searchBooks(term) {
-    const t = `%${term}%`;
-    return DB.query(`
-      SELECT * FROM books
-      WHERE title LIKE ? OR author LIKE ? OR isbn LIKE ? OR category LIKE ?
-      ORDER BY title ASC
-    `, [t, t, t, t]);
+    return queryBooks({ search: term }).rows;
   }
 
-  async function addBook({ title, author, isbn = '', category, copies = 1 }) {
-    // Check if exact same title+isbn exists → increment copies instead
-    const existing = DB.query(
-      `SELECT * FROM books WHERE LOWER(TRIM(title)) = LOWER(TRIM(?)) AND LOWER(TRIM(isbn)) = LOWER(TRIM(?))`,
-      [title, isbn]
-    )[0];
+  // Column keys the books table can sort on — these go into the SQL, so whitelist only
+  const BOOK_SORTS = {
+    title:     'title COLLATE NOCASE',
+    author:    'author COLLATE NOCASE',
+    isbn:      'isbn',
+    category:  'category COLLATE NOCASE',
+    owned:     'owned',
+    available: 'available',
+  };
+
+  const BOOK_AVAILABILITY = {
+    available:      'available > 0',
+    out:            'owned > 0 AND available = 0',
+    'not-for-loan': 'not_for_loan = 1',
+    withdrawn:      'withdrawn_on IS NOT NULL',
+  };
 
-    if (existing) {
-      await DB.run('UPDATE books SET copies = copies + ? WHERE id = ?', [copies, existing.id]);
-      return { id: existing.id, merged: true, copies: existing.copies + copies };
+  // One page of the catalogue → { rows, total }.
+  // No sort given: best match first when searching, otherwise by title.
+  function queryBooks({ search = '', category = '', availability = '', sort = '', dir = 'asc', limit = -1, offset = 0 } = {}) {
+    const params = [], where = [];
+    let from = 'books bk', rank = '';
+    if (search) {
+      // json_each keeps the search ranking as r.key
+      from = 'json_each(?) r JOIN books bk ON bk.id = r.value';
+      rank = ', r.key AS rank';
+      params.push(JSON.stringify(_searchBookIds(search)));
     }
+    if (category) {
+      where.push('LOWER(TRIM(category)) = LOWER(TRIM(?))');
+      params.push(category);
+    }
+    if (BOOK_AVAILABILITY[availability]) where.push(BOOK_AVAILABILITY[availability]);
 
-    const result = await DB.run(
-      `INSERT INTO books (title, author, isbn, category, copies) VALUES (?, ?, ?, ?, ?)`,
-      [title, author, isbn, category, copies]
-    );
-    return { id: result.lastInsertRowid, merged: false, copies };
+    const order = BOOK_SORTS[sort]
+      ? `${BOOK_SORTS[sort]} ${dir === 'desc' ? 'DESC' : 'ASC'}, title COLLATE NOCASE ASC`
+      : search ? 'rank ASC' : 'title ASC';
+    const sql = `
+      SELECT * FROM (SELECT ${BOOK_COLUMNS}${rank} FROM ${from})
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`;
+
+    return {
+      rows:  DB.query(`${sql} ORDER BY ${order} LIMIT ? OFFSET ?`, [...params, limit, offset]),
+      total: DB.query(`SELECT COUNT(*) AS n FROM (${sql})`, params)[0].n,
+    };
   }
 
-  async function updateBook(id, { title, author, category }) {
-    await DB.run(
-      'UPDATE books SET title = ?, author = ?, category = ? WHERE id = ?',
-      [title, author, category, id]
-    );
+  // A valid ISBN identifies the edition on its own, whatever form it was typed in;
+  // anything else only matches the same title with the same code
+  function _findDuplicateBook(title, isbn) {
+    const canonical = ISBN.normalize(isbn);
+    if (ISBN.parse(canonical)?.valid) {
+      return DB.query('SELECT id FROM books WHERE isbn = ? ORDER BY id ASC LIMIT 1', [canonical])[0] || null;
+    }
+    return DB.query(
+      `SELECT id FROM books WHERE LOWER(TRIM(title)) = LOWER(TRIM(?)) AND LOWER(TRIM(isbn)) = LOWER(TRIM(?))`,
+      [title, canonical]
+    )[0] || null;
+  }
+
+  // Already catalogued → add the copies to it instead
+  function _addBookTx(tx, { title, author, isbn = '', category, copies = 1, notForLoan = false }) {
+    isbn = ISBN.normalize(isbn);
+    const existing = _findDuplicateBook(title, isbn);
+    const id = existing ? existing.id : tx(
+      `INSERT INTO books (title, author, isbn, category, not_for_loan) VALUES (?, ?, ?, ?, ?)`,
+      [title, author, isbn, category, notForLoan ? 1 : 0]
+    ).lastInsertRowid;
+    // New copies of a weeded title put it back in the collection
+    if (existing) _returnToCollectionTx(tx, id);
+    _addItemsTx(tx, id, copies);
+    return { id, merged: !!existing };
+  }
+
+  async function addBook(book) {
+    assertCan('catalogue');
+    let result;
+    await DB.transaction(async tx => {
+      result = _addBookTx(tx, book);
+      const after = _row('books', result.id);
+      _auditTx(tx, result.merged ? 'add copies' : 'create', 'book', result.id, {
+        after, summary: `${result.merged ? `Added ${book.copies ?? 1} to` : 'Catalogued'} “${after.title}”`,
+      });
+    });
+    _reindexBook(result.id);
+    return { ...result, copies: getBook(result.id).owned };
+  }
+
+  async function updateBook(id, { title, author, category, notForLoan = false }) {
+    assertCan('catalogue');
+    const before = _row('books', id);
+    if (!before) throw new Error('Book not found.');
+    await DB.transaction(async tx => {
+      tx(
+        'UPDATE books SET title = ?, author = ?, category = ?, not_for_loan = ? WHERE id = ?',
+        [title, author, category, notForLoan ? 1 : 0, id]
+      );
+      _auditTx(tx, 'update', 'book', id, { before, after: _row('books', id), summary: `Edited “${title}”` });
+    });
+    _reindexBook(id);
   }
 
   async function deleteBook(id) {
+    assertCan('catalogue');
     // Guard: don't delete if active borrows exist
     const active = DB.query(
       'SELECT id FROM borrows WHERE book_id = ? AND return_date IS NULL LIMIT 1', [id]
     );
     if (active.length) throw new Error('Book has active loans — return all copies first.');
-    await DB.run('DELETE FROM books WHERE id = ?', [id]);
+    const before = _row('books', id);
+    if (!before) throw new Error('Book not found.');
+    before.items = DB.query('SELECT * FROM items WHERE book_id = ?', [id]);
+    await DB.transaction(async tx => {
+      tx('DELETE FROM books WHERE id = ?', [id]);
+      _auditTx(tx, 'delete', 'book', id, {
+        before, summary: `Deleted “${before.title}” (${before.items.length} cop${before.items.length === 1 ? 'y' : 'ies'})`,
+      });
+    }, { undo: { label: `Delete “${before.title}”`, needs: 'catalogue' } });
+    _reindexBook(id);
+  }
+
+  // Weeding without losing history: the title and its loans stay, its copies
+  // still here are marked withdrawn and anyone waiting for it is taken off the queue
+  async function withdrawBook(id, { reason = '', date = DB.today() } = {}) {
+    assertCan('catalogue');
+    const before = _row('books', id);
+    if (!before) throw new Error('Book not found.');
+    if (before.withdrawn_on) throw new Error(`“${before.title}” is already withdrawn.`);
+    const active = DB.query(
+      'SELECT id FROM borrows WHERE book_id = ? AND return_date IS NULL LIMIT 1', [id]
+    );
+    if (active.length) throw new Error('Book has active loans — return all copies first.');
+    const holds = DB.query(`SELECT * FROM holds WHERE book_id = ? AND status IN ('waiting', 'ready')`, [id]);
+    reason = String(reason).trim();
+
+    await DB.transaction(async tx => {
+      tx('UPDATE books SET withdrawn_on = ?, withdrawn_reason = ? WHERE id = ?', [date, reason, id]);
+      tx(`UPDATE items SET status = 'withdrawn', withdrawn_with_title = 1
+          WHERE book_id = ? AND status NOT IN ('lost', 'withdrawn')`, [id]);
+      holds.forEach(hold => {
+        tx(`UPDATE holds SET status = 'cancelled', closed_on = ? WHERE id = ?`, [date, hold.id]);
+        _auditTx(tx, 'cancel', 'hold', hold.id, {
+          before: hold, after: _row('holds', hold.id), summary: `Cancelled ${_holdLabel(hold)} — title withdrawn`,
+        });
+      });
+      _auditTx(tx, 'withdraw', 'book', id, {
+        before, after: _row('books', id), summary: `Withdrew “${before.title}”${reason ? ` — ${reason}` : ''}`,
+      });
+    }, { undo: { label: `Withdraw “${before.title}”`, needs: 'catalogue' } });
+    return { cancelledHolds: holds.length };
+  }
+
+  // Copies withdrawn along with the title go back on the shelf; ones withdrawn
+  // on their own before that stay withdrawn
+  function _returnToCollectionTx(tx, id) {
+    tx("UPDATE books SET withdrawn_on = NULL, withdrawn_reason = '' WHERE id = ? AND withdrawn_on IS NOT NULL", [id]);
+    tx(`UPDATE items SET status = CASE status WHEN 'withdrawn' THEN 'available' ELSE status END,
+               withdrawn_with_title = 0
+        WHERE book_id = ? AND withdrawn_with_title = 1`, [id]);
+  }
+
+  async function reinstateBook(id) {
+    assertCan('catalogue');
+    const before = _row('books', id);
+    if (!before) throw new Error('Book not found.');
+    if (!before.withdrawn_on) throw new Error(`“${before.title}” hasn't been withdrawn.`);
+    await DB.transaction(async tx => {
+      _returnToCollectionTx(tx, id);
+      _auditTx(tx, 'reinstate', 'book', id, {
+        before, after: _row('books', id), summary: `Returned “${before.title}” to the collection`,
+      });
+    });
+    return getBook(id);
+  }
+
+  // ── Search index ───────────────────────────────────────────────────────────
+
+  // Built on first search, then kept in step by every write to books.
+  // Anything that swaps the data wholesale (restore, reset) calls invalidateSearch().
+  const SEARCH_FIELDS = {
+    title:    { weight: 3 },
+    author:   { weight: 2 },
+    category: { weight: 1 },
+    isbn:     { weight: 1, keyword: true },
+  };
+  let _index = null;
+
+  function _searchIndex() {
+    if (!_index) {
+      _index = Search.createIndex(SEARCH_FIELDS);
+      DB.query('SELECT id, title, author, category, isbn FROM books').forEach(b => _index.add(b.id, b));
+    }
+    return _index;
+  }
+
+  function _reindexBook(id) {
+    if (!_index) return;
+    const book = DB.query('SELECT id, title, author, category, isbn FROM books WHERE id = ?', [id])[0];
+    if (book) _index.add(id, book);
+    else _index.remove(id);
+  }
+
+  function invalidateSearch() {
+    _index = null;
+  }
+
+  // ── Items (physical copies) ────────────────────────────────────────────────
+
+  const ITEM_STATUSES = {
+    available: 'Available',
+    on_loan:   'On loan',
+    on_hold:   'On hold shelf',
+    lost:      'Lost',
+    withdrawn: 'Withdrawn',
+    repair:    'In repair',
+  };
+
+  const ITEM_CONDITIONS = ['New', 'Good', 'Fair', 'Poor', 'Damaged'];
+
+  // The highest number in use in any of the columns, counting only values that
+  // are prefix + digits — hand-typed codes don't move the sequence
+  function _highestNumber(table, cols, prefix = '') {
+    const start = prefix.length + 1;
+    return DB.query(cols.map(c => `
+      SELECT MAX(CAST(substr(${c}, ${start}) AS INTEGER)) AS n FROM ${table}
+      WHERE ${c} LIKE '${prefix}_%' AND substr(${c}, ${start}) NOT GLOB '*[^0-9]*'`).join(' UNION ALL '))
+      .reduce((max, r) => Math.max(max, r.n || 0), 0);
+  }
+
+  // Numbers carry on from the highest in use, not the row id — rows synced from
+  // another desk keep the numbers that desk gave them
+  function _nextAccessionNo() {
+    return String(_highestNumber('items', ['accession_no', 'barcode']) + 1).padStart(6, '0');
+  }
+
+  function _nextMemberId() {
+    return `M${String(_highestNumber('patrons', ['member_id'], 'M') + 1).padStart(5, '0')}`;
+  }
+
+  // The barcode starts out as the same number as the accession number
+  function _addItemsTx(tx, bookId, count, { condition = 'Good', location = '' } = {}) {
+    const ids = [];
+    for (let n = 0; n < count; n++) {
+      const id = tx(
+        'INSERT INTO items (book_id, condition, location) VALUES (?, ?, ?)',
+        [bookId, condition, location]
+      ).lastInsertRowid;
+      const number = _nextAccessionNo();
+      tx('UPDATE items SET accession_no = ?, barcode = ? WHERE id = ?', [number, number, id]);
+      ids.push(id);
+    }
+    return ids;
+  }
+
+  function getItems(bookId) {
+    return DB.query(`
+      SELECT i.*, b.id AS borrow_id, b.due_date, COALESCE(p.name, b.borrower) AS borrower
+      FROM items i
+      LEFT JOIN borrows b ON b.item_id = i.id AND b.return_date IS NULL
+      LEFT JOIN patrons p ON p.id = b.patron_id
+      WHERE i.book_id = ?
+      ORDER BY i.accession_no ASC
+    `, [bookId]);
+  }
+
+  function getItem(id) {
+    return DB.query('SELECT * FROM items WHERE id = ?', [id])[0] || null;
+  }
+
+  function getAvailableItems(bookId) {
+    return DB.query(
+      `SELECT * FROM items WHERE book_id = ? AND status = 'available' ORDER BY accession_no ASC`, [bookId]
+    );
+  }
+
+  function findItemByCode(code) {
+    code = String(code || '').trim();
+    if (!code) return null;
+    return DB.query(
+      'SELECT * FROM items WHERE barcode = ? OR accession_no = ? LIMIT 1', [code, code]
+    )[0] || null;
+  }
+
+  async function addItems(bookId, count = 1, opts = {}) {
+    assertCan('catalogue');
+    if (!getBook(bookId)) throw new Error('Book not found.');
+    let ids;
+    await DB.transaction(async tx => {
+      _returnToCollectionTx(tx, bookId);
+      ids = _addItemsTx(tx, bookId, count, opts);
+      ids.forEach(id => {
+        const after = _row('items', id);
+        _auditTx(tx, 'create', 'item', id, { after, summary: `Added copy #${after.accession_no} of “${getBook(bookId).title}”` });
+      });
+    });
+    return ids;
+  }
+
+  async function updateItem(id, { barcode = '', condition = 'Good', location = '', status, notes = '' }) {
+    assertCan('catalogue');
+    const item = getItem(id);
+    if (!item) throw new Error('Copy not found.');
+    barcode = barcode.trim();
+    if (!barcode) throw new Error('Barcode is required.');
+    if (!ITEM_STATUSES[status]) throw new Error('Unknown copy status.');
+    const managed = ['on_loan', 'on_hold'];
+    if (status !== item.status && (managed.includes(status) || managed.includes(item.status))) {
+      throw new Error('Loan and hold status change through Borrow, Return and Holds only.');
+    }
+    const dup = DB.query('SELECT id FROM items WHERE barcode = ? AND id != ?', [barcode, id])[0];
+    if (dup) throw new Error(`Barcode ${barcode} is already on another copy.`);
+
+    await DB.transaction(async tx => {
+      tx(
+        'UPDATE items SET barcode = ?, condition = ?, location = ?, status = ?, notes = ? WHERE id = ?',
+        [barcode, condition, location, status, notes, id]
+      );
+      _auditTx(tx, 'update', 'item', id, {
+        before: item, after: _row('items', id), summary: `Edited copy #${item.accession_no} of “${getBook(item.book_id).title}”`,
+      });
+    });
+  }
+
+  async function deleteItem(id) {
+    assertCan('catalogue');
+    const used = DB.query('SELECT id FROM borrows WHERE item_id = ? LIMIT 1', [id])[0];
+    if (used) throw new Error('Copy has loan history — mark it withdrawn instead.');
+    const before = getItem(id);
+    if (!before) throw new Error('Copy not found.');
+    await DB.transaction(async tx => {
+      tx('DELETE FROM items WHERE id = ?', [id]);
+      _auditTx(tx, 'delete', 'item', id, {
+        before, summary: `Deleted copy #${before.accession_no} of “${getBook(before.book_id).title}”`,
+      });
+    }, { undo: { label: `Delete copy #${before.accession_no}`, needs: 'catalogue' } });
   }
 
   // ── Categories ─────────────────────────────────────────────────────────────
@@ -75,110 +406,1553 @@ const DBLib = (() => {
     return DB.query('SELECT * FROM categories ORDER BY name ASC');
   }
 
+  function _findCategory(name) {
+    return DB.query(
+      'SELECT * FROM categories WHERE LOWER(TRIM(name)) = LOWER(TRIM(?))', [name]
+    )[0] || null;
+  }
+
+  function _addCategoryTx(tx, name) {
+    if (_findCategory(name)) throw new Error('Category already exists.');
+    const id = tx('INSERT INTO categories (name) VALUES (?)', [name]).lastInsertRowid;
+    _auditTx(tx, 'create', 'category', id, { after: _row('categories', id), summary: `Added category “${name}”` });
+    return id;
+  }
+
   async function addCategory(name) {
-    const exists = DB.query(
-      'SELECT id FROM categories WHERE LOWER(TRIM(name)) = LOWER(TRIM(?))', [name]
-    )[0];
-    if (exists) throw new Error('Category already exists.');
-    const result = await DB.run('INSERT INTO categories (name) VALUES (?)', [name]);
-    return result.lastInsertRowid;
+    assertCan('admin');
+    let id;
+    await DB.transaction(async tx => { id = _addCategoryTx(tx, name); });
+    return id;
   }
 
   async function updateCategory(id, newName) {
+    assertCan('admin');
     const dup = DB.query(
       'SELECT id FROM categories WHERE LOWER(TRIM(name)) = LOWER(TRIM(?)) AND id != ?', [newName, id]
     )[0];
     if (dup) throw new Error('Category name already exists.');
 
-    const old = DB.query('SELECT name FROM categories WHERE id = ?', [id])[0];
+    const old = _row('categories', id);
     if (!old) throw new Error('Category not found.');
 
     await DB.transaction(async tx => {
       tx('UPDATE categories SET name = ? WHERE id = ?', [newName, id]);
-      tx('UPDATE books SET category = ? WHERE LOWER(TRIM(category)) = LOWER(TRIM(?))', [newName, old.name]);
+      const { changes } = tx('UPDATE books SET category = ? WHERE LOWER(TRIM(category)) = LOWER(TRIM(?))', [newName, old.name]);
+      // Its own fine rate (fine_category_rates is keyed by name) goes with it
+      const { [old.name]: rate, ...rates } = getFineRules().categoryRates;
+      if (rate !== undefined) {
+        tx(`UPDATE settings SET value = ? WHERE key = 'fine_category_rates'`, [JSON.stringify({ ...rates, [newName]: rate })]);
+      }
+      _auditTx(tx, 'update', 'category', id, {
+        before: old, after: _row('categories', id),
+        summary: `Renamed category “${old.name}” to “${newName}” (${changes} book${changes === 1 ? '' : 's'})`,
+      });
     });
+    invalidateSearch();
   }
 
   async function deleteCategory(id) {
-    const cat = DB.query('SELECT name FROM categories WHERE id = ?', [id])[0];
+    assertCan('admin');
+    const cat = _row('categories', id);
     if (!cat) throw new Error('Category not found.');
     const used = DB.query(
       'SELECT id FROM books WHERE LOWER(TRIM(category)) = LOWER(TRIM(?)) LIMIT 1', [cat.name]
     )[0];
     if (used) throw new Error('Category is used by one or more books.');
-    await DB.run('DELETE FROM categories WHERE id = ?', [id]);
+    await DB.transaction(async tx => {
+      tx('DELETE FROM categories WHERE id = ?', [id]);
+      _auditTx(tx, 'delete', 'category', id, { before: cat, summary: `Deleted category “${cat.name}”` });
+    }, { undo: { label: `Delete category “${cat.name}”`, needs: 'admin' } });
+  }
+
+  // ── Catalogue import ───────────────────────────────────────────────────────
+
+  const IMPORT_FIELDS = ['title', 'author', 'isbn', 'category', 'copies'];
+  const MAX_IMPORT_COPIES = 500;
+
+  // records: [{ title, author, isbn, category, copies }] — raw strings from the file.
+  // Returns one row per record with the cleaned values, errors[] and what importing will do.
+  function validateImport(records) {
+    const seen = new Set();
+    const newCategories = new Set();
+
+    return records.map((rec, index) => {
+      const clean = k => String(rec[k] ?? '').trim().replace(/\s+/g, ' ');
+      const row = {
+        line: rec.line ?? index + 1,
+        title: clean('title'), author: clean('author'), isbn: ISBN.normalize(clean('isbn')), category: clean('category'),
+        copies: 1, errors: [], warnings: [], merge: false, newCategory: false,
+      };
+      const isbnProblem = ISBN.problem(clean('isbn'));
+      if (isbnProblem) row.warnings.push(`ISBN: ${isbnProblem}`);
+
+      if (!row.title)    row.errors.push('Title is missing');
+      if (!row.author)   row.errors.push('Author is missing');
+      if (!row.category) row.errors.push('Category is missing');
+
+      const copies = clean('copies');
+      if (copies !== '') {
+        row.copies = Number(copies);
+        if (!Number.isInteger(row.copies) || row.copies < 1 || row.copies > MAX_IMPORT_COPIES) {
+          row.errors.push(`Copies must be a whole number from 1 to ${MAX_IMPORT_COPIES}`);
+        }
+      }
+
+      if (row.category) {
+        const existing = _findCategory(row.category);
+        if (existing) row.category = existing.name;
+        else {
+          const key = row.category.toLowerCase();
+          row.newCategory = !newCategories.has(key);
+          newCategories.add(key);
+        }
+      }
+
+      // Same rule as addBook — repeats within the file merge too
+      const key = ISBN.parse(row.isbn)?.valid
+        ? row.isbn
+        : `${row.title.toLowerCase()}\u0000${row.isbn.toLowerCase()}`;
+      row.merge = seen.has(key) || !!_findDuplicateBook(row.title, row.isbn);
+      seen.add(key);
+      return row;
+    });
+  }
+
+  // All or nothing — one bad row and nothing is written
+  async function importBooks(records) {
+    assertCan('catalogue');
+    const rows = validateImport(records);
+    const bad = rows.filter(r => r.errors.length).length;
+    if (!rows.length) throw new Error('The file has no rows to import.');
+    if (bad) throw new Error(`${bad} row${bad === 1 ? ' has' : 's have'} errors — nothing was imported.`);
+
+    const summary = { added: 0, merged: 0, copies: 0, categories: 0 };
+    await DB.transaction(async tx => {
+      const bookIds = [];
+      rows.forEach(row => {
+        const category = _findCategory(row.category);
+        if (!category) { _addCategoryTx(tx, row.category); summary.categories++; }
+        const { id, merged } = _addBookTx(tx, {
+          title: row.title, author: row.author, isbn: row.isbn,
+          category: category ? category.name : row.category, copies: row.copies,
+        });
+        bookIds.push(id);
+        summary[merged ? 'merged' : 'added']++;
+        summary.copies += row.copies;
+      });
+      _auditTx(tx, 'import', 'book', null, {
+        after: { ...summary, bookIds },
+        summary: `Imported ${summary.added} new title${summary.added === 1 ? '' : 's'}, ${summary.copies} cop${summary.copies === 1 ? 'y' : 'ies'}`,
+      });
+    });
+    invalidateSearch();
+    return summary;
+  }
+
+  // ── Loan policies ──────────────────────────────────────────────────────────
+  //
+  // categories.loan_days overrides the library-wide loan_period_days
+  // (NULL = default, 0 = in-library use only); books.not_for_loan blocks a
+  // single title; max_loans_per_patron caps concurrent loans (0 = no limit).
+
+  function getLoanPolicy(bookId) {
+    const row = DB.query(`
+      SELECT bk.title, bk.category, bk.not_for_loan, bk.withdrawn_on, c.loan_days
+      FROM books bk
+      LEFT JOIN categories c ON LOWER(TRIM(c.name)) = LOWER(TRIM(bk.category))
+      WHERE bk.id = ?
+    `, [bookId])[0];
+    if (!row) return null;
+
+    const loanDays = row.loan_days ?? (parseInt(getSetting('loan_period_days')) || 0);
+    let blocked = null;
+    if (row.withdrawn_on)      blocked = `“${row.title}” has been withdrawn from the collection.`;
+    else if (row.not_for_loan) blocked = `“${row.title}” is not for loan.`;
+    else if (loanDays === 0)   blocked = `${row.category} titles are for in-library use only.`;
+    return { loanDays, blocked };
+  }
+
+  function _assertLoanAllowed(book, patron, dateOut, dueDate) {
+    const policy = getLoanPolicy(book.id);
+    if (policy.blocked) throw new Error(policy.blocked);
+
+    const latest = DB.addDays(dateOut, policy.loanDays);
+    if (dueDate > latest) {
+      throw new Error(`${book.category} titles can be lent for ${policy.loanDays} days at most — due by ${latest}.`);
+    }
+
+    const max = parseInt(getSetting('max_loans_per_patron')) || 0;
+    if (!max) return;
+    const held = DB.query(
+      'SELECT COUNT(*) AS n FROM borrows WHERE patron_id = ? AND return_date IS NULL', [patron.id]
+    )[0].n;
+    if (held >= max) {
+      throw new Error(`${patron.name} already has ${held} book${held === 1 ? '' : 's'} on loan — the limit is ${max}.`);
+    }
+  }
+
+  // categoryDays: { [categoryId]: days | null }
+  async function saveLoanPolicies({ loanPeriodDays, maxRenewals, holdPickupDays, maxLoans, categoryDays = {} }) {
+    assertCan('admin');
+    const before = _settingsSnapshot();
+    await DB.transaction(async tx => {
+      const put = (key, value) => tx(
+        `INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, String(value)]
+      );
+      put('loan_period_days',     loanPeriodDays);
+      put('max_renewals',         maxRenewals);
+      put('hold_pickup_days',     holdPickupDays);
+      put('max_loans_per_patron', maxLoans);
+      Object.entries(categoryDays).forEach(([id, days]) =>
+        tx('UPDATE categories SET loan_days = ? WHERE id = ?', [days, id]));
+      _auditTx(tx, 'update', 'settings', null, { before, after: _settingsSnapshot(), summary: 'Changed loan policies' });
+    });
+  }
+
+  // ── Patrons ────────────────────────────────────────────────────────────────
+
+  // "Ada Obi" and "ada  obi " must resolve to the same person
+  function _normName(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ');
+  }
+
+  function getAllPatrons() {
+    const today = DB.today();
+    return DB.query(`
+      SELECT p.*,
+             (SELECT COUNT(*) FROM borrows b
+               WHERE b.patron_id = p.id AND b.return_date IS NULL) AS active_loans,
+             (SELECT COUNT(*) FROM borrows b
+               WHERE b.patron_id = p.id AND b.return_date IS NULL AND b.due_date < ?) AS overdue_count
+      FROM patrons p
+      ORDER BY p.name COLLATE NOCASE ASC
+    `, [today]);
+  }
+
+  function getPatron(id) {
+    return DB.query('SELECT * FROM patrons WHERE id = ?', [id])[0] || null;
+  }
+
+  function searchPatrons(term, { activeOnly = false } = {}) {
+    const t = `%${_normName(term)}%`;
+    return DB.query(`
+      SELECT * FROM patrons
+      WHERE (name LIKE ? OR member_id LIKE ? OR phone LIKE ? OR email LIKE ? OR department LIKE ?)
+        ${activeOnly ? 'AND active = 1' : ''}
+      ORDER BY name COLLATE NOCASE ASC
+    `, [t, t, t, t, t]);
+  }
+
+  function findPatronsByName(name) {
+    const key = _normName(name).toLowerCase();
+    return DB.query('SELECT * FROM patrons').filter(p => _normName(p.name).toLowerCase() === key);
+  }
+
+  function _assertMemberIdFree(memberId, exceptId = 0) {
+    if (!memberId) return;
+    const dup = DB.query(
+      'SELECT id FROM patrons WHERE LOWER(member_id) = LOWER(?) AND id != ?', [memberId, exceptId]
+    )[0];
+    if (dup) throw new Error(`Member ID ${memberId} is already in use.`);
+  }
+
+  async function addPatron({ name, memberId = '', phone = '', email = '', department = '', notes = '' }) {
+    assertCan('catalogue');
+    name = _normName(name);
+    memberId = memberId.trim();
+    if (!name) throw new Error('Patron name is required.');
+    _assertMemberIdFree(memberId);
+
+    let id;
+    await DB.transaction(async tx => {
+      id = tx(
+        `INSERT INTO patrons (name, member_id, phone, email, department, notes) VALUES (?, ?, ?, ?, ?, ?)`,
+        [name, memberId || null, phone, email, department, notes]
+      ).lastInsertRowid;
+      // No ID given → issue the next sequential one
+      if (!memberId) tx('UPDATE patrons SET member_id = ? WHERE id = ?', [_nextMemberId(), id]);
+      const after = _row('patrons', id);
+      _auditTx(tx, 'create', 'patron', id, { after, summary: `Registered ${name} (${after.member_id})` });
+    });
+    return id;
+  }
+
+  async function updatePatron(id, { name, memberId = '', phone = '', email = '', department = '', notes = '', active = true }) {
+    assertCan('catalogue');
+    name = _normName(name);
+    memberId = memberId.trim();
+    if (!name) throw new Error('Patron name is required.');
+    if (!memberId) throw new Error('Member ID is required.');
+    const before = _row('patrons', id);
+    if (!before) throw new Error('Patron not found.');
+    _assertMemberIdFree(memberId, id);
+
+    await DB.transaction(async tx => {
+      tx(
+        `UPDATE patrons SET name = ?, member_id = ?, phone = ?, email = ?, department = ?, notes = ?, active = ?
+         WHERE id = ?`,
+        [name, memberId, phone, email, department, notes, active ? 1 : 0, id]
+      );
+      _auditTx(tx, 'update', 'patron', id, { before, after: _row('patrons', id), summary: `Edited ${name} (${memberId})` });
+    });
+  }
+
+  async function deletePatron(id) {
+    assertCan('catalogue');
+    const used = DB.query('SELECT id FROM borrows WHERE patron_id = ? LIMIT 1', [id])[0];
+    if (used) throw new Error('Patron has loan history — mark them inactive instead.');
+    const held = DB.query(
+      `SELECT id FROM holds WHERE patron_id = ? AND status IN ('waiting', 'ready') LIMIT 1`, [id]
+    )[0];
+    if (held) throw new Error('Patron has open holds — cancel them first.');
+    const before = _row('patrons', id);
+    if (!before) throw new Error('Patron not found.');
+    await DB.transaction(async tx => {
+      tx('DELETE FROM patrons WHERE id = ?', [id]);
+      _auditTx(tx, 'delete', 'patron', id, { before, summary: `Deleted ${before.name} (${before.member_id})` });
+    }, { undo: { label: `Delete patron ${before.name}`, needs: 'catalogue' } });
+  }
+
+  function getPatronProfile(id) {
+    const patron = getPatron(id);
+    if (!patron) return null;
+    const today   = DB.today();
+    const history = DB.query(`
+      SELECT b.id, b.date_out, b.due_date, b.return_date, b.note,
+             bk.id AS book_id, bk.title AS book_title, bk.author AS book_author
+      FROM borrows b
+      JOIN books bk ON bk.id = b.book_id
+      WHERE b.patron_id = ?
+      ORDER BY b.date_out DESC, b.id DESC
+    `, [id]);
+    const active = history.filter(r => !r.return_date).sort((a, b) => a.due_date.localeCompare(b.due_date));
+    return {
+      patron,
+      active,
+      history,
+      holds: getPatronHolds(id),
+      overdueCount: active.filter(r => r.due_date < today).length,
+    };
   }
 
   // ── Borrows ────────────────────────────────────────────────────────────────
 
-  async function recordBorrow({ bookId, borrower, dateOut, dueDate }) {
+  // itemId is optional — without it the patron's hold-shelf copy, or else the
+  // first available copy, goes out
+  async function recordBorrow({ bookId, itemId = null, patronId, dateOut, dueDate }) {
+    assertCan('circulate');
     const book = getBook(bookId);
     if (!book) throw new Error('Book not found.');
-    if (book.copies < 1) throw new Error('No copies available.');
+    const patron = getPatron(patronId);
+    if (!patron) throw new Error('Patron not found.');
+    if (!patron.active) throw new Error(`${patron.name}'s membership is inactive.`);
+    _assertLoanAllowed(book, patron, dateOut, dueDate);
+    _assertNotBlockedByFines(patron);
+
+    const hold = DB.query(
+      `SELECT * FROM holds WHERE book_id = ? AND patron_id = ? AND status = 'ready' LIMIT 1`, [bookId, patronId]
+    )[0];
+    const item = itemId ? getItem(itemId)
+               : hold   ? getItem(hold.item_id)
+               :          getAvailableItems(bookId)[0];
+    if (!item) {
+      const err = new Error('No copies available.');
+      err.code = 'NO_COPIES';
+      throw err;
+    }
+    if (item.book_id !== book.id) throw new Error('That copy belongs to another title.');
+    const heldForPatron = hold && hold.item_id === item.id;
+    if (item.status !== 'available' && !heldForPatron) {
+      throw new Error(`Copy ${item.accession_no} is ${ITEM_STATUSES[item.status].toLowerCase()}.`);
+    }
 
     await DB.transaction(async tx => {
-      tx(
-        `INSERT INTO borrows (book_id, borrower, date_out, due_date) VALUES (?, ?, ?, ?)`,
-        [bookId, borrower, dateOut, dueDate]
-      );
-      tx('UPDATE books SET copies = copies - 1 WHERE id = ?', [bookId]);
+      const id = tx(
+        `INSERT INTO borrows (book_id, item_id, patron_id, borrower, date_out, due_date, lent_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [bookId, item.id, patronId, patron.name, dateOut, dueDate, _staff?.name ?? null]
+      ).lastInsertRowid;
+      tx(`UPDATE items SET status = 'on_loan' WHERE id = ?`, [item.id]);
+      _auditTx(tx, 'borrow', 'borrow', id, {
+        after: _row('borrows', id),
+        summary: `Lent “${book.title}” (#${item.accession_no}) to ${patron.name}, due ${dueDate}`,
+      });
+      if (hold) {
+        tx(`UPDATE holds SET status = 'fulfilled', closed_on = ? WHERE id = ?`, [dateOut, hold.id]);
+        _auditTx(tx, 'fulfil', 'hold', hold.id, {
+          before: hold, after: _row('holds', hold.id), summary: `${patron.name} collected their hold on “${book.title}”`,
+        });
+        // They took a different copy — the one on the shelf goes to the next in line
+        if (!heldForPatron) _shelveItemTx(tx, hold.item_id, dateOut);
+      }
     });
+    return { itemId: item.id, accessionNo: item.accession_no };
   }
 
-  async function recordReturn({ borrowId, bookId, returnDate }) {
+  async function recordReturn({ borrowId, returnDate }) {
+    assertCan('circulate');
+    const borrow = DB.query('SELECT * FROM borrows WHERE id = ?', [borrowId])[0];
+    if (!borrow) throw new Error('Loan not found.');
+    if (borrow.return_date) throw new Error('This loan was already returned.');
+
+    let hold = null;
+    let fine = null;
     await DB.transaction(async tx => {
-      tx('UPDATE borrows SET return_date = ? WHERE id = ?', [returnDate, borrowId]);
-      tx('UPDATE books SET copies = copies + 1 WHERE id = ?', [bookId]);
+      tx('UPDATE borrows SET return_date = ?, returned_by = ? WHERE id = ?', [returnDate, _staff?.name ?? null, borrowId]);
+      _auditTx(tx, 'return', 'borrow', borrowId, {
+        before: borrow, after: _row('borrows', borrowId), summary: `Returned ${_loanLabel(borrow)} on ${returnDate}`,
+      });
+      if (borrow.item_id) hold = _shelveItemTx(tx, borrow.item_id, returnDate);
+      fine = _assessFineTx(tx, borrow, returnDate);
+    }, { undo: { label: `Return of ${_loanLabel(borrow)}`, needs: 'circulate' } });
+    return { hold, fine };
+  }
+
+  // Due date moves on by one loan period from whichever is later: the old due
+  // date or the renewal date. Overdue loans need an explicit librarian override.
+  async function renewLoan(borrowId, { date = DB.today(), override = false } = {}) {
+    assertCan('circulate');
+    const borrow = DB.query('SELECT * FROM borrows WHERE id = ?', [borrowId])[0];
+    if (!borrow) throw new Error('Loan not found.');
+    if (borrow.return_date) throw new Error('This loan was already returned.');
+
+    const max = parseInt(getSetting('max_renewals')) || 0;
+    if (borrow.renewals >= max) {
+      throw new Error(`Renewal limit reached — this loan has been renewed ${borrow.renewals} of ${max} times.`);
+    }
+    const waiting = DB.query(
+      `SELECT COUNT(*) AS n FROM holds WHERE book_id = ? AND status = 'waiting'`, [borrow.book_id]
+    )[0].n;
+    if (waiting) throw new Error(`${waiting} patron(s) are waiting for this title — it cannot be renewed.`);
+    if (override) assertCan('catalogue');
+    if (borrow.due_date < date && !override) {
+      const err = new Error('This loan is overdue — a librarian must approve the renewal.');
+      err.code = 'LOAN_OVERDUE';
+      throw err;
+    }
+
+    const period = getLoanPolicy(borrow.book_id).loanDays;
+    const from   = borrow.due_date > date ? borrow.due_date : date;
+    const newDue = DB.addDays(from, period);
+
+    await DB.transaction(async tx => {
+      // Days already overdue are charged now — the new due date would hide them
+      _assessFineTx(tx, borrow, date, 'Overdue (renewed)');
+      tx(
+        `INSERT INTO renewals (borrow_id, renewed_on, old_due, new_due, override) VALUES (?, ?, ?, ?, ?)`,
+        [borrowId, date, borrow.due_date, newDue, override ? 1 : 0]
+      );
+      tx('UPDATE borrows SET due_date = ?, renewals = renewals + 1 WHERE id = ?', [newDue, borrowId]);
+      _auditTx(tx, 'renew', 'borrow', borrowId, {
+        before: borrow, after: _row('borrows', borrowId),
+        summary: `Renewed ${_loanLabel(borrow)} to ${newDue}${override ? ' (overdue override)' : ''}`,
+      });
     });
+    return { oldDue: borrow.due_date, newDue, renewals: borrow.renewals + 1, remaining: max - borrow.renewals - 1 };
+  }
+
+  function getRenewals(borrowId) {
+    return DB.query('SELECT * FROM renewals WHERE borrow_id = ? ORDER BY id ASC', [borrowId]);
   }
 
+  // Borrower name always comes from the patron record; borrows.borrower is
+  // the name as it was when the loan was made.
   function getActiveBorrows() {
     return DB.query(`
-      SELECT b.id, b.borrower, b.date_out, b.due_date,
-             bk.id AS book_id, bk.title AS book_title
+      SELECT b.id, b.patron_id, COALESCE(p.name, b.borrower) AS borrower, b.date_out, b.due_date,
+             b.renewals, b.item_id, p.member_id, p.phone, p.email,
+             bk.id AS book_id, bk.title AS book_title, i.accession_no
       FROM borrows b
       JOIN books bk ON bk.id = b.book_id
+      LEFT JOIN patrons p ON p.id = b.patron_id
+      LEFT JOIN items i ON i.id = b.item_id
       WHERE b.return_date IS NULL
       ORDER BY b.due_date ASC
     `);
   }
 
-  function getActiveBorrowsByBorrower(borrower) {
+  function getActiveBorrowsByPatron(patronId) {
     return DB.query(`
-      SELECT b.id, b.borrower, b.date_out, b.due_date,
-             bk.id AS book_id, bk.title AS book_title
+      SELECT b.id, b.patron_id, b.date_out, b.due_date, b.renewals,
+             bk.id AS book_id, bk.title AS book_title, i.accession_no
       FROM borrows b
       JOIN books bk ON bk.id = b.book_id
-      WHERE b.return_date IS NULL AND b.borrower = ?
+      LEFT JOIN items i ON i.id = b.item_id
+      WHERE b.return_date IS NULL AND b.patron_id = ?
       ORDER BY b.due_date ASC
-    `, [borrower]);
+    `, [patronId]);
   }
 
-  function getUniqueBorrowers() {
+  function getPatronsWithActiveLoans() {
     return DB.query(`
-      SELECT DISTINCT borrower FROM borrows
-      WHERE return_date IS NULL
-      ORDER BY borrower ASC
-    `).map(r => r.borrower);
+      SELECT DISTINCT p.id, p.name, p.member_id
+      FROM borrows b
+      JOIN patrons p ON p.id = b.patron_id
+      WHERE b.return_date IS NULL
+      ORDER BY p.name COLLATE NOCASE ASC
+    `);
   }
 
   function getAllBorrows(search = '') {
+    return queryBorrows({ search }).rows;
+  }
+
+  const BORROW_SORTS = {
+    borrower:    'borrower COLLATE NOCASE',
+    book:        'book_title COLLATE NOCASE',
+    date_out:    'date_out',
+    due_date:    'due_date',
+    return_date: 'return_date',
+    status:      'status',
+  };
+
+  // One page of loan history → { rows, total }. status: borrowed | overdue | returned;
+  // from/to bound the date out. Newest first unless a sort is given.
+  function queryBorrows({ search = '', status = '', from = '', to = '', sort = '', dir = 'asc', limit = -1, offset = 0 } = {}) {
     const t = `%${search}%`;
+    const params = [DB.today()], where = [];
+    if (search) {
+      where.push('(borrower LIKE ? OR member_id LIKE ? OR book_title LIKE ? OR isbn LIKE ?)');
+      params.push(t, t, t, t);
+    }
+    if (status) { where.push('status = ?');     params.push(status); }
+    if (from)   { where.push('date_out >= ?');  params.push(from); }
+    if (to)     { where.push('date_out <= ?');  params.push(to); }
+
+    const order = BORROW_SORTS[sort]
+      ? `${BORROW_SORTS[sort]} ${dir === 'desc' ? 'DESC' : 'ASC'}, date_out DESC, id DESC`
+      : 'date_out DESC, id DESC';
+    const sql = `
+      SELECT * FROM (
+        SELECT b.id, b.patron_id, COALESCE(p.name, b.borrower) AS borrower, p.member_id,
+               b.date_out, b.due_date, b.return_date, b.renewals, b.lent_by, b.returned_by, b.note,
+               bk.title AS book_title, bk.id AS book_id, bk.isbn, i.accession_no,
+               CASE WHEN b.return_date IS NOT NULL THEN 'returned'
+                    WHEN b.due_date < ? THEN 'overdue' ELSE 'borrowed' END AS status
+        FROM borrows b
+        JOIN books bk ON bk.id = b.book_id
+        LEFT JOIN patrons p ON p.id = b.patron_id
+        LEFT JOIN items i ON i.id = b.item_id
+      )
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`;
+
+    return {
+      rows:  DB.query(`${sql} ORDER BY ${order} LIMIT ? OFFSET ?`, [...params, limit, offset]),
+      total: DB.query(`SELECT COUNT(*) AS n FROM (${sql})`, params)[0].n,
+    };
+  }
+
+  // ── Holds ──────────────────────────────────────────────────────────────────
+  //
+  // waiting   → in the queue, ordered by position
+  // ready     → a copy is on the hold shelf for them until expires_on
+  // fulfilled / cancelled / expired → closed
+
+  // A copy coming back (or freed from the hold shelf) goes to the next waiting
+  // patron, otherwise back to the shelf. Returns the hold it was assigned to.
+  function _shelveItemTx(tx, itemId, date) {
+    const item = getItem(itemId);
+    if (!item) return null;
+    const next = DB.query(`
+      SELECT h.id, h.patron_id, p.name AS patron_name
+      FROM holds h JOIN patrons p ON p.id = h.patron_id
+      WHERE h.book_id = ? AND h.status = 'waiting'
+      ORDER BY h.position ASC, h.id ASC LIMIT 1
+    `, [item.book_id])[0];
+
+    if (!next) {
+      tx(`UPDATE items SET status = 'available' WHERE id = ? AND status IN ('on_loan', 'on_hold')`, [itemId]);
+      return null;
+    }
+    const expiresOn = DB.addDays(date, parseInt(getSetting('hold_pickup_days')) || 0);
+    tx(`UPDATE items SET status = 'on_hold' WHERE id = ?`, [itemId]);
+    const before = _row('holds', next.id);
+    tx(
+      `UPDATE holds SET status = 'ready', item_id = ?, ready_on = ?, expires_on = ? WHERE id = ?`,
+      [itemId, date, expiresOn, next.id]
+    );
+    _auditTx(tx, 'ready', 'hold', next.id, {
+      before, after: _row('holds', next.id),
+      summary: `Copy #${item.accession_no} of “${getBook(item.book_id).title}” held for ${next.patron_name} until ${expiresOn}`,
+    });
+    return { id: next.id, patronId: next.patron_id, patronName: next.patron_name, accessionNo: item.accession_no, expiresOn };
+  }
+
+  async function placeHold({ bookId, patronId, date = DB.today() }) {
+    assertCan('circulate');
+    const book = getBook(bookId);
+    if (!book) throw new Error('Book not found.');
+    const patron = getPatron(patronId);
+    if (!patron) throw new Error('Patron not found.');
+    if (!patron.active) throw new Error(`${patron.name}'s membership is inactive.`);
+    const policy = getLoanPolicy(bookId);
+    if (policy.blocked) throw new Error(policy.blocked);
+    if (book.available > 0) throw new Error('A copy is available now — lend it directly.');
+
+    const open = DB.query(
+      `SELECT id FROM holds WHERE book_id = ? AND patron_id = ? AND status IN ('waiting', 'ready')`, [bookId, patronId]
+    )[0];
+    if (open) throw new Error(`${patron.name} already has a hold on this title.`);
+    const onLoan = DB.query(
+      'SELECT id FROM borrows WHERE book_id = ? AND patron_id = ? AND return_date IS NULL', [bookId, patronId]
+    )[0];
+    if (onLoan) throw new Error(`${patron.name} already has this title on loan.`);
+
+    const position = DB.query(
+      'SELECT COALESCE(MAX(position), 0) + 1 AS n FROM holds WHERE book_id = ?', [bookId]
+    )[0].n;
+    let id;
+    await DB.transaction(async tx => {
+      id = tx(
+        'INSERT INTO holds (book_id, patron_id, placed_on, position) VALUES (?, ?, ?, ?)',
+        [bookId, patronId, date, position]
+      ).lastInsertRowid;
+      _auditTx(tx, 'create', 'hold', id, { after: _row('holds', id), summary: `${patron.name} placed a hold on “${book.title}”` });
+    });
+    const ahead = DB.query(
+      `SELECT COUNT(*) AS n FROM holds WHERE book_id = ? AND status = 'waiting' AND position < ?`, [bookId, position]
+    )[0].n;
+    return { id, queuePosition: ahead + 1 };
+  }
+
+  async function cancelHold(holdId, date = DB.today()) {
+    assertCan('circulate');
+    const hold = DB.query('SELECT * FROM holds WHERE id = ?', [holdId])[0];
+    if (!hold) throw new Error('Hold not found.');
+    if (!['waiting', 'ready'].includes(hold.status)) throw new Error('This hold is already closed.');
+
+    let passedTo = null;
+    await DB.transaction(async tx => {
+      tx(`UPDATE holds SET status = 'cancelled', closed_on = ? WHERE id = ?`, [date, holdId]);
+      _auditTx(tx, 'cancel', 'hold', holdId, { before: hold, after: _row('holds', holdId), summary: `Cancelled ${_holdLabel(hold)}` });
+      if (hold.status === 'ready' && hold.item_id) passedTo = _shelveItemTx(tx, hold.item_id, date);
+    }, { undo: { label: `Cancel ${_holdLabel(hold)}`, needs: 'circulate' } });
+    return { passedTo };
+  }
+
+  // Swap places with the neighbouring waiting hold (direction -1 = up, +1 = down)
+  async function moveHold(holdId, direction) {
+    assertCan('circulate');
+    const hold = DB.query(`SELECT * FROM holds WHERE id = ? AND status = 'waiting'`, [holdId])[0];
+    if (!hold) throw new Error('Only waiting holds can be reordered.');
+    const other = DB.query(`
+      SELECT * FROM holds
+      WHERE book_id = ? AND status = 'waiting' AND position ${direction < 0 ? '<' : '>'} ?
+      ORDER BY position ${direction < 0 ? 'DESC' : 'ASC'} LIMIT 1
+    `, [hold.book_id, hold.position])[0];
+    if (!other) return;
+
+    await DB.transaction(async tx => {
+      tx('UPDATE holds SET position = ? WHERE id = ?', [other.position, hold.id]);
+      tx('UPDATE holds SET position = ? WHERE id = ?', [hold.position, other.id]);
+      _auditTx(tx, 'move', 'hold', hold.id, {
+        before: hold, after: _row('holds', hold.id), summary: `Moved ${_holdLabel(hold)} ${direction < 0 ? 'up' : 'down'} the queue`,
+      });
+    });
+  }
+
+  // Uncollected copies roll to the next patron in line; returns how many expired
+  async function processExpiredHolds(date = DB.today()) {
+    const expired = DB.query(
+      `SELECT * FROM holds WHERE status = 'ready' AND expires_on < ? ORDER BY expires_on ASC`, [date]
+    );
+    if (!expired.length) return 0;
+
+    await DB.transaction(async tx => {
+      expired.forEach(hold => {
+        tx(`UPDATE holds SET status = 'expired', closed_on = ? WHERE id = ?`, [date, hold.id]);
+        _auditTx(tx, 'expire', 'hold', hold.id, {
+          before: hold, after: _row('holds', hold.id), summary: `${_holdLabel(hold)} expired uncollected`,
+        });
+        if (hold.item_id) _shelveItemTx(tx, hold.item_id, date);
+      });
+    });
+    return expired.length;
+  }
+
+  const HOLD_COLUMNS = `
+    h.*, p.name AS patron_name, p.member_id, bk.title AS book_title,
+    i.accession_no,
+    (SELECT COUNT(*) FROM holds h2
+      WHERE h2.book_id = h.book_id AND h2.status = 'waiting' AND h2.position <= h.position) AS queue_position`;
+
+  function getOpenHolds() {
     return DB.query(`
-      SELECT b.id, b.borrower, b.date_out, b.due_date, b.return_date,
-             bk.title AS book_title, bk.id AS book_id
-      FROM borrows b
-      JOIN books bk ON bk.id = b.book_id
-      WHERE b.borrower LIKE ? OR bk.title LIKE ? OR bk.isbn LIKE ?
-      ORDER BY b.date_out DESC
-    `, [t, t, t]);
+      SELECT ${HOLD_COLUMNS}
+      FROM holds h
+      JOIN patrons p ON p.id = h.patron_id
+      JOIN books bk ON bk.id = h.book_id
+      LEFT JOIN items i ON i.id = h.item_id
+      WHERE h.status IN ('waiting', 'ready')
+      ORDER BY bk.title ASC, h.status = 'waiting' ASC, h.position ASC
+    `);
+  }
+
+  function getPatronHolds(patronId) {
+    return DB.query(`
+      SELECT ${HOLD_COLUMNS}
+      FROM holds h
+      JOIN patrons p ON p.id = h.patron_id
+      JOIN books bk ON bk.id = h.book_id
+      LEFT JOIN items i ON i.id = h.item_id
+      WHERE h.patron_id = ? AND h.status IN ('waiting', 'ready')
+      ORDER BY h.placed_on ASC
+    `, [patronId]);
+  }
+
+  // ── Fines ──────────────────────────────────────────────────────────────────
+  //
+  // Rules live in settings: fine_daily_rate, fine_grace_days (free days after
+  // the due date), fine_max_per_item (0 = no cap), fine_category_rates (JSON
+  // map of category → daily rate) and fine_block_threshold (0 = never block).
+  // Fines are written when a loan is returned; open loans only accrue.
+
+  function _money(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  function formatMoney(n) {
+    return `${getSetting('currency_symbol') || ''}${_money(n).toFixed(2)}`;
+  }
+
+  function getFineRules() {
+    let categoryRates = {};
+    try { categoryRates = JSON.parse(getSetting('fine_category_rates') || '{}'); } catch (e) { /* keep {} */ }
+    return {
+      dailyRate:      parseFloat(getSetting('fine_daily_rate'))      || 0,
+      graceDays:      parseInt(getSetting('fine_grace_days'))        || 0,
+      maxPerItem:     parseFloat(getSetting('fine_max_per_item'))    || 0,
+      blockThreshold: parseFloat(getSetting('fine_block_threshold')) || 0,
+      categoryRates,
+    };
+  }
+
+  async function saveFineRules({ dailyRate, graceDays, maxPerItem, blockThreshold, categoryRates }) {
+    assertCan('admin');
+    const before = _settingsSnapshot();
+    await DB.transaction(async tx => {
+      const put = (key, value) => tx(
+        `INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, String(value)]
+      );
+      put('fine_daily_rate',      dailyRate);
+      put('fine_grace_days',      graceDays);
+      put('fine_max_per_item',    maxPerItem);
+      put('fine_block_threshold', blockThreshold);
+      put('fine_category_rates',  JSON.stringify(categoryRates));
+      _auditTx(tx, 'update', 'settings', null, { before, after: _settingsSnapshot(), summary: 'Changed fine rules' });
+    });
+  }
+
+  // { daysLate, amount } for a loan due on dueDate, as of onDate
+  function computeFine(dueDate, category, onDate, rules = getFineRules()) {
+    const daysLate = Math.max(DB.daysBetween(dueDate, onDate), 0);
+    const rate     = rules.categoryRates[category] ?? rules.dailyRate;
+    let amount     = Math.max(daysLate - rules.graceDays, 0) * rate;
+    if (rules.maxPerItem > 0) amount = Math.min(amount, rules.maxPerItem);
+    return { daysLate, amount: _money(amount) };
+  }
+
+  function _assessFineTx(tx, borrow, onDate, reason = 'Overdue') {
+    if (!borrow.patron_id) return null;
+    const book = getBook(borrow.book_id);
+    const { daysLate, amount } = computeFine(borrow.due_date, book?.category, onDate);
+    if (amount <= 0) return null;
+    const id = tx(
+      `INSERT INTO fines (borrow_id, patron_id, assessed_on, days_late, amount, reason) VALUES (?, ?, ?, ?, ?, ?)`,
+      [borrow.id, borrow.patron_id, onDate, daysLate, amount, reason]
+    ).lastInsertRowid;
+    _auditTx(tx, 'create', 'fine', id, {
+      after: _row('fines', id), summary: `Fined ${formatMoney(amount)} for ${_loanLabel(borrow)} (${daysLate} days late)`,
+    });
+    return { daysLate, amount };
+  }
+
+  const FINE_COLUMNS = `
+    f.*, bk.title AS book_title,
+    COALESCE((SELECT SUM(amount) FROM fine_payments fp WHERE fp.fine_id = f.id AND fp.kind = 'payment'), 0) AS paid,
+    COALESCE((SELECT SUM(amount) FROM fine_payments fp WHERE fp.fine_id = f.id AND fp.kind = 'waiver'), 0)  AS waived`;
+
+  function getPatronFines(patronId) {
+    return DB.query(`
+      SELECT ${FINE_COLUMNS}
+      FROM fines f
+      LEFT JOIN borrows b ON b.id = f.borrow_id
+      LEFT JOIN books bk ON bk.id = b.book_id
+      WHERE f.patron_id = ?
+      ORDER BY f.assessed_on DESC, f.id DESC
+    `, [patronId]).map(f => ({ ...f, outstanding: _money(f.amount - f.paid - f.waived) }));
+  }
+
+  function getFinePayments(fineId) {
+    return DB.query('SELECT * FROM fine_payments WHERE fine_id = ? ORDER BY id ASC', [fineId]);
+  }
+
+  // Still-open overdue loans, priced as if returned on `onDate`
+  function getAccruingFines(patronId, onDate = DB.today()) {
+    const rules = getFineRules();
+    return DB.query(`
+      SELECT b.id, b.due_date, bk.title AS book_title, bk.category
+      FROM borrows b JOIN books bk ON bk.id = b.book_id
+      WHERE b.patron_id = ? AND b.return_date IS NULL AND b.due_date < ?
+    `, [patronId, onDate])
+      .map(b => ({ ...b, ...computeFine(b.due_date, b.category, onDate, rules) }))
+      .filter(b => b.amount > 0);
+  }
+
+  function getPatronBalance(patronId, onDate = DB.today()) {
+    const fines       = getPatronFines(patronId);
+    const outstanding = _money(fines.reduce((sum, f) => sum + f.outstanding, 0));
+    const accruing    = _money(getAccruingFines(patronId, onDate).reduce((sum, b) => sum + b.amount, 0));
+    return { outstanding, accruing, total: _money(outstanding + accruing) };
+  }
+
+  // patron_id → outstanding (assessed, unpaid) balance, for list views
+  function getOutstandingBalances() {
+    const rows = DB.query(`
+      SELECT f.patron_id,
+             SUM(f.amount) - COALESCE(SUM((SELECT SUM(amount) FROM fine_payments fp WHERE fp.fine_id = f.id)), 0) AS balance
+      FROM fines f
+      GROUP BY f.patron_id
+    `);
+    return new Map(rows.filter(r => _money(r.balance) > 0).map(r => [r.patron_id, _money(r.balance)]));
+  }
+
+  function _assertNotBlockedByFines(patron) {
+    const { blockThreshold } = getFineRules();
+    if (!blockThreshold) return;
+    const { total } = getPatronBalance(patron.id);
+    if (total > blockThreshold) {
+      const err = new Error(
+        `${patron.name} owes ${formatMoney(total)} in fines, over the ${formatMoney(blockThreshold)} limit — ` +
+        'settle the balance before borrowing.'
+      );
+      err.code = 'FINES_BLOCKED';
+      throw err;
+    }
+  }
+
+  function _fineOutstanding(fineId) {
+    const fine = DB.query(`SELECT ${FINE_COLUMNS} FROM fines f
+      LEFT JOIN borrows b ON b.id = f.borrow_id LEFT JOIN books bk ON bk.id = b.book_id
+      WHERE f.id = ?`, [fineId])[0];
+    if (!fine) throw new Error('Fine not found.');
+    return _money(fine.amount - fine.paid - fine.waived);
+  }
+
+  function _finePaymentTx(tx, fineId, kind, amount, date, note) {
+    const id = tx(
+      `INSERT INTO fine_payments (fine_id, kind, amount, paid_on, note) VALUES (?, ?, ?, ?, ?)`,
+      [fineId, kind, amount, date, note]
+    ).lastInsertRowid;
+    const fine = _row('fines', fineId);
+    _auditTx(tx, kind === 'waiver' ? 'waive' : 'pay', 'fine', fineId, {
+      after: _row('fine_payments', id),
+      summary: `${kind === 'waiver' ? 'Waived' : 'Paid'} ${formatMoney(amount)} of ${_patronName(fine.patron_id)}'s fine` +
+               (note ? ` — ${note}` : ''),
+    });
+  }
+
+  async function payFine(fineId, amount, { date = DB.today(), note = '' } = {}) {
+    assertCan('circulate');
+    amount = _money(amount);
+    if (!(amount > 0)) throw new Error('Enter an amount greater than zero.');
+    const outstanding = _fineOutstanding(fineId);
+    if (amount > outstanding) throw new Error(`Only ${formatMoney(outstanding)} is outstanding on this fine.`);
+    await DB.transaction(async tx => {
+      _finePaymentTx(tx, fineId, 'payment', amount, date, note);
+    });
+  }
+
+  // Pays off a patron's oldest fines first; returns any unused amount
+  async function payPatronBalance(patronId, amount, { date = DB.today(), note = '' } = {}) {
+    assertCan('circulate');
+    let left = _money(amount);
+    if (!(left > 0)) throw new Error('Enter an amount greater than zero.');
+    const open = getPatronFines(patronId).filter(f => f.outstanding > 0).reverse();
+    if (!open.length) throw new Error('Nothing is outstanding for this patron.');
+
+    await DB.transaction(async tx => {
+      for (const f of open) {
+        if (left <= 0) break;
+        const part = Math.min(left, f.outstanding);
+        _finePaymentTx(tx, f.id, 'payment', part, date, note);
+        left = _money(left - part);
+      }
+    });
+    return { change: left };
+  }
+
+  async function waiveFine(fineId, { amount = null, reason, date = DB.today() }) {
+    assertCan('catalogue');
+    if (!reason || !reason.trim()) throw new Error('A reason is required to waive a fine.');
+    const outstanding = _fineOutstanding(fineId);
+    amount = _money(amount ?? outstanding);
+    if (!(amount > 0) || amount > outstanding) {
+      throw new Error(`Waiver must be between 0 and ${formatMoney(outstanding)}.`);
+    }
+    await DB.transaction(async tx => {
+      _finePaymentTx(tx, fineId, 'waiver', amount, date, reason.trim());
+    });
+  }
+
+  // ── Receipts & notices ─────────────────────────────────────────────────────
+  //
+  // The loans behind each printed slip. Wording comes from the notice_*
+  // settings, layout and placeholders from notices.js.
+
+  const NOTICE_KINDS = ['checkout', 'return', 'overdue'];
+
+  const SLIP_COLUMNS = `
+    b.id, b.patron_id, b.date_out, b.due_date, b.return_date, b.renewals, b.lent_by, b.returned_by,
+    bk.title, bk.author, bk.category, i.accession_no,
+    (SELECT COALESCE(SUM(f.amount), 0) FROM fines f WHERE f.borrow_id = b.id) AS fine
+    FROM borrows b
+    JOIN books bk ON bk.id = b.book_id
+    LEFT JOIN items i ON i.id = b.item_id`;
+
+  function _slipPatron(patronId) {
+    const patron = getPatron(patronId);
+    if (!patron) throw new Error('Patron not found.');
+    return patron;
+  }
+
+  // Everything the patron took out on date and still has — one slip for the visit
+  function getCheckoutSlip(patronId, date) {
+    const patron = _slipPatron(patronId);
+    const loans = DB.query(
+      `SELECT ${SLIP_COLUMNS} WHERE b.patron_id = ? AND b.date_out = ? AND b.return_date IS NULL ORDER BY b.due_date, b.id`,
+      [patronId, date]
+    );
+    return { patron, date, loans, balance: getPatronBalance(patronId, date) };
+  }
+
+  // Everything the patron brought back on date, with any fine each ran up
+  function getReturnSlip(patronId, date) {
+    const patron = _slipPatron(patronId);
+    const loans = DB.query(
+      `SELECT ${SLIP_COLUMNS} WHERE b.patron_id = ? AND b.return_date = ? ORDER BY b.id`, [patronId, date]
+    );
+    return { patron, date, loans, balance: getPatronBalance(patronId, date) };
+  }
+
+  // One notice per patron with loans past due on onDate (or just patronId's),
+  // by name. Each loan carries its days overdue and the fine so far.
+  function getOverdueNotices({ onDate = DB.today(), patronId = null } = {}) {
+    const rules = getFineRules();
+    const loans = DB.query(`
+      SELECT ${SLIP_COLUMNS}
+      WHERE b.return_date IS NULL AND b.due_date < ? AND b.patron_id IS NOT NULL
+      ${patronId ? 'AND b.patron_id = ?' : ''}
+      ORDER BY b.due_date, b.id
+    `, patronId ? [onDate, patronId] : [onDate]);
+
+    const notices = new Map();
+    loans.forEach(loan => {
+      if (!notices.has(loan.patron_id)) {
+        notices.set(loan.patron_id, { patron: getPatron(loan.patron_id), date: onDate, loans: [] });
+      }
+      const { daysLate, amount } = computeFine(loan.due_date, loan.category, onDate, rules);
+      notices.get(loan.patron_id).loans.push({ ...loan, daysOverdue: daysLate, fine: amount });
+    });
+    return [...notices.values()]
+      .map(n => ({ ...n, balance: getPatronBalance(n.patron.id, onDate) }))
+      .sort((a, b) => a.patron.name.localeCompare(b.patron.name));
+  }
+
+  // templates: { checkout, return, overdue } — text with {{placeholders}}
+  async function saveNoticeSettings({ libraryName, templates = {} }) {
+    assertCan('admin');
+    const before = _settingsSnapshot();
+    await DB.transaction(async tx => {
+      const put = (key, value) => tx(
+        `INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, String(value)]
+      );
+      put('library_name', String(libraryName).trim() || SETTING_DEFAULTS.library_name);
+      Object.entries(templates)
+        .filter(([kind]) => NOTICE_KINDS.includes(kind))
+        .forEach(([kind, text]) => put(`notice_${kind}`, text));
+      _auditTx(tx, 'update', 'settings', null, { before, after: _settingsSnapshot(), summary: 'Changed receipts and notices' });
+    });
+  }
+
+  // ── Audit log ──────────────────────────────────────────────────────────────
+  //
+  // Every mutation above appends one entry per row it changes, inside its own
+  // transaction — the change and its entry commit or roll back together.
+  // Triggers (migration v9) refuse UPDATE and DELETE on the table.
+
+  const AUDIT_ENTITIES = {
+    book: 'Books', item: 'Copies', category: 'Categories', patron: 'Patrons',
+    borrow: 'Loans', hold: 'Holds', fine: 'Fines', settings: 'Settings', staff: 'Staff', database: 'Database',
+  };
+
+  function _row(table, id) {
+    return DB.query(`SELECT * FROM ${table} WHERE id = ?`, [id])[0] || null;
+  }
+
+  function _auditTx(tx, action, entity, entityId, { before = null, after = null, summary = '' } = {}) {
+    tx(
+      `INSERT INTO audit_log (at, actor, action, entity, entity_id, summary, before, after)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [new Date().toISOString(), _staff?.name ?? null, action, entity, entityId, summary,
+       before && JSON.stringify(before), after && JSON.stringify(after)]
+    );
+  }
+
+  function _settingsSnapshot() {
+    const snapshot = Object.fromEntries(DB.query('SELECT key, value FROM settings').map(r => [r.key, r.value]));
+    snapshot.category_loan_days = Object.fromEntries(
+      DB.query('SELECT name, loan_days FROM categories ORDER BY name').map(c => [c.name, c.loan_days]));
+    return snapshot;
+  }
+
+  function _patronName(patronId) {
+    return _row('patrons', patronId)?.name || 'a deleted patron';
+  }
+
+  // “Title” (#000012) — Name, for loan entries
+  function _loanLabel(borrow) {
+    const item = borrow.item_id ? _row('items', borrow.item_id) : null;
+    return `“${_row('books', borrow.book_id)?.title}”${item ? ` (#${item.accession_no})` : ''} — ` +
+           (borrow.patron_id ? _patronName(borrow.patron_id) : borrow.borrower);
+  }
+
+  function _holdLabel(hold) {
+    return `${_patronName(hold.patron_id)}'s hold on “${_row('books', hold.book_id)?.title}”`;
+  }
+
+  // Newest first → { rows, total }. search matches the summary and staff name;
+  // from/to are dates (YYYY-MM-DD, local) bounding when it happened.
+  function queryAudit({ search = '', entity = '', entityId = null, from = '', to = '', limit = -1, offset = 0 } = {}) {
+    const where = [], params = [];
+    if (search)   { where.push('(summary LIKE ? OR actor LIKE ?)'); params.push(`%${search}%`, `%${search}%`); }
+    if (entity)   { where.push('entity = ?');    params.push(entity); }
+    if (entityId) { where.push('entity_id = ?'); params.push(entityId); }
+    if (from)     { where.push('at >= ?');       params.push(new Date(`${from}T00:00:00`).toISOString()); }
+    if (to)       { where.push('at < ?');        params.push(new Date(`${DB.addDays(to, 1)}T00:00:00`).toISOString()); }
+    const sql = `FROM audit_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''}`;
+    return {
+      rows:  DB.query(`SELECT * ${sql} ORDER BY id DESC LIMIT ? OFFSET ?`, [...params, limit, offset])
+               .map(r => ({ ...r, before: r.before && JSON.parse(r.before), after: r.after && JSON.parse(r.after) })),
+      total: DB.query(`SELECT COUNT(*) AS n ${sql}`, params)[0].n,
+    };
+  }
+
+  // After DB.restoreDB (or DB.revertRestore, with reverted) — the file now open
+  // keeps its own log, with this noted at the end
+  async function recordRestore(fileName, { reverted = false } = {}) {
+    invalidateSearch();
+    const summary = reverted ? `Undid the restore of “${fileName}”` : `Restored from backup “${fileName}”`;
+    await DB.transaction(async tx => {
+      _auditTx(tx, 'restore', 'database', null, { summary });
+    });
+  }
+
+  // After DB.rollbackToSnapshot — label says which restore point, e.g. its date
+  async function recordRollback(label) {
+    invalidateSearch();
+    await DB.transaction(async tx => {
+      _auditTx(tx, 'rollback', 'database', null, { summary: `Rolled back to the restore point from ${label}` });
+    });
+  }
+
+  // A copy taken off the device — what the backup reminder counts from
+  async function recordBackup({ encrypted = false, restorePoint = false } = {}) {
+    const at = new Date().toISOString();
+    await DB.transaction(async tx => {
+      tx(`INSERT INTO settings (key, value) VALUES ('last_backup_at', ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value`, [at]);
+      _auditTx(tx, 'backup', 'database', null, {
+        summary: `Downloaded ${encrypted ? 'an encrypted' : 'a'} ${restorePoint ? 'restore point' : 'backup'}`,
+      });
+    });
+  }
+
+  // Whole days since the last backup — or since the log began, if there's never been one
+  function daysSinceBackup() {
+    const since = getSetting('last_backup_at') || DB.query('SELECT MIN(at) AS at FROM audit_log')[0]?.at;
+    return since ? Math.floor((Date.now() - Date.parse(since)) / 86400000) : 0;
+  }
+
+  // ── Backup preview & merge ─────────────────────────────────────────────────
+  //
+  // Both take a backup opened (validated and upgraded) by DB.openBackup.
+
+  function _plural(n, one, many = `${one}s`) {
+    return `${n} ${n === 1 ? one : many}`;
+  }
+
+  // What the backup holds, and how much of its catalogue this library already has
+  function previewBackup(backup) {
+    const one   = sql => backup.query(sql)[0];
+    const books = backup.query('SELECT title, isbn FROM books ORDER BY title COLLATE NOCASE');
+    const loans = one(`SELECT COUNT(*) AS n, SUM(return_date IS NULL) AS active,
+                              MIN(date_out) AS first, MAX(COALESCE(return_date, date_out)) AS last
+                       FROM borrows`);
+    return {
+      fileName:     backup.fileName,
+      version:      backup.version,
+      titles:       books.length,
+      copies:       one(`SELECT COUNT(*) AS n FROM items WHERE status NOT IN ('lost', 'withdrawn')`).n,
+      categories:   one('SELECT COUNT(*) AS n FROM categories').n,
+      patrons:      one('SELECT COUNT(*) AS n FROM patrons').n,
+      staff:        one('SELECT COUNT(*) AS n FROM staff').n,
+      loans:        loans.n,
+      activeLoans:  loans.active || 0,
+      firstLoan:    loans.first,
+      lastLoan:     loans.last,
+      lastChange:   one('SELECT MAX(at) AS at FROM audit_log').at,
+      sampleTitles: books.slice(0, 8).map(b => b.title),
+      alreadyHeld:  books.filter(b => _findDuplicateBook(b.title, b.isbn)).length,
+    };
+  }
+
+  // The same person here, by name — or a new patron, keeping their member ID if it's free
+  function _mergePatronTx(tx, patron) {
+    const here = findPatronsByName(patron.name);
+    const same = here.find(p => p.member_id && p.member_id === patron.member_id) || here[0];
+    if (same) return { id: same.id, added: false };
+    const memberFree = patron.member_id && !DB.query('SELECT id FROM patrons WHERE member_id = ?', [patron.member_id]).length;
+    const id = tx(
+      `INSERT INTO patrons (name, member_id, phone, email, department, notes, active) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [patron.name, memberFree ? patron.member_id : null, patron.phone, patron.email,
+       patron.department, patron.notes, patron.active]
+    ).lastInsertRowid;
+    if (!memberFree) tx('UPDATE patrons SET member_id = ? WHERE id = ?', [_nextMemberId(), id]);
+    return { id, added: true };
+  }
+
+  // Adds another branch's catalogue and loan history to this library, as one
+  // undoable step. Titles already here (see _findDuplicateBook) keep their own
+  // copies; new titles bring theirs under fresh accession numbers. Borrowers come
+  // with their loans, matched by name; a loan already here is skipped. Holds,
+  // fines, settings and staff stay behind.
+  // A loan still out on a title already here is lent one of this library's free
+  // copies. When a title has too few, nothing is merged: the error's `loans`
+  // lists the ones that found no copy (code MERGE_LOANS_CLASH).
+  async function mergeBackup(backup) {
+    assertCan('admin');
+    const counts = { titles: 0, duplicates: 0, copies: 0, categories: 0, patrons: 0, loans: 0, skippedLoans: 0 };
+    const bookIds = new Map(), itemIds = new Map(), patronIds = new Map();
+    const clashes = [];
+
+    await DB.transaction(async tx => {
+      const categoryName = name => {
+        const category = _findCategory(name);
+        if (category) return category.name;
+        _addCategoryTx(tx, name);
+        counts.categories++;
+        return name;
+      };
+      backup.query('SELECT name FROM categories ORDER BY name').forEach(c => categoryName(c.name));
+
+      backup.query('SELECT * FROM books ORDER BY id').forEach(book => {
+        const existing = _findDuplicateBook(book.title, book.isbn);
+        if (existing) {
+          bookIds.set(book.id, existing.id);
+          counts.duplicates++;
+          return;
+        }
+        const id = tx(
+          `INSERT INTO books (title, author, isbn, category, not_for_loan, withdrawn_on, withdrawn_reason)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [book.title, book.author, ISBN.normalize(book.isbn), categoryName(book.category), book.not_for_loan,
+           book.withdrawn_on, book.withdrawn_reason]
+        ).lastInsertRowid;
+        bookIds.set(book.id, id);
+        counts.titles++;
+        backup.query('SELECT * FROM items WHERE book_id = ? ORDER BY id', [book.id]).forEach(item => {
+          const [itemId] = _addItemsTx(tx, id, 1, { condition: item.condition, location: item.location });
+          // Its holds stay behind, so a hold-shelf copy goes back on the shelf
+          tx('UPDATE items SET status = ?, notes = ?, withdrawn_with_title = ? WHERE id = ?',
+             [item.status === 'on_hold' ? 'available' : item.status, item.notes, item.withdrawn_with_title, itemId]);
+          itemIds.set(item.id, itemId);
+          counts.copies++;
+        });
+      });
+
+      backup.query('SELECT * FROM borrows ORDER BY id').forEach(loan => {
+        let patronId = null;
+        if (loan.patron_id) {
+          if (!patronIds.has(loan.patron_id)) {
+            const patron = backup.query('SELECT * FROM patrons WHERE id = ?', [loan.patron_id])[0];
+            const merged = patron ? _mergePatronTx(tx, patron) : { id: null };
+            if (merged.added) counts.patrons++;
+            patronIds.set(loan.patron_id, merged.id);
+          }
+          patronId = patronIds.get(loan.patron_id);
+        }
+        const bookId = bookIds.get(loan.book_id);
+        const dup = DB.query(
+          `SELECT id FROM borrows WHERE book_id = ? AND date_out = ? AND (patron_id IS ? OR borrower = ?)`,
+          [bookId, loan.date_out, patronId, loan.borrower]
+        ).length;
+        if (dup) { counts.skippedLoans++; return; }
+        let itemId = itemIds.get(loan.item_id) ?? null;
+        if (!loan.return_date && !itemId) {
+          itemId = getAvailableItems(bookId)[0]?.id;
+          if (!itemId) {
+            clashes.push(`${_loanLabel({ book_id: bookId, patron_id: patronId, borrower: loan.borrower })}, ` +
+                         `out since ${loan.date_out}`);
+            return;
+          }
+          tx(`UPDATE items SET status = 'on_loan' WHERE id = ?`, [itemId]);
+        }
+        tx(
+          `INSERT INTO borrows (book_id, item_id, patron_id, borrower, date_out, due_date, return_date,
+                                renewals, lent_by, returned_by, note)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [bookId, itemId, patronId, loan.borrower, loan.date_out, loan.due_date,
+           loan.return_date, loan.renewals, loan.lent_by, loan.returned_by, loan.note]
+        );
+        counts.loans++;
+      });
+      if (clashes.length) {
+        const err = new Error(
+          `No free copy here for ${_plural(clashes.length, 'loan')} still out in the backup — ` +
+          'return them or add copies, then merge again.'
+        );
+        err.code  = 'MERGE_LOANS_CLASH';
+        err.loans = clashes;
+        throw err;
+      }
+
+      _auditTx(tx, 'merge', 'database', null, {
+        after: counts,
+        summary: `Merged “${backup.fileName}”: ${_plural(counts.titles, 'new title')}, ` +
+                 `${_plural(counts.copies, 'copy', 'copies')}, ${_plural(counts.loans, 'loan')}`,
+      });
+    }, { undo: { label: `Merge of “${backup.fileName}”`, needs: 'admin' } });
+    invalidateSearch();
+    return counts;
+  }
+
+  // ── Sync between desks ─────────────────────────────────────────────────────
+  //
+  // db-core.js keeps the change log and settles row-by-row clashes; sync.js
+  // talks to the server. What's left here needs a librarian: a copy lent on
+  // two desks at once, and changes from another desk that replaced this one's.
+
+  // replaceLocal: see DB.startSync
+  async function startSync({ replaceLocal = false } = {}) {
+    assertCan('admin');
+    await DB.startSync({ replaceLocal });
+    invalidateSearch();
+    await DB.transaction(async tx => {
+      _auditTx(tx, 'sync', 'database', null, {
+        summary: replaceLocal ? 'Joined a shared library — this desk\'s own data was set aside'
+                              : 'Started sharing this library with other desks',
+      });
+    });
+  }
+
+  async function stopSync() {
+    assertCan('admin');
+    await DB.stopSync();
+    await DB.transaction(async tx => {
+      _auditTx(tx, 'sync', 'database', null, { summary: 'Stopped sharing this library with other desks' });
+    });
+  }
+
+  // For DB.applyChanges: a copy's barcode follows its new accession number
+  // when that's free as a barcode
+  const SYNC_RENUMBER = {
+    items: {
+      accession_no: () => _nextAccessionNo(),
+      barcode: row => (row.accession_no && !DB.query('SELECT 1 FROM items WHERE barcode = ?', [row.accession_no]).length
+        ? row.accession_no : _nextAccessionNo()),
+    },
+    patrons: { member_id: () => _nextMemberId() },
+  };
+
+  // No permission check — pulls run in the background, signed in or not
+  async function applySyncChanges(changes) {
+    const result = await DB.applyChanges(changes, { renumber: SYNC_RENUMBER });
+    if (result.applied) invalidateSearch();
+    return result;
+  }
+
+  function _syncRowLabel(tbl, uid) {
+    const row = DB.query(`SELECT * FROM ${tbl} WHERE uid = ?`, [uid])[0];
+    if (!row) return 'a record that has since been removed';
+    switch (tbl) {
+      case 'books':      return `“${row.title}”`;
+      case 'items':      return `copy #${row.accession_no}`;
+      case 'categories': return `the ${row.name} category`;
+      case 'patrons':    return row.name;
+      case 'borrows':    return `the loan of ${_loanLabel(row)}`;
+      case 'holds':      return _holdLabel(row);
+      case 'staff':      return `${row.name}'s staff account`;
+      case 'settings':   return `the ${row.key} setting`;
+      default:           return `a record in ${tbl.replace('_', ' ')}`;
+    }
+  }
+
+  // → { doubleLoans: [{ itemId, accessionNo, title, loans }], notices, count }
+  function getSyncConflicts() {
+    const doubleLoans = DB.query(`
+      SELECT item_id FROM borrows WHERE return_date IS NULL AND item_id IS NOT NULL
+      GROUP BY item_id HAVING COUNT(*) > 1
+    `).map(({ item_id }) => {
+      const item = getItem(item_id);
+      return {
+        itemId:      item_id,
+        accessionNo: item.accession_no,
+        title:       getBook(item.book_id)?.title,
+        loans: DB.query(`
+          SELECT b.id, b.date_out, b.due_date, b.lent_by, COALESCE(p.name, b.borrower) AS patron
+          FROM borrows b LEFT JOIN patrons p ON p.id = b.patron_id
+          WHERE b.item_id = ? AND b.return_date IS NULL
+          ORDER BY b.date_out, b.id
+        `, [item_id]),
+      };
+    });
+    const notices = DB.query('SELECT * FROM sync_conflicts WHERE resolved_at IS NULL ORDER BY id DESC')
+      .map(c => ({ ...c, label: _syncRowLabel(c.tbl, c.uid) }));
+    return { doubleLoans, notices, count: doubleLoans.length + notices.length };
+  }
+
+  // A copy is only ever in one pair of hands. The other open loans on it are
+  // closed today with a note, not deleted — they were really made, and stay in
+  // the patron's history. No fine is charged on them.
+  async function resolveDoubleLoan(keepId) {
+    assertCan('circulate');
+    const keep = DB.query('SELECT * FROM borrows WHERE id = ?', [keepId])[0];
+    if (!keep) throw new Error('Loan not found.');
+    const others = DB.query(
+      'SELECT * FROM borrows WHERE item_id = ? AND return_date IS NULL AND id != ?', [keep.item_id, keepId]
+    );
+    const kept = _loanLabel(keep);
+    const note = `Closed when sync found the copy lent twice — kept the loan of ${kept}`;
+    await DB.transaction(async tx => {
+      others.forEach(b => {
+        tx('UPDATE borrows SET return_date = ?, returned_by = ?, note = ? WHERE id = ?',
+           [DB.today(), _staff?.name ?? null, note, b.id]);
+        _auditTx(tx, 'update', 'borrow', b.id, {
+          before: b, after: _row('borrows', b.id),
+          summary: `Closed the loan of ${_loanLabel(b)} — kept ${kept} from another desk`,
+        });
+      });
+      tx(`UPDATE items SET status = 'on_loan' WHERE id = ?`, [keep.item_id]);
+    }, { undo: { label: `Kept loan of ${kept}`, needs: 'circulate' } });
+  }
+
+  async function dismissSyncConflict(id) {
+    assertCan('circulate');
+    await DB.run('UPDATE sync_conflicts SET resolved_at = ? WHERE id = ?', [new Date().toISOString(), id]);
+  }
+
+  // ── Staff & roles ──────────────────────────────────────────────────────────
+  //
+  // Until the first account exists the app is open and everyone acts as Admin.
+  // From then on every change needs a signed-in staff member whose role allows it.
+  // PINs are stored as PBKDF2-SHA256 hashes with a per-account salt.
+
+  const ROLES = {
+    volunteer: { name: 'Volunteer', rank: 1 },
+    librarian: { name: 'Librarian', rank: 2 },
+    admin:     { name: 'Admin',     rank: 3 },
+  };
+
+  // The least role each kind of change needs
+  const PERMISSIONS = {
+    circulate: 'volunteer',   // lend, return, renew, holds, take payments
+    catalogue: 'librarian',   // books, copies, patrons, import, waive fines, overdue renewals
+    admin:     'admin',       // categories, policies, settings, staff, backup/restore, reset
+  };
+
+  const PIN_ROUNDS     = 150000;
+  const PIN_TRIES      = 5;       // wrong PINs in a row before a pause
+  const PIN_LOCKOUT_MS = 30000;
+
+  let _staff         = null;   // { id, name, role } while someone is signed in
+  let _pinFailures   = 0;
+  let _pinPauseUntil = 0;
+
+  function _hex(bytes) {
+    return [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function _hashPin(pin, saltHex, rounds) {
+    const salt = Uint8Array.from(saltHex.match(/../g), h => parseInt(h, 16));
+    const key  = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: rounds }, key, 256);
+    return _hex(bits);
+  }
+
+  async function _pinColumns(pin) {
+    pin = String(pin ?? '');
+    if (!/^\d{4,8}$/.test(pin)) throw new Error('PIN must be 4 to 8 digits.');
+    const salt = _hex(crypto.getRandomValues(new Uint8Array(16)));
+    return [await _hashPin(pin, salt, PIN_ROUNDS), salt, PIN_ROUNDS];
+  }
+
+  // Audit snapshots leave the PIN hash out
+  function _staffSnapshot(row) {
+    return row && { name: row.name, role: row.role, active: row.active };
+  }
+
+  // Demoting, deactivating or deleting the last Admin would leave nobody able to manage staff
+  function _assertAdminRemains(exceptId) {
+    const n = DB.query(`SELECT COUNT(*) AS n FROM staff WHERE role = 'admin' AND active = 1 AND id != ?`, [exceptId])[0].n;
+    if (!n) throw new Error('Keep at least one active Admin account.');
+  }
+
+  function getAllStaff() {
+    return DB.query('SELECT id, name, role, active, created_at FROM staff ORDER BY active DESC, name COLLATE NOCASE');
+  }
+
+  // True once an account exists — from then on the app starts locked
+  function hasStaff() {
+    return DB.query('SELECT COUNT(*) AS n FROM staff WHERE active = 1')[0].n > 0;
+  }
+
+  function currentStaff() {
+    return _staff && { ..._staff };
+  }
+
+  // permission: a key of PERMISSIONS
+  function can(permission) {
+    if (!hasStaff()) return true;
+    return !!_staff && ROLES[_staff.role].rank >= ROLES[PERMISSIONS[permission]].rank;
+  }
+
+  function assertCan(permission) {
+    if (can(permission)) return;
+    if (!_staff) throw new Error('Sign in first.');
+    const need = PERMISSIONS[permission];
+    throw new Error(`Only ${ROLES[need].name}s${need === 'admin' ? '' : ' and above'} can do that — ` +
+                    `you're signed in as ${_staff.name} (${ROLES[_staff.role].name}).`);
+  }
+
+  async function signIn(staffId, pin) {
+    if (Date.now() < _pinPauseUntil) throw new Error('Too many wrong PINs — wait a moment and try again.');
+    const row = DB.query('SELECT * FROM staff WHERE id = ? AND active = 1', [staffId])[0];
+    if (!row) throw new Error('Choose who is signing in.');
+    if (await _hashPin(String(pin ?? ''), row.pin_salt, row.pin_rounds) !== row.pin_hash) {
+      if (++_pinFailures >= PIN_TRIES) {
+        _pinFailures   = 0;
+        _pinPauseUntil = Date.now() + PIN_LOCKOUT_MS;
+      }
+      throw new Error('Wrong PIN.');
+    }
+    _pinFailures = 0;
+    _staff = { id: row.id, name: row.name, role: row.role };
+    return currentStaff();
+  }
+
+  function signOut() {
+    _staff = null;
+  }
+
+  // Whoever creates the first account (an Admin) is signed in as it
+  async function addStaff({ name, role, pin }) {
+    assertCan('admin');
+    name = _normName(name);
+    if (!name) throw new Error('Name is required.');
+    if (!ROLES[role]) throw new Error('Choose a role.');
+    const first = !hasStaff();
+    if (first && role !== 'admin') throw new Error('The first account must be an Admin.');
+    if (DB.query('SELECT id FROM staff WHERE name = ? COLLATE NOCASE', [name]).length) {
+      throw new Error(`There is already a staff account called “${name}”.`);
+    }
+    const pinColumns = await _pinColumns(pin);
+
+    let id;
+    await DB.transaction(async tx => {
+      id = tx(
+        `INSERT INTO staff (name, role, pin_hash, pin_salt, pin_rounds, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+        [name, role, ...pinColumns, new Date().toISOString()]
+      ).lastInsertRowid;
+      _auditTx(tx, 'create', 'staff', id, {
+        after: _staffSnapshot(_row('staff', id)), summary: `Added ${ROLES[role].name} ${name}`,
+      });
+    });
+    if (first) _staff = { id, name, role };
+    return id;
+  }
+
+  async function updateStaff(id, { name, role, active = true }) {
+    assertCan('admin');
+    const before = _row('staff', id);
+    if (!before) throw new Error('Staff member not found.');
+    name = _normName(name);
+    if (!name) throw new Error('Name is required.');
+    if (!ROLES[role]) throw new Error('Choose a role.');
+    if (DB.query('SELECT id FROM staff WHERE name = ? COLLATE NOCASE AND id != ?', [name, id]).length) {
+      throw new Error(`There is already a staff account called “${name}”.`);
+    }
+    if (_staff?.id === id && !active) throw new Error("You can't deactivate your own account.");
+    if (before.role === 'admin' && before.active && (role !== 'admin' || !active)) _assertAdminRemains(id);
+
+    await DB.transaction(async tx => {
+      tx('UPDATE staff SET name = ?, role = ?, active = ? WHERE id = ?', [name, role, active ? 1 : 0, id]);
+      _auditTx(tx, 'update', 'staff', id, {
+        before: _staffSnapshot(before), after: _staffSnapshot(_row('staff', id)), summary: `Updated staff account ${name}`,
+      });
+    });
+    if (_staff?.id === id) _staff = { id, name, role };
+  }
+
+  // Admins can set anyone's PIN; everyone else only their own
+  async function setStaffPin(id, pin) {
+    if (_staff?.id !== id) assertCan('admin');
+    const row = _row('staff', id);
+    if (!row) throw new Error('Staff member not found.');
+    const pinColumns = await _pinColumns(pin);
+    await DB.transaction(async tx => {
+      tx('UPDATE staff SET pin_hash = ?, pin_salt = ?, pin_rounds = ? WHERE id = ?', [...pinColumns, id]);
+      _auditTx(tx, 'update', 'staff', id, { summary: `Changed the PIN for ${row.name}` });
+    });
+  }
+
+  // Loans keep the name they were stamped with
+  async function deleteStaff(id) {
+    assertCan('admin');
+    const before = _row('staff', id);
+    if (!before) throw new Error('Staff member not found.');
+    if (_staff?.id === id) throw new Error("You can't delete your own account.");
+    if (before.role === 'admin' && before.active) _assertAdminRemains(id);
+    await DB.transaction(async tx => {
+      tx('DELETE FROM staff WHERE id = ?', [id]);
+      _auditTx(tx, 'delete', 'staff', id, { before: _staffSnapshot(before), summary: `Deleted staff account ${before.name}` });
+    }, { undo: { label: `Delete staff account ${before.name}`, needs: 'admin' } });
+  }
+
+  // ── Scanned codes ──────────────────────────────────────────────────────────
+
+  // What a scanned or typed code refers to: a copy's label, a patron card or
+  // a title's ISBN. { type: 'isbn' } is a valid ISBN we don't hold yet.
+  function findByCode(code) {
+    code = String(code || '').trim();
+    if (!code) return null;
+
+    const item = findItemByCode(code);
+    if (item) return { type: 'item', item, book: getBook(item.book_id) };
+
+    const patron = DB.query('SELECT * FROM patrons WHERE UPPER(member_id) = UPPER(?) LIMIT 1', [code])[0];
+    if (patron) return { type: 'patron', patron };
+
+    const isbn = ISBN.parse(code)?.isbn13;
+    if (!isbn) return null;
+    const book = DB.query(`SELECT ${BOOK_COLUMNS} FROM books bk WHERE bk.isbn = ? ORDER BY bk.id LIMIT 1`, [isbn])[0];
+    return book ? { type: 'book', book } : { type: 'isbn', isbn };
   }
 
   // ── Stats ──────────────────────────────────────────────────────────────────
 
   function getStats() {
-    const totalCopies = DB.query('SELECT COALESCE(SUM(copies),0) AS n FROM books')[0]?.n || 0;
-    const totalTitles = DB.query('SELECT COUNT(*) AS n FROM books')[0]?.n || 0;
+    const totalCopies = DB.query(
+      `SELECT COUNT(*) AS n FROM items WHERE status NOT IN ('lost', 'withdrawn')`
+    )[0]?.n || 0;
+    const availableCopies = DB.query(
+      `SELECT COUNT(*) AS n FROM items WHERE status = 'available'`
+    )[0]?.n || 0;
+    const totalTitles = DB.query('SELECT COUNT(*) AS n FROM books WHERE withdrawn_on IS NULL')[0]?.n || 0;
     const activeLoans = DB.query('SELECT COUNT(*) AS n FROM borrows WHERE return_date IS NULL')[0]?.n || 0;
     const returnedLoans = DB.query('SELECT COUNT(*) AS n FROM borrows WHERE return_date IS NOT NULL')[0]?.n || 0;
     const today = DB.today();
@@ -196,58 +1970,351 @@ const DBLib = (() => {
     `);
 
     const dueToday = DB.query(`
-      SELECT b.borrower, bk.title
+      SELECT COALESCE(p.name, b.borrower) AS borrower, bk.title
       FROM borrows b
       JOIN books bk ON bk.id = b.book_id
+      LEFT JOIN patrons p ON p.id = b.patron_id
       WHERE b.return_date IS NULL AND b.due_date = ?
     `, [today]);
 
-    return { totalCopies, totalTitles, activeLoans, returnedLoans, overdueCount, topBooks, dueToday };
+    return { totalCopies, availableCopies, totalTitles, activeLoans, returnedLoans, overdueCount, topBooks, dueToday };
+  }
+
+  // ── Reports ────────────────────────────────────────────────────────────────
+
+  const REPORT_GROUPS = ['day', 'week', 'month'];
+  const WEEKDAYS      = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+  // The period a date falls in: the day itself, the Monday of its week, or YYYY-MM
+  function _periodOf(date, group) {
+    if (group === 'month') return date.slice(0, 7);
+    if (group === 'day') return date;
+    const [y, m, d] = date.split('-').map(Number);
+    return DB.addDays(date, -((new Date(y, m - 1, d).getDay() + 6) % 7));
+  }
+
+  // Every period from → to, empty ones too, so a quiet week still shows
+  function _periods(from, to, group) {
+    const out  = [];
+    const last = _periodOf(to, group);
+    for (let p = _periodOf(from, group); p <= last;) {
+      out.push(p);
+      p = group === 'month' ? DB.addDays(`${p}-01`, 32).slice(0, 7) : DB.addDays(p, group === 'week' ? 7 : 1);
+    }
+    return out;
+  }
+
+  // Free-text borrowers from before the patron registry count by name
+  function _borrowerKey(loan) {
+    return loan.patron_id ? `p${loan.patron_id}` : `n${String(loan.borrower).trim().toLowerCase()}`;
+  }
+
+  // Circulation between two dates (inclusive), bucketed by day, week (from
+  // Monday) or month. Loans count on the day they went out, returns on the
+  // day they came back.
+  function getReport({ from, to, group = 'day' }) {
+    if (!from || !to || from > to) throw new Error('Choose a start date on or before the end date.');
+    if (!REPORT_GROUPS.includes(group)) throw new Error('Unknown report grouping.');
+
+    const loans = DB.query(`
+      SELECT b.date_out, b.patron_id, b.borrower, bk.category
+      FROM borrows b JOIN books bk ON bk.id = b.book_id
+      WHERE b.date_out BETWEEN ? AND ?
+    `, [from, to]);
+    const returns = DB.query(`
+      SELECT date_out, due_date, return_date FROM borrows WHERE return_date BETWEEN ? AND ?
+    `, [from, to]);
+
+    const buckets = new Map(_periods(from, to, group).map(p => [p, { period: p, loans: 0, returns: 0, borrowers: new Set() }]));
+    const categories = new Map();
+    const weekdays   = WEEKDAYS.map(day => ({ day, loans: 0 }));
+    loans.forEach(loan => {
+      const bucket = buckets.get(_periodOf(loan.date_out, group));
+      bucket.loans++;
+      bucket.borrowers.add(_borrowerKey(loan));
+      categories.set(loan.category, (categories.get(loan.category) || 0) + 1);
+      const [y, m, d] = loan.date_out.split('-').map(Number);
+      weekdays[(new Date(y, m - 1, d).getDay() + 6) % 7].loans++;
+    });
+    returns.forEach(r => { buckets.get(_periodOf(r.return_date, group)).returns++; });
+
+    const onTime = returns.filter(r => r.return_date <= r.due_date).length;
+    const days   = returns.reduce((sum, r) => sum + DB.daysBetween(r.date_out, r.return_date), 0);
+
+    const titleCounts = order => DB.query(`
+      SELECT bk.title, bk.author,
+        (SELECT COUNT(*) FROM borrows b WHERE b.book_id = bk.id AND b.date_out BETWEEN ? AND ?) AS loans
+      FROM books bk
+      WHERE EXISTS (SELECT 1 FROM items i WHERE i.book_id = bk.id AND i.status NOT IN ('lost', 'withdrawn'))
+      ORDER BY loans ${order}, bk.title COLLATE NOCASE
+      LIMIT 10
+    `, [from, to]);
+
+    return {
+      from, to, group,
+      totals: {
+        loans:     loans.length,
+        returns:   returns.length,
+        borrowers: new Set(loans.map(_borrowerKey)).size,
+      },
+      avgLoanDays: returns.length ? Math.round(days / returns.length * 10) / 10 : null,
+      onTimeRate:  returns.length ? onTime / returns.length : null,
+      series:      [...buckets.values()].map(b => ({ ...b, borrowers: b.borrowers.size })),
+      byCategory:  [...categories].map(([category, n]) => ({ category, loans: n })).sort((a, b) => b.loans - a.loans),
+      weekdays,
+      mostBorrowed:  titleCounts('DESC').filter(t => t.loans > 0),
+      leastBorrowed: titleCounts('ASC'),
+    };
+  }
+
+  // ── Collection health ──────────────────────────────────────────────────────
+
+  const DEMAND_SHARE = 0.5;   // every copy out on half the days or more → buy another
+
+  // The same day `months` months earlier (the month's last day if it's shorter)
+  function _monthsBefore(date, months) {
+    const [y, m, d] = date.split('-').map(Number);
+    const first = new Date(y, m - 1 - months, 1);
+    const days  = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    const start = `${first.getFullYear()}-${String(first.getMonth() + 1).padStart(2, '0')}-01`;
+    return DB.addDays(start, Math.min(d, days) - 1);
+  }
+
+  // Days between since and date on which every copy of each title was out.
+  // Measured against the copies owned now, so a copy bought mid-way counts throughout.
+  function _allOutDays(titles, since, date) {
+    const span  = DB.daysBetween(since, date) + 1;
+    const owned = new Map(titles.filter(t => t.owned > 0).map(t => [t.id, t.owned]));
+    const diffs = new Map();
+    DB.query(`
+      SELECT book_id, date_out, return_date FROM borrows
+      WHERE date_out <= ? AND (return_date IS NULL OR return_date > ?)
+    `, [date, since]).forEach(loan => {
+      if (!owned.has(loan.book_id)) return;
+      if (!diffs.has(loan.book_id)) diffs.set(loan.book_id, new Int32Array(span + 1));
+      const diff  = diffs.get(loan.book_id);
+      // Out from the day it went out until the day it came back
+      const start = Math.max(0, DB.daysBetween(since, loan.date_out));
+      const end   = loan.return_date ? Math.min(span, DB.daysBetween(since, loan.return_date)) : span;
+      if (end <= start) return;
+      diff[start]++;
+      diff[end]--;
+    });
+    const result = new Map();
+    diffs.forEach((diff, bookId) => {
+      let out = 0, days = 0;
+      for (let i = 0; i < span; i++) {
+        out += diff[i];
+        if (out >= owned.get(bookId)) days++;
+      }
+      result.set(bookId, days);
+    });
+    return { span, days: result };
+  }
+
+  // What to weed and what to buy more of, looking back `months` months from date:
+  //   neverBorrowed — no loan, ever
+  //   dormant       — borrowed once, but not in the window (and not out now)
+  //   inDemand      — every copy out on half the window's days or more, or
+  //                   more holds placed in it than there are copies
+  //   categories    — each category's share of the copies against its share of the loans
+  // Withdrawn titles are left out of all of these and listed on their own.
+  function getCollectionHealth({ months = 12, date = DB.today() } = {}) {
+    months = parseInt(months);
+    if (!(months > 0)) throw new Error('Choose how many months to look back.');
+    const since = _monthsBefore(date, months);
+
+    const titles = DB.query(`
+      SELECT ${BOOK_COLUMNS},
+        (SELECT COUNT(*) FROM borrows b WHERE b.book_id = bk.id) AS loans,
+        (SELECT MAX(b.date_out) FROM borrows b WHERE b.book_id = bk.id) AS last_loan,
+        (SELECT COUNT(*) FROM borrows b WHERE b.book_id = bk.id AND b.return_date IS NULL) AS on_loan,
+        (SELECT COUNT(*) FROM borrows b WHERE b.book_id = bk.id AND b.date_out BETWEEN ? AND ?) AS recent_loans,
+        (SELECT COUNT(*) FROM holds h WHERE h.book_id = bk.id AND h.placed_on BETWEEN ? AND ?) AS holds_placed,
+        (SELECT COUNT(*) FROM holds h WHERE h.book_id = bk.id AND h.status = 'waiting') AS waiting
+      FROM books bk
+      WHERE bk.withdrawn_on IS NULL
+      ORDER BY bk.title COLLATE NOCASE
+    `, [since, date, since, date]);
+
+    const { span, days } = _allOutDays(titles, since, date);
+    const rows = titles.map(t => ({
+      id: t.id, title: t.title, author: t.author, category: t.category, owned: t.owned, available: t.available,
+      loans: t.loans, lastLoan: t.last_loan, onLoan: t.on_loan,
+      daysSinceLoan: t.last_loan ? DB.daysBetween(t.last_loan, date) : null,
+      recentLoans: t.recent_loans, holdsPlaced: t.holds_placed, waiting: t.waiting,
+      allOutShare: t.owned > 0 ? (days.get(t.id) || 0) / span : null,
+    }));
+
+    const borrowed = rows.filter(t => t.loans > 0);
+    const average  = list => list.length
+      ? Math.round(list.reduce((sum, t) => sum + t.daysSinceLoan, 0) / list.length)
+      : null;
+
+    const categories = new Map();
+    rows.forEach(t => {
+      const key = String(t.category).trim().toLowerCase();
+      if (!categories.has(key)) categories.set(key, { category: t.category, titles: 0, copies: 0, loans: 0, borrowed: [] });
+      const c = categories.get(key);
+      c.titles++;
+      c.copies += t.owned;
+      c.loans  += t.recentLoans;
+      if (t.loans > 0) c.borrowed.push(t);
+    });
+    const copies = rows.reduce((sum, t) => sum + t.owned, 0);
+    const loans  = rows.reduce((sum, t) => sum + t.recentLoans, 0);
+
+    return {
+      months, since, to: date,
+      totals: { titles: rows.length, copies, loans },
+      avgDaysSinceLoan: average(borrowed),
+      neverBorrowed: rows.filter(t => !t.loans),
+      dormant: borrowed
+        .filter(t => t.lastLoan < since && !t.onLoan)
+        .sort((a, b) => a.lastLoan.localeCompare(b.lastLoan)),
+      inDemand: rows
+        .filter(t => t.allOutShare >= DEMAND_SHARE || t.holdsPlaced > t.owned)
+        .sort((a, b) => (b.allOutShare ?? 1) - (a.allOutShare ?? 1) || b.holdsPlaced - a.holdsPlaced),
+      categories: [...categories.values()]
+        .map(({ borrowed: list, ...c }) => ({
+          ...c,
+          copyShare: copies ? c.copies / copies : 0,
+          loanShare: loans ? c.loans / loans : 0,
+          avgDaysSinceLoan: average(list),
+        }))
+        .sort((a, b) => b.copies - a.copies || a.category.localeCompare(b.category)),
+      withdrawn: DB.query(`
+        SELECT id, title, author, category, withdrawn_on, withdrawn_reason FROM books
+        WHERE withdrawn_on IS NOT NULL
+        ORDER BY withdrawn_on DESC, title COLLATE NOCASE
+      `),
+    };
   }
 
   // ── Settings ───────────────────────────────────────────────────────────────
 
+  // Used until the librarian saves their own value (and again after a reset)
+  const SETTING_DEFAULTS = {
+    loan_period_days:     '14',
+    max_renewals:         '2',
+    hold_pickup_days:     '3',
+    max_loans_per_patron: '0',
+    currency_symbol:      '₦',
+    lock_after_minutes:   '5',
+    backup_reminder_days: '7',
+    library_name:         'Gnoke Library',
+  };
+
   function getSetting(key) {
     const row = DB.query('SELECT value FROM settings WHERE key = ?', [key])[0];
-    return row ? row.value : null;
+    return row ? row.value : (SETTING_DEFAULTS[key] ?? null);
   }
 
   async function saveSetting(key, value) {
-    await DB.run(
-      `INSERT INTO settings (key, value) VALUES (?, ?)
-       ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
-      [key, value]
-    );
+    assertCan('admin');
+    const before = DB.query('SELECT value FROM settings WHERE key = ?', [key])[0]?.value ?? null;
+    await DB.transaction(async tx => {
+      tx(
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, value]
+      );
+      _auditTx(tx, 'update', 'settings', null, {
+        before: { [key]: before }, after: { [key]: value }, summary: `Set ${key} to “${value}”`,
+      });
+    });
   }
 
   // ── Reset demo data ────────────────────────────────────────────────────────
 
+  // The audit log survives — the reset itself is the last entry
   async function resetToFresh() {
+    assertCan('admin');
+    const before = Object.fromEntries(['books', 'items', 'patrons', 'borrows', 'holds', 'fines'].map(t =>
+      [t, DB.query(`SELECT COUNT(*) AS n FROM ${t}`)[0].n]));
     await DB.transaction(async tx => {
+      tx('DELETE FROM holds');
+      tx('DELETE FROM fines');
       tx('DELETE FROM borrows');
+      tx('DELETE FROM patrons');
+      tx('DELETE FROM items');
       tx('DELETE FROM books');
       tx('DELETE FROM categories');
       tx('DELETE FROM settings');
-    });
-    await saveSetting('demo_cleared', '1');
+      tx(`INSERT INTO settings (key, value) VALUES ('demo_cleared', '1')`);
+      _auditTx(tx, 'reset', 'database', null, { before, summary: 'Cleared all library data' });
+    }, { undo: { label: 'Clear all data', needs: 'admin' } });
+    invalidateSearch();
+  }
+
+  // ── Undo ───────────────────────────────────────────────────────────────────
+  //
+  // Deletes, returns, hold cancellations and the reset are undoable steps
+  // (see DB.undo). Undoing is itself an audit entry — the log never shrinks.
+
+  async function undo() {
+    const next = DB.undoSteps()[0];
+    if (next) assertCan(next.needs);
+    const step = await DB.undo((tx, s) => _auditTx(tx, 'undo', 'database', null, { summary: `Undid: ${s.label}` }));
+    invalidateSearch();
+    return step;
+  }
+
+  function undoSteps() {
+    return DB.undoSteps();
   }
 
   // ── Public API ─────────────────────────────────────────────────────────────
 
   return {
     // Books
-    getAllBooks, getBook, searchBooks, addBook, updateBook, deleteBook,
+    getAllBooks, getBook, searchBooks, queryBooks, addBook, updateBook, deleteBook, withdrawBook, reinstateBook,
+    // Search index
+    invalidateSearch,
+    // Items
+    ITEM_STATUSES, ITEM_CONDITIONS,
+    getItems, getItem, getAvailableItems, findItemByCode, addItems, updateItem, deleteItem,
     // Categories
     getAllCategories, addCategory, updateCategory, deleteCategory,
+    // Catalogue import
+    IMPORT_FIELDS, validateImport, importBooks,
+    // Loan policies
+    getLoanPolicy, saveLoanPolicies,
+    // Patrons
+    getAllPatrons, getPatron, searchPatrons, findPatronsByName,
+    addPatron, updatePatron, deletePatron, getPatronProfile,
     // Borrows
-    recordBorrow, recordReturn,
-    getActiveBorrows, getActiveBorrowsByBorrower, getUniqueBorrowers, getAllBorrows,
-    // Stats
-    getStats,
+    recordBorrow, recordReturn, renewLoan, getRenewals,
+    // Holds
+    placeHold, cancelHold, moveHold, processExpiredHolds, getOpenHolds, getPatronHolds,
+    // Fines
+    getFineRules, saveFineRules, computeFine, formatMoney,
+    getPatronFines, getFinePayments, getAccruingFines, getPatronBalance, getOutstandingBalances,
+    payFine, payPatronBalance, waiveFine,
+    getActiveBorrows, getActiveBorrowsByPatron, getPatronsWithActiveLoans, getAllBorrows, queryBorrows,
+    // Receipts & notices
+    NOTICE_KINDS, getCheckoutSlip, getReturnSlip, getOverdueNotices, saveNoticeSettings,
+    // Audit log
+    AUDIT_ENTITIES, queryAudit, recordRestore, recordRollback, recordBackup, daysSinceBackup,
+    // Backup preview & merge
+    previewBackup, mergeBackup,
+    // Sync between desks
+    startSync, stopSync, applySyncChanges, getSyncConflicts, resolveDoubleLoan, dismissSyncConflict,
+    // Staff & roles
+    ROLES, PERMISSIONS, getAllStaff, hasStaff, currentStaff, can, assertCan,
+    signIn, signOut, addStaff, updateStaff, setStaffPin, deleteStaff,
+    // Scanning
+    findByCode,
+    // Stats & reports
+    getStats, REPORT_GROUPS, getReport,
+    // Collection health
+    getCollectionHealth,
     // Settings
     getSetting, saveSetting,
     // Reset
     resetToFresh,
+    // Undo
+    undo, undoSteps,
   };
 
 })();
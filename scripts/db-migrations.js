@@ -0,0 +1,354 @@
+/*
+ * Gnoke Library — db-migrations.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Ordered schema migrations.
+ * The schema version lives in PRAGMA user_version. db-core.js runs every
+ * step whose version is higher than the saved database's, in order, each
+ * inside its own transaction.
+ *
+ * Rules:
+ *   - Never edit or reorder a step once released — append a new one.
+ *   - Steps receive tx(sql, params) and query(sql, params), nothing else —
+ *     apart from pure helpers loaded ahead of this file (isbn.js).
+ *   - Steps must keep existing rows; rebuild tables, never drop data.
+ *
+ * Loaded after isbn.js, before db-core.js.
+ */
+
+const DBMigrations = [
+
+  // ── v1 — Baseline (matches the original data/library.db) ─────────────────
+  {
+    version: 1,
+    name: 'Baseline schema',
+    up(tx) {
+      tx(`CREATE TABLE IF NOT EXISTS categories (
+            id   INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE
+          )`);
+      tx(`CREATE TABLE IF NOT EXISTS books (
+            id       INTEGER PRIMARY KEY AUTOINCREMENT,
+            title    TEXT NOT NULL,
+            author   TEXT NOT NULL,
+            isbn     TEXT DEFAULT '',
+            category TEXT NOT NULL,
+            copies   INTEGER NOT NULL DEFAULT 1
+          )`);
+      tx(`CREATE TABLE IF NOT EXISTS borrows (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            book_id     INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+            borrower    TEXT NOT NULL,
+            date_out    TEXT NOT NULL,
+            due_date    TEXT NOT NULL,
+            return_date TEXT DEFAULT NULL
+          )`);
+      tx(`CREATE TABLE IF NOT EXISTS settings (
+            key   TEXT PRIMARY KEY,
+            value TEXT
+          )`);
+      tx('CREATE INDEX IF NOT EXISTS idx_borrows_book     ON borrows(book_id)');
+      tx('CREATE INDEX IF NOT EXISTS idx_borrows_borrower ON borrows(borrower)');
+      tx('CREATE INDEX IF NOT EXISTS idx_borrows_due      ON borrows(due_date)');
+      tx('CREATE INDEX IF NOT EXISTS idx_books_category   ON books(category)');
+    },
+  },
+
+  // ── v2 — Patron registry ─────────────────────────────────────────────────
+  {
+    version: 2,
+    name: 'Patron registry',
+    up(tx, query) {
+      tx(`CREATE TABLE patrons (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            name       TEXT NOT NULL,
+            member_id  TEXT UNIQUE,
+            phone      TEXT DEFAULT '',
+            email      TEXT DEFAULT '',
+            department TEXT DEFAULT '',
+            notes      TEXT DEFAULT '',
+            active     INTEGER NOT NULL DEFAULT 1
+          )`);
+      tx('ALTER TABLE borrows ADD COLUMN patron_id INTEGER REFERENCES patrons(id)');
+      tx('CREATE INDEX idx_borrows_patron ON borrows(patron_id)');
+
+      // Fold free-text borrowers into patrons — "Ada Obi" and "ada  obi " are one person
+      const byKey = new Map();
+      query('SELECT id, borrower FROM borrows ORDER BY id ASC').forEach(({ id, borrower }) => {
+        const name = String(borrower || '').trim().replace(/\s+/g, ' ');
+        if (!name) return;
+        const key = name.toLowerCase();
+        if (!byKey.has(key)) byKey.set(key, { name, borrowIds: [] });
+        byKey.get(key).borrowIds.push(id);
+      });
+
+      byKey.forEach(({ name, borrowIds }) => {
+        tx('INSERT INTO patrons (name) VALUES (?)', [name]);
+        const patronId = query('SELECT last_insert_rowid() AS id')[0].id;
+        tx("UPDATE patrons SET member_id = printf('M%05d', id) WHERE id = ?", [patronId]);
+        borrowIds.forEach(id => tx('UPDATE borrows SET patron_id = ? WHERE id = ?', [patronId, id]));
+      });
+    },
+  },
+
+  // ── v3 — Physical copies (items) ─────────────────────────────────────────
+  {
+    version: 3,
+    name: 'Individual copies',
+    up(tx, query) {
+      tx(`CREATE TABLE items (
+            id           INTEGER PRIMARY KEY AUTOINCREMENT,
+            book_id      INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+            accession_no TEXT UNIQUE,
+            barcode      TEXT UNIQUE,
+            condition    TEXT NOT NULL DEFAULT 'Good',
+            location     TEXT DEFAULT '',
+            status       TEXT NOT NULL DEFAULT 'available',
+            notes        TEXT DEFAULT ''
+          )`);
+      tx('CREATE INDEX idx_items_book ON items(book_id)');
+      tx('ALTER TABLE borrows ADD COLUMN item_id INTEGER REFERENCES items(id)');
+      tx('CREATE INDEX idx_borrows_item ON borrows(item_id)');
+
+      // books.copies counted what was on the shelf; copies out on loan come on top
+      query('SELECT id, copies FROM books ORDER BY id ASC').forEach(book => {
+        const loans = query(
+          'SELECT id FROM borrows WHERE book_id = ? AND return_date IS NULL ORDER BY id ASC', [book.id]
+        );
+        const owned = Math.max(book.copies, 0) + loans.length;
+        for (let n = 0; n < owned; n++) {
+          const loan = loans[n];
+          tx('INSERT INTO items (book_id, status) VALUES (?, ?)', [book.id, loan ? 'on_loan' : 'available']);
+          const itemId = query('SELECT last_insert_rowid() AS id')[0].id;
+          tx("UPDATE items SET accession_no = printf('%06d', id), barcode = printf('%06d', id) WHERE id = ?", [itemId]);
+          if (loan) tx('UPDATE borrows SET item_id = ? WHERE id = ?', [itemId, loan.id]);
+        }
+      });
+
+      tx('ALTER TABLE books DROP COLUMN copies');
+    },
+  },
+
+  // ── v4 — Loan renewals ───────────────────────────────────────────────────
+  {
+    version: 4,
+    name: 'Loan renewals',
+    up(tx) {
+      tx('ALTER TABLE borrows ADD COLUMN renewals INTEGER NOT NULL DEFAULT 0');
+      tx(`CREATE TABLE renewals (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            borrow_id  INTEGER NOT NULL REFERENCES borrows(id) ON DELETE CASCADE,
+            renewed_on TEXT NOT NULL,
+            old_due    TEXT NOT NULL,
+            new_due    TEXT NOT NULL,
+            override   INTEGER NOT NULL DEFAULT 0
+          )`);
+      tx('CREATE INDEX idx_renewals_borrow ON renewals(borrow_id)');
+    },
+  },
+
+  // ── v5 — Holds / reservations ────────────────────────────────────────────
+  {
+    version: 5,
+    name: 'Holds queue',
+    up(tx) {
+      tx(`CREATE TABLE holds (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            book_id    INTEGER NOT NULL REFERENCES books(id) ON DELETE CASCADE,
+            patron_id  INTEGER NOT NULL REFERENCES patrons(id) ON DELETE CASCADE,
+            placed_on  TEXT NOT NULL,
+            position   INTEGER NOT NULL,
+            status     TEXT NOT NULL DEFAULT 'waiting',
+            item_id    INTEGER REFERENCES items(id) ON DELETE SET NULL,
+            ready_on   TEXT DEFAULT NULL,
+            expires_on TEXT DEFAULT NULL,
+            closed_on  TEXT DEFAULT NULL
+          )`);
+      tx('CREATE INDEX idx_holds_book   ON holds(book_id, status)');
+      tx('CREATE INDEX idx_holds_patron ON holds(patron_id)');
+    },
+  },
+
+  // ── v6 — Fines ledger ────────────────────────────────────────────────────
+  {
+    version: 6,
+    name: 'Fines and payments',
+    up(tx) {
+      tx(`CREATE TABLE fines (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            borrow_id   INTEGER REFERENCES borrows(id) ON DELETE SET NULL,
+            patron_id   INTEGER NOT NULL REFERENCES patrons(id),
+            assessed_on TEXT NOT NULL,
+            days_late   INTEGER NOT NULL DEFAULT 0,
+            amount      REAL NOT NULL,
+            reason      TEXT NOT NULL DEFAULT 'Overdue'
+          )`);
+      tx(`CREATE TABLE fine_payments (
+            id      INTEGER PRIMARY KEY AUTOINCREMENT,
+            fine_id INTEGER NOT NULL REFERENCES fines(id) ON DELETE CASCADE,
+            kind    TEXT NOT NULL,
+            amount  REAL NOT NULL,
+            paid_on TEXT NOT NULL,
+            note    TEXT DEFAULT ''
+          )`);
+      tx('CREATE INDEX idx_fines_patron   ON fines(patron_id)');
+      tx('CREATE INDEX idx_payments_fine  ON fine_payments(fine_id)');
+    },
+  },
+
+  // ── v7 — Loan policies ───────────────────────────────────────────────────
+  {
+    version: 7,
+    name: 'Loan policies',
+    up(tx) {
+      // NULL = library default period, 0 = in-library use only
+      tx('ALTER TABLE categories ADD COLUMN loan_days INTEGER DEFAULT NULL');
+      tx('ALTER TABLE books ADD COLUMN not_for_loan INTEGER NOT NULL DEFAULT 0');
+    },
+  },
+
+  // ── v8 — Canonical ISBNs ─────────────────────────────────────────────────
+  {
+    version: 8,
+    name: 'Canonical ISBNs',
+    up(tx, query) {
+      // "978-0-14-044913-6", "0140449132" → "9780140449136"; anything else is left as typed
+      query("SELECT id, isbn FROM books WHERE isbn IS NOT NULL AND isbn != ''").forEach(({ id, isbn }) => {
+        const canonical = ISBN.normalize(isbn);
+        if (canonical !== isbn) tx('UPDATE books SET isbn = ? WHERE id = ?', [canonical, id]);
+      });
+      tx('CREATE INDEX idx_books_isbn ON books(isbn)');
+    },
+  },
+
+  // ── v9 — Audit log ───────────────────────────────────────────────────────
+  {
+    version: 9,
+    name: 'Audit log',
+    up(tx) {
+      // before/after are JSON snapshots of the row; actor is the staff member, if known
+      tx(`CREATE TABLE audit_log (
+            id        INTEGER PRIMARY KEY AUTOINCREMENT,
+            at        TEXT NOT NULL,
+            actor     TEXT,
+            action    TEXT NOT NULL,
+            entity    TEXT NOT NULL,
+            entity_id INTEGER,
+            summary   TEXT DEFAULT '',
+            before    TEXT,
+            after     TEXT
+          )`);
+      tx('CREATE INDEX idx_audit_at     ON audit_log(at)');
+      tx('CREATE INDEX idx_audit_entity ON audit_log(entity, entity_id)');
+      // Append-only: entries can be added, never changed or removed
+      tx(`CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+          BEGIN SELECT RAISE(ABORT, 'The audit log is append-only.'); END`);
+      tx(`CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+          BEGIN SELECT RAISE(ABORT, 'The audit log is append-only.'); END`);
+    },
+  },
+
+  // ── v10 — Staff accounts ─────────────────────────────────────────────────
+  {
+    version: 10,
+    name: 'Staff accounts',
+    up(tx) {
+      // PINs are PBKDF2-SHA256 hashes (hex) with a per-account salt and round count
+      tx(`CREATE TABLE staff (
+            id         INTEGER PRIMARY KEY AUTOINCREMENT,
+            name       TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            role       TEXT NOT NULL DEFAULT 'volunteer'
+                       CHECK (role IN ('volunteer', 'librarian', 'admin')),
+            pin_hash   TEXT NOT NULL,
+            pin_salt   TEXT NOT NULL,
+            pin_rounds INTEGER NOT NULL,
+            active     INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT NOT NULL
+          )`);
+      // Names rather than ids, like audit_log.actor — the record outlives the account
+      tx('ALTER TABLE borrows ADD COLUMN lent_by TEXT');
+      tx('ALTER TABLE borrows ADD COLUMN returned_by TEXT');
+    },
+  },
+
+  // ── v11 — Sync between desks ─────────────────────────────────────────────
+  {
+    version: 11,
+    name: 'Sync change log',
+    up(tx) {
+      // Ids differ from desk to desk; a uid names the same row everywhere.
+      // Settings are keyed by name already, so their uid is the key.
+      const tables = ['categories', 'books', 'items', 'patrons', 'borrows', 'renewals',
+                      'holds', 'fines', 'fine_payments', 'staff'];
+      tables.forEach(t => {
+        tx(`ALTER TABLE ${t} ADD COLUMN uid TEXT`);
+        tx(`UPDATE ${t} SET uid = lower(hex(randomblob(16)))`);
+        tx(`CREATE UNIQUE INDEX idx_${t}_uid ON ${t}(uid)`);
+        tx(`CREATE TRIGGER ${t}_uid AFTER INSERT ON ${t} WHEN new.uid IS NULL
+            BEGIN UPDATE ${t} SET uid = lower(hex(randomblob(16))) WHERE id = new.id; END`);
+      });
+      tx('ALTER TABLE settings ADD COLUMN uid TEXT');
+      tx('UPDATE settings SET uid = key');
+      tx('CREATE UNIQUE INDEX idx_settings_uid ON settings(uid)');
+      tx(`CREATE TRIGGER settings_uid AFTER INSERT ON settings WHEN new.uid IS NULL
+          BEGIN UPDATE settings SET uid = new.key WHERE key = new.key; END`);
+
+      // This desk's changes waiting to go to the sync server, oldest first
+      tx(`CREATE TABLE sync_changes (
+            seq   INTEGER PRIMARY KEY AUTOINCREMENT,
+            tbl   TEXT NOT NULL,
+            uid   TEXT NOT NULL,
+            op    TEXT NOT NULL CHECK (op IN ('upsert', 'delete')),
+            clock INTEGER NOT NULL
+          )`);
+      // Which change each row last took — the newer clock (then device) wins
+      tx(`CREATE TABLE sync_versions (
+            tbl    TEXT NOT NULL,
+            uid    TEXT NOT NULL,
+            clock  INTEGER NOT NULL,
+            device TEXT NOT NULL,
+            PRIMARY KEY (tbl, uid)
+          )`);
+      // Changes from other desks that overrode this one's, or couldn't be applied
+      tx(`CREATE TABLE sync_conflicts (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            found_at    TEXT NOT NULL,
+            kind        TEXT NOT NULL,
+            tbl         TEXT NOT NULL,
+            uid         TEXT NOT NULL,
+            device      TEXT,
+            summary     TEXT DEFAULT '',
+            resolved_at TEXT
+          )`);
+      tx(`CREATE TABLE sync_state (
+            key   TEXT PRIMARY KEY,
+            value TEXT
+          )`);
+    },
+  },
+
+  // ── v12 — Withdrawn titles ───────────────────────────────────────────────
+  {
+    version: 12,
+    name: 'Withdrawn titles',
+    up(tx) {
+      // A weeded title keeps its loan history; NULL = still in the collection
+      tx('ALTER TABLE books ADD COLUMN withdrawn_on TEXT DEFAULT NULL');
+      tx("ALTER TABLE books ADD COLUMN withdrawn_reason TEXT DEFAULT ''");
+      // Copies that went with their title, so reinstating it brings back just those
+      tx('ALTER TABLE items ADD COLUMN withdrawn_with_title INTEGER NOT NULL DEFAULT 0');
+    },
+  },
+
+  // ── v13 — Loan notes ─────────────────────────────────────────────────────
+  {
+    version: 13,
+    name: 'Loan notes',
+    up(tx) {
+      // Why a loan ended some other way than a return (see resolveDoubleLoan)
+      tx("ALTER TABLE borrows ADD COLUMN note TEXT DEFAULT ''");
+    },
+  },
+
+];
@@ -0,0 +1,120 @@
+/*
+ * Gnoke Library — isbn.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * ISBN parsing, check digits and display.
+ * - Accepts ISBN-10 and ISBN-13 with or without hyphens, spaces or an "ISBN" prefix
+ * - Books store the canonical form: 13 digits, no hyphens. A valid ISBN-10
+ *   becomes its ISBN-13 (978 + first nine digits + new check digit)
+ * - Display hyphenation covers the English-language groups (0, 1) and
+ *   Nigeria (978); other groups show prefix and check digit only
+ * - Pure functions — loaded before db-migrations.js, which uses normalize()
+ */
+
+const ISBN = (() => {
+
+  // "ISBN 978-0-14-044913-6" → "9780140449136"; "0-8044-2957-x" → "080442957X"
+  function compact(raw) {
+    return String(raw ?? '').toUpperCase().replace(/^\s*ISBN(-1[03])?:?/, '').replace(/[\s-]/g, '');
+  }
+
+  function checkDigit10(first9) {
+    let sum = 0;
+    for (let i = 0; i < 9; i++) sum += (10 - i) * Number(first9[i]);
+    const c = (11 - (sum % 11)) % 11;
+    return c === 10 ? 'X' : String(c);
+  }
+
+  function checkDigit13(first12) {
+    let sum = 0;
+    for (let i = 0; i < 12; i++) sum += Number(first12[i]) * (i % 2 ? 3 : 1);
+    return String((10 - (sum % 10)) % 10);
+  }
+
+  // null when the text isn't shaped like an ISBN at all
+  function parse(raw) {
+    const code = compact(raw);
+    let type, expected;
+    if (/^\d{9}[\dX]$/.test(code)) {
+      type = 10; expected = checkDigit10(code.slice(0, 9));
+    } else if (/^97[89]\d{10}$/.test(code)) {
+      type = 13; expected = checkDigit13(code.slice(0, 12));
+    } else {
+      return null;
+    }
+    const valid = code.slice(-1) === expected;
+    return {
+      type, code, valid, expected,
+      isbn13: !valid ? null : type === 13 ? code : toIsbn13(code),
+    };
+  }
+
+  function toIsbn13(isbn10) {
+    const first12 = '978' + compact(isbn10).slice(0, 9);
+    return first12 + checkDigit13(first12);
+  }
+
+  // What gets stored: the ISBN-13 when valid, otherwise the compact code
+  // (a wrong check digit is kept as typed), otherwise the trimmed text
+  function normalize(raw) {
+    const parsed = parse(raw);
+    if (!parsed) return String(raw ?? '').trim();
+    return parsed.isbn13 || parsed.code;
+  }
+
+  // Librarian-facing problem with the text, or '' when it's a good ISBN (or blank)
+  function problem(raw) {
+    if (!String(raw ?? '').trim()) return '';
+    const parsed = parse(raw);
+    if (!parsed) return 'Not an ISBN — expected 10 or 13 digits.';
+    if (!parsed.valid) return `Check digit should be ${parsed.expected}, not ${parsed.code.slice(-1)} — probably a typo.`;
+    return '';
+  }
+
+  // ── Hyphenation ────────────────────────────────────────────────────────────
+
+  // Registrant (publisher) ranges per group, as [first digits length, upper bound]
+  const RANGES = {
+    '978-0':   [[2, 19], [3, 699], [4, 8499], [5, 89999], [6, 949999], [7, 9999999]],
+    '978-1':   [[2, 9], [3, 399], [4, 5499], [5, 86979], [6, 998999], [7, 9999999]],
+    '978-978': [[3, 199], [4, 2999], [5, 79999], [4, 8999], [3, 999]],
+  };
+
+  function _registrantLength(ranges, rest) {
+    for (const [len, upper] of ranges) {
+      if (Number(rest.slice(0, len)) <= upper) return len;
+    }
+    return 0;
+  }
+
+  function format(raw) {
+    const parsed = parse(raw);
+    if (!parsed) return String(raw ?? '');
+    const code13 = parsed.type === 13 ? parsed.code : '978' + parsed.code;
+
+    const prefix = code13.slice(0, 3);
+    const group  = ['978-0', '978-1', '978-978'].find(g =>
+      code13.startsWith(g.replace('-', ''))) || null;
+    let parts;
+    if (group) {
+      const groupDigits = group.split('-')[1];
+      const rest = code13.slice(3 + groupDigits.length, 12);
+      const len  = _registrantLength(RANGES[group], rest);
+      parts = len
+        ? [prefix, groupDigits, rest.slice(0, len), rest.slice(len), code13[12]]
+        : [prefix, groupDigits, rest, code13[12]];
+    } else {
+      parts = [prefix, code13.slice(3, 12), code13[12]];
+    }
+    // An ISBN-10 shows as typed: no prefix, its own check digit
+    if (parsed.type === 10) {
+      parts = parts.slice(1);
+      parts[parts.length - 1] = parsed.code[9];
+    }
+    return parts.join('-');
+  }
+
+  return { compact, parse, toIsbn13, normalize, problem, format };
+
+})();
@@ -0,0 +1,58 @@
+/*
+ * Gnoke Library — labels.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * A4 sticker-sheet layouts for spine/book labels and library cards.
+ * - Templates are the common Avery-compatible sheets, measured in mm
+ * - sheets() places ready-made label HTML onto as many pages as needed,
+ *   optionally skipping labels already peeled off a part-used sheet
+ * - Printing (the @media print rules) lives in style.css
+ */
+
+const Labels = (() => {
+
+  // top/left: sheet margin to the first label; pitch: label + gap
+  const TEMPLATES = {
+    L7160: { name: 'L7160 — 21 per sheet (63.5 × 38.1 mm)', cols: 3, rows: 7,
+             width: 63.5, height: 38.1, top: 15.15, left: 7.25, hPitch: 66.04, vPitch: 38.1 },
+    L7159: { name: 'L7159 — 24 per sheet (63.5 × 33.9 mm)', cols: 3, rows: 8,
+             width: 63.5, height: 33.9, top: 12.9, left: 6.45, hPitch: 66.04, vPitch: 33.9 },
+    L7163: { name: 'L7163 — 14 per sheet (99.1 × 38.1 mm)', cols: 2, rows: 7,
+             width: 99.1, height: 38.1, top: 15.15, left: 4.65, hPitch: 101.6, vPitch: 38.1 },
+    L7651: { name: 'L7651 — 65 per sheet (38.1 × 21.2 mm)', cols: 5, rows: 13,
+             width: 38.1, height: 21.2, top: 10.7, left: 4.75, hPitch: 40.64, vPitch: 21.2 },
+    C32010: { name: 'C32010 — 10 cards per sheet (85 × 54 mm)', cols: 2, rows: 5,
+              width: 85, height: 54, top: 13.5, left: 15, hPitch: 95, vPitch: 54, card: true },
+  };
+
+  function perSheet(templateId) {
+    const t = TEMPLATES[templateId];
+    return t.cols * t.rows;
+  }
+
+  // cells: label inner HTML, in order. Returns the pages as HTML.
+  function sheets(cells, templateId, { skip = 0 } = {}) {
+    const t = TEMPLATES[templateId];
+    if (!t) throw new Error('Unknown label template.');
+    const per   = t.cols * t.rows;
+    const slots = [...Array(Math.min(Math.max(skip, 0), per - 1)).fill(null), ...cells];
+
+    const pages = [];
+    for (let start = 0; start < slots.length; start += per) {
+      const labels = slots.slice(start, start + per).map((html, n) => {
+        if (html === null) return '';
+        const col = n % t.cols, row = Math.floor(n / t.cols);
+        const mm  = x => `${Math.round(x * 100) / 100}mm`;
+        return `<div class="label${t.card ? ' label-card' : ''}" style="` +
+               `left:${mm(t.left + col * t.hPitch)};top:${mm(t.top + row * t.vPitch)};` +
+               `width:${t.width}mm;height:${t.height}mm">${html}</div>`;
+      }).join('');
+      pages.push(`<div class="label-sheet">${labels}</div>`);
+    }
+    return pages.join('');
+  }
+
+  return { TEMPLATES, perSheet, sheets };
+
+})();
@@ -0,0 +1,120 @@
+/*
+ * Gnoke Library — notices.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Checkout and return receipts and overdue letters, from plain-text
+ * templates the library can reword (Config → Receipts & Notices).
+ * - {{name}} is replaced by its value. A name the slip doesn't have is left
+ *   showing, so a typo is easy to spot on the printout
+ * - Lines between {{#loans}} and {{/loans}} repeat once per loan, with that
+ *   loan's own values ({{title}}, {{due_date}}…) as well as the slip's
+ * - render() returns HTML: the text is escaped and its line breaks kept
+ *   (white-space: pre-wrap in style.css)
+ *
+ * No DB access — app.js gathers the loans (DBLib.getCheckoutSlip…) and
+ * formats the dates and money.
+ */
+
+const Notices = (() => {
+
+  const LOOP_RE  = /\{\{#loans\}\}\n?([\s\S]*?)\{\{\/loans\}\}\n?/g;
+  const FIELD_RE = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+  const SLIP_FIELDS = ['library', 'borrower', 'member_id', 'date', 'count', 'staff', 'balance'];
+  const LOAN_FIELDS = ['title', 'author', 'accession_no', 'date_out', 'due_date'];
+
+  // paper: 'receipt' is a narrow slip (80 mm roll or the top of a page), 'letter' a full A4 page
+  const KINDS = {
+    checkout: {
+      name:  'Checkout receipt',
+      paper: 'receipt',
+      slip:  SLIP_FIELDS,
+      loan:  LOAN_FIELDS,
+      template: [
+        '{{library}}',
+        'CHECKOUT RECEIPT',
+        '',
+        '{{borrower}} · {{member_id}}',
+        '{{date}}',
+        '',
+        '{{#loans}}',
+        '{{title}}',
+        '  Copy #{{accession_no}} — due {{due_date}}',
+        '{{/loans}}',
+        '',
+        'Items: {{count}}',
+        'Please return them by the dates shown.',
+        'Served by {{staff}}',
+      ].join('\n'),
+    },
+    return: {
+      name:  'Return receipt',
+      paper: 'receipt',
+      slip:  [...SLIP_FIELDS, 'total_fine'],
+      loan:  [...LOAN_FIELDS, 'return_date', 'fine'],
+      template: [
+        '{{library}}',
+        'RETURN RECEIPT',
+        '',
+        '{{borrower}} · {{member_id}}',
+        '{{date}}',
+        '',
+        '{{#loans}}',
+        '{{title}}',
+        '  Copy #{{accession_no}} — was due {{due_date}}, fine {{fine}}',
+        '{{/loans}}',
+        '',
+        'Items returned: {{count}}',
+        'Fines today: {{total_fine}}',
+        'Balance owed: {{balance}}',
+        'Thank you!',
+      ].join('\n'),
+    },
+    overdue: {
+      name:  'Overdue notice',
+      paper: 'letter',
+      slip:  [...SLIP_FIELDS, 'department', 'phone', 'total_fine'],
+      loan:  [...LOAN_FIELDS, 'days_overdue', 'fine'],
+      template: [
+        '{{library}}',
+        '',
+        '{{date}}',
+        '',
+        'Dear {{borrower}},',
+        '',
+        'Our records show that these items, borrowed on your card ({{member_id}}), are overdue:',
+        '',
+        '{{#loans}}',
+        '  • {{title}} by {{author}} — due {{due_date}}, {{days_overdue}} days overdue (fine so far: {{fine}})',
+        '{{/loans}}',
+        '',
+        'Please bring them back as soon as you can. Fines on these items come to {{total_fine}};',
+        'your balance with the library, including any earlier fines, is {{balance}}.',
+        '',
+        'If you have already returned them, thank you — please ignore this letter.',
+        '',
+        '{{library}}',
+      ].join('\n'),
+    },
+  };
+
+  function _esc(str) {
+    return String(str ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  function _fill(text, values) {
+    return text.replace(FIELD_RE, (tag, name) =>
+      (name in values && typeof values[name] !== 'object' ? _esc(values[name]) : tag));
+  }
+
+  // values: { borrower, date, …, loans: [{ title, due_date, … }] } → HTML
+  function render(template, values) {
+    const text = _esc(template).replace(LOOP_RE, (_, lines) =>
+      (values.loans || []).map(loan => _fill(lines, { ...values, ...loan })).join(''));
+    return _fill(text, values);
+  }
+
+  return { KINDS, render };
+
+})();
@@ -0,0 +1,303 @@
+/*
+ * Gnoke Library — qr.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * QR code encoder for showing data on screen (ISO/IEC 18004, model 2).
+ * - Byte mode only, versions 1–40, error correction L or M
+ * - encode() returns the module grid (true = dark), so a symbol can be
+ *   checked against any decoder; toSVG() draws it
+ * - Reading QR codes is left to the browser's BarcodeDetector (barcode.js)
+ *
+ * No DB access.
+ */
+
+const QR = (() => {
+
+  // ── Tables ─────────────────────────────────────────────────────────────────
+
+  // Index = version; [0] unused
+  const ECC_PER_BLOCK = {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+        28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+        26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  };
+  const ECC_BLOCKS = {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+        8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  };
+  const FORMAT_ECC = { L: 1, M: 0 };
+
+  // Data modules left once the fixed patterns are drawn
+  function _rawModules(ver) {
+    let n = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const align = Math.floor(ver / 7) + 2;
+      n -= (25 * align - 10) * align - 55;
+      if (ver >= 7) n -= 36;
+    }
+    return n;
+  }
+
+  function _dataCodewords(ver, ecc) {
+    return Math.floor(_rawModules(ver) / 8) - ECC_PER_BLOCK[ecc][ver] * ECC_BLOCKS[ecc][ver];
+  }
+
+  function _alignmentPositions(ver, size) {
+    if (ver === 1) return [];
+    const count = Math.floor(ver / 7) + 2;
+    const step  = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (count * 2 - 2)) * 2;
+    const out   = [6];
+    for (let pos = size - 7; out.length < count; pos -= step) out.splice(1, 0, pos);
+    return out;
+  }
+
+  // ── Reed–Solomon ───────────────────────────────────────────────────────────
+
+  // GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+  function _mul(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function _divisor(degree) {
+    const out = new Array(degree).fill(0);
+    out[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        out[j] = _mul(out[j], root);
+        if (j + 1 < degree) out[j] ^= out[j + 1];
+      }
+      root = _mul(root, 2);
+    }
+    return out;
+  }
+
+  function _remainder(data, divisor) {
+    const out = new Array(divisor.length).fill(0);
+    data.forEach(b => {
+      const factor = b ^ out.shift();
+      out.push(0);
+      divisor.forEach((coef, i) => { out[i] ^= _mul(coef, factor); });
+    });
+    return out;
+  }
+
+  // Split into blocks, add each block's error correction, interleave
+  function _withEcc(data, ver, ecc) {
+    const blocks   = ECC_BLOCKS[ecc][ver];
+    const eccLen   = ECC_PER_BLOCK[ecc][ver];
+    const raw      = Math.floor(_rawModules(ver) / 8);
+    const short    = blocks - raw % blocks;
+    const shortLen = Math.floor(raw / blocks);
+    const divisor  = _divisor(eccLen);
+
+    const all = [];
+    for (let i = 0, k = 0; i < blocks; i++) {
+      const dat = data.slice(k, k + shortLen - eccLen + (i < short ? 0 : 1));
+      k += dat.length;
+      const block = [...dat, ..._remainder(dat, divisor)];
+      if (i < short) block.splice(dat.length, 0, null);   // keeps columns lined up
+      all.push(block);
+    }
+    const out = [];
+    for (let i = 0; i < all[0].length; i++) {
+      all.forEach(block => { if (block[i] !== null) out.push(block[i]); });
+    }
+    return out;
+  }
+
+  // ── Symbol ─────────────────────────────────────────────────────────────────
+
+  function _bytes(text) {
+    return [...new TextEncoder().encode(String(text))];
+  }
+
+  // Smallest version the text fits, or throws
+  function _version(length, ecc) {
+    for (let ver = 1; ver <= 40; ver++) {
+      const bits = 4 + (ver < 10 ? 8 : 16) + length * 8;
+      if (bits <= _dataCodewords(ver, ecc) * 8) return ver;
+    }
+    throw new Error('Too much data for one QR code.');
+  }
+
+  function _dataBits(bytes, ver, ecc) {
+    const capacity = _dataCodewords(ver, ecc) * 8;
+    let bits = '0100' + bytes.length.toString(2).padStart(ver < 10 ? 8 : 16, '0') +
+               bytes.map(b => b.toString(2).padStart(8, '0')).join('');
+    bits += '0'.repeat(Math.min(4, capacity - bits.length));
+    bits += '0'.repeat((8 - bits.length % 8) % 8);
+    const out = bits.match(/.{8}/g).map(b => parseInt(b, 2));
+    for (let pad = 0xec; out.length < capacity / 8; pad ^= 0xec ^ 0x11) out.push(pad);
+    return out;
+  }
+
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+  ];
+
+  function _grid(size) {
+    return Array.from({ length: size }, () => new Array(size).fill(false));
+  }
+
+  // The fixed patterns, plus room kept for the format and version bits
+  function _functionPatterns(ver, size) {
+    const dark = _grid(size), fixed = _grid(size);
+    const set = (x, y, on) => {
+      if (x < 0 || y < 0 || x >= size || y >= size) return;
+      dark[y][x] = on;
+      fixed[y][x] = true;
+    };
+    for (let i = 0; i < size; i++) { set(6, i, i % 2 === 0); set(i, 6, i % 2 === 0); }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const d = Math.max(Math.abs(dx), Math.abs(dy));
+          set(cx + dx, cy + dy, d !== 2 && d !== 4);
+        }
+      }
+    });
+    const align = _alignmentPositions(ver, size);
+    align.forEach((ay, i) => align.forEach((ax, j) => {
+      const finder = (i === 0 && j === 0) || (i === 0 && j === align.length - 1) || (i === align.length - 1 && j === 0);
+      if (finder) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    _drawFormat(set, size, 'M', 0);
+    if (ver >= 7) {
+      let rem = ver;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = ver << 12 | rem;
+      for (let i = 0; i < 18; i++) {
+        const on = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3, b = Math.floor(i / 3);
+        set(a, b, on);
+        set(b, a, on);
+      }
+    }
+    return { dark, fixed };
+  }
+
+  function _drawFormat(set, size, ecc, mask) {
+    const data = FORMAT_ECC[ecc] << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = (data << 10 | rem) ^ 0x5412;
+    const bit  = i => ((bits >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  // Codewords go up and down two-module columns from the bottom right
+  function _place(dark, fixed, codewords) {
+    const size = dark.length;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+          if (fixed[y][x] || i >= codewords.length * 8) continue;
+          dark[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+
+  // Lower is easier to read: long runs, 2×2 blocks, finder look-alikes and
+  // an uneven dark/light mix all count against a mask
+  function _penalty(dark) {
+    const size = dark.length;
+    let score = 0, darkCount = 0;
+    const lines = [];
+    for (let y = 0; y < size; y++) {
+      lines.push(dark[y].map(d => (d ? '1' : '0')).join(''));
+      lines.push(dark.map(row => (row[y] ? '1' : '0')).join(''));
+    }
+    lines.forEach(line => {
+      (line.match(/0{5,}|1{5,}/g) || []).forEach(run => { score += run.length - 2; });
+      score += 40 * ((line.match(/(?=10111010000|00001011101)/g) || []).length);
+    });
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (dark[y][x]) darkCount++;
+        if (x < size - 1 && y < size - 1) {
+          const c = dark[y][x];
+          if (dark[y][x + 1] === c && dark[y + 1][x] === c && dark[y + 1][x + 1] === c) score += 3;
+        }
+      }
+    }
+    score += 10 * Math.floor(Math.abs(darkCount * 20 - size * size * 10) / (size * size));
+    return score;
+  }
+
+  // text → rows of modules, true = dark. ecc 'L' packs more in; 'M' survives
+  // more glare and blur.
+  function encode(text, { ecc = 'M' } = {}) {
+    if (!ECC_BLOCKS[ecc]) throw new Error('QR error correction must be L or M.');
+    const bytes     = _bytes(text);
+    const ver       = _version(bytes.length, ecc);
+    const size      = ver * 4 + 17;
+    const codewords = _withEcc(_dataBits(bytes, ver, ecc), ver, ecc);
+
+    let best = null;
+    MASKS.forEach((mask, m) => {
+      const { dark, fixed } = _functionPatterns(ver, size);
+      _place(dark, fixed, codewords);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) if (!fixed[y][x] && mask(x, y)) dark[y][x] = !dark[y][x];
+      }
+      _drawFormat((x, y, on) => { dark[y][x] = on; }, size, ecc, m);
+      const score = _penalty(dark);
+      if (!best || score < best.score) best = { dark, score };
+    });
+    return best.dark;
+  }
+
+  // Modules → SVG, one unit per module, quiet zone included
+  function toSVG(modules, { quiet = 4 } = {}) {
+    const width = modules.length + quiet * 2;
+    let path = '';
+    modules.forEach((row, y) => {
+      for (let x = 0; x < row.length;) {
+        if (!row[x]) { x++; continue; }
+        let w = 1;
+        while (row[x + w]) w++;
+        path += `M${x + quiet} ${y + quiet}h${w}v1h-${w}z`;
+        x += w;
+      }
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${width}" ` +
+           `shape-rendering="crispEdges"><rect width="${width}" height="${width}" fill="#fff"/>` +
+           `<path d="${path}"/></svg>`;
+  }
+
+  return { encode, toSVG };
+
+})();
@@ -0,0 +1,254 @@
+/*
+ * Gnoke Library — search.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * In-memory full-text search for the catalogue.
+ * The sql.js build has FTS3/4 but not FTS5, and neither does typo tolerance
+ * or diacritic folding, so the index lives here instead. db-library.js
+ * owns the index and keeps it in step with the books table.
+ *
+ * Query syntax:
+ *   things fall            every word must match (any field), ranked
+ *   "things fall"          exact phrase
+ *   author:achebe          field filter — also author:"chinua achebe"
+ *   isbn:978014            keyword fields match on a run of characters
+ *
+ * Matching ignores case and accents ("Adébáyọ̀" = "adebayo"), accepts
+ * prefixes ("achi" → "achebe") and near-misses ("acheeb" → "achebe").
+ */
+
+const Search = (() => {
+
+  // ── Text normalisation ─────────────────────────────────────────────────────
+
+  // Letters NFD can't take apart
+  const FOLD_EXTRA = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ł: 'l', ı: 'i', þ: 'th' };
+
+  function fold(str) {
+    return String(str ?? '')
+      .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[ßæœøđłıþ]/g, ch => FOLD_EXTRA[ch]);
+  }
+
+  function tokenize(str) {
+    return fold(str).match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  // Keyword fields (ISBN) compare with punctuation stripped
+  function _compact(str) {
+    return fold(str).replace(/[^\p{L}\p{N}]/gu, '');
+  }
+
+  // Typos allowed grow with word length; short words must be exact
+  function _maxTypos(term) {
+    return term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2;
+  }
+
+  // Edit distance with transpositions ("achbee" → "achebe" is one edit), giving up past max
+  function _distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+        }
+        if (cur[j] < rowMin) rowMin = cur[j];
+      }
+      if (rowMin > max) return max + 1;
+      prev2 = prev; prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // ── Query parsing ──────────────────────────────────────────────────────────
+
+  // → [{ field, text, phrase }]; field is null when the clause can match anywhere
+  function parseQuery(query, fieldNames = []) {
+    const clauses = [];
+    const re = /(?:([\p{L}]+):)?(?:"([^"]*)"?|(\S+))/gu;
+    let m;
+    while ((m = re.exec(String(query ?? '')))) {
+      let field = m[1] ? m[1].toLowerCase() : null;
+      let text  = m[2] ?? m[3];
+      // "note:" on a field we don't have is just text
+      if (field && !fieldNames.includes(field)) { text = `${m[1]}:${text}`; field = null; }
+      if (!text || !text.trim()) continue;
+      clauses.push({ field, text: text.trim(), phrase: m[2] !== undefined });
+    }
+    return clauses;
+  }
+
+  // ── Index ──────────────────────────────────────────────────────────────────
+
+  // fields: { name: { weight, keyword } }
+  function createIndex(fields) {
+    const names    = Object.keys(fields);
+    const docs     = new Map();   // id → { text, compact, tokens }
+    const postings = new Map();   // token → Map(id → Set(field))
+
+    function remove(id) {
+      const doc = docs.get(id);
+      if (!doc) return;
+      doc.tokens.forEach(token => {
+        const list = postings.get(token);
+        list?.delete(id);
+        if (list && !list.size) postings.delete(token);
+      });
+      docs.delete(id);
+    }
+
+    // Adding an id that's already indexed replaces it
+    function add(id, record) {
+      remove(id);
+      const doc = { text: {}, compact: {}, tokens: new Set() };
+      names.forEach(f => {
+        const value = record[f] ?? '';
+        doc.text[f] = tokenize(value).join(' ');
+        if (fields[f].keyword) { doc.compact[f] = _compact(value); return; }
+        tokenize(value).forEach(token => {
+          if (!postings.has(token)) postings.set(token, new Map());
+          const list = postings.get(token);
+          if (!list.has(id)) list.set(id, new Set());
+          list.get(id).add(f);
+          doc.tokens.add(token);
+        });
+      });
+      docs.set(id, doc);
+    }
+
+    // Index tokens a query word can stand for, with how good a match each is
+    function _expand(term) {
+      const found = [];
+      const max = _maxTypos(term);
+      postings.forEach((_, token) => {
+        if (token === term)                                  found.push({ token, quality: 1 });
+        else if (term.length >= 2 && token.startsWith(term)) found.push({ token, quality: 0.7 });
+        else if (max) {
+          const d = _distance(term, token, max);
+          if (d <= max) found.push({ token, quality: 0.45 / d });
+        }
+      });
+      return found;
+    }
+
+    function _idf(token) {
+      return Math.log(1 + docs.size / (postings.get(token)?.size || 1));
+    }
+
+    // Scores for one word: id → best score over its expansions and fields
+    function _scoreWord(term, field) {
+      const scores = new Map();
+      _expand(term).forEach(({ token, quality }) => {
+        const idf = _idf(token);
+        postings.get(token).forEach((inFields, id) => {
+          inFields.forEach(f => {
+            if (field && f !== field) return;
+            const s = fields[f].weight * idf * quality;
+            if (s > (scores.get(id) || 0)) scores.set(id, s);
+          });
+        });
+      });
+      return scores;
+    }
+
+    function _scoreClause({ field, text, phrase }) {
+      const scores = new Map();
+      const targets = field ? [field] : names;
+
+      // Keyword fields: a run of characters, e.g. isbn:0140449 or a pasted ISBN
+      const compactText = _compact(text);
+      const keywordFields = targets.filter(f => fields[f].keyword);
+      if (keywordFields.length && compactText.length >= (field ? 1 : 3)) {
+        docs.forEach((doc, id) => {
+          keywordFields.forEach(f => {
+            if (doc.compact[f].includes(compactText)) {
+              scores.set(id, Math.max(scores.get(id) || 0, fields[f].weight * 3));
+            }
+          });
+        });
+      }
+
+      const words = tokenize(text);
+      if (!words.length || (field && fields[field].keyword)) return scores;
+
+      if (phrase) {
+        const wanted = words.join(' ');
+        docs.forEach((doc, id) => {
+          targets.forEach(f => {
+            if (fields[f].keyword) return;
+            if (` ${doc.text[f]} `.includes(` ${wanted} `)) {
+              scores.set(id, Math.max(scores.get(id) || 0, fields[f].weight * 2 * words.length));
+            }
+          });
+        });
+        return scores;
+      }
+
+      // Every word must match something
+      let combined = null;
+      words.forEach(word => {
+        const ws = _scoreWord(word, field);
+        if (!combined) { combined = ws; return; }
+        const next = new Map();
+        combined.forEach((s, id) => { if (ws.has(id)) next.set(id, s + ws.get(id)); });
+        combined = next;
+      });
+      combined.forEach((s, id) => scores.set(id, Math.max(scores.get(id) || 0, s)));
+      return scores;
+    }
+
+    // → [{ id, score }], best first. Every clause has to match.
+    function search(query) {
+      const clauses = parseQuery(query, names);
+      if (!clauses.length) return [];
+      let result = null;
+      clauses.forEach(clause => {
+        const cs = _scoreClause(clause);
+        if (!result) { result = cs; return; }
+        const next = new Map();
+        result.forEach((s, id) => { if (cs.has(id)) next.set(id, s + cs.get(id)); });
+        result = next;
+      });
+      return [...result].map(([id, score]) => ({ id, score })).sort((a, b) => b.score - a.score);
+    }
+
+    return { add, remove, search, get size() { return docs.size; } };
+  }
+
+  // ── Highlighting ───────────────────────────────────────────────────────────
+
+  function _esc(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // text → escaped HTML with the words the query matched in <mark>
+  function highlight(text, query, field) {
+    text = String(text ?? '');
+    const words = parseQuery(query, [field])
+      .filter(c => !c.field || c.field === field)
+      .flatMap(c => tokenize(c.text));
+    if (!words.length) return _esc(text);
+
+    const hit = token => words.some(w =>
+      token === w || (w.length >= 2 && token.startsWith(w)) ||
+      (_maxTypos(w) && _distance(w, token, _maxTypos(w)) <= _maxTypos(w)));
+
+    let out = '', last = 0;
+    for (const m of text.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+      if (!hit(tokenize(m[0]).join(''))) continue;
+      out += _esc(text.slice(last, m.index)) + `<mark>${_esc(m[0])}</mark>`;
+      last = m.index + m[0].length;
+    }
+    return out + _esc(text.slice(last));
+  }
+
+  return { fold, tokenize, parseQuery, createIndex, highlight };
+
+})();
@@ -0,0 +1,156 @@
+/*
+ * Gnoke Library — sync.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Keeps desks in step through a sync server on the local network
+ * (server/sync-server.js).
+ * - Pull first, then push: changes from other desks land before this
+ *   desk's go out, so clashes are noted here rather than lost
+ * - Every 30 seconds while sync is on, and straight away when the
+ *   browser comes back online. Offline, changes simply wait in the log
+ * - The server address and library key belong to this browser
+ *   (localStorage); whether sync is on belongs to the database
+ *
+ * Depends on db-core.js and db-library.js. Loaded before app.js.
+ */
+
+const Sync = (() => {
+
+  const URL_KEY  = 'gnoke_sync_url';
+  const KEY_KEY  = 'gnoke_sync_key';
+  const INTERVAL = 30000;
+  const PAGE     = 500;
+
+  let _timer    = null;
+  let _running  = null;   // the sync in progress, if any
+  let _onChange = () => {};
+  let _status   = { state: 'off', at: null, error: '' };
+
+  function getServer() {
+    return { url: localStorage.getItem(URL_KEY) || '', key: localStorage.getItem(KEY_KEY) || '' };
+  }
+
+  function setServer({ url, key = '' }) {
+    localStorage.setItem(URL_KEY, String(url).trim().replace(/\/+$/, ''));
+    localStorage.setItem(KEY_KEY, key);
+  }
+
+  // { state: 'off' | 'syncing' | 'ok' | 'offline' | 'error', at, error } plus the
+  // log's own numbers (DB.syncInfo)
+  function status() {
+    return { ..._status, ...DB.syncInfo() };
+  }
+
+  function _setStatus(change) {
+    _status = { ..._status, ...change };
+    _onChange({ status: status() });
+  }
+
+  async function _request(path, { method = 'GET', body = null, server = getServer() } = {}) {
+    if (!server.url) throw new Error('No sync server set.');
+    let res;
+    try {
+      res = await fetch(server.url + path, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-Library-Key': server.key },
+        body: body && JSON.stringify(body),
+      });
+    } catch {
+      const err = new Error(`Can't reach the sync server at ${server.url}.`);
+      err.code = 'OFFLINE';
+      throw err;
+    }
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `The sync server answered ${res.status}.`);
+    return data;
+  }
+
+  // → { latest } — how many changes the server holds; 0 means no desk has joined yet
+  async function probe(server) {
+    return _request('/status', { server });
+  }
+
+  async function _pull() {
+    let applied = 0, conflicts = 0;
+    for (;;) {
+      const { changes } = await _request(`/changes?since=${DB.syncInfo().pulled}&limit=${PAGE}`);
+      if (!changes.length) break;
+      const result = await DBLib.applySyncChanges(changes);
+      applied   += result.applied;
+      conflicts += result.conflicts;
+      if (changes.length < PAGE) break;
+    }
+    return { applied, conflicts };
+  }
+
+  async function _push() {
+    const { device } = DB.syncInfo();
+    let sent = 0;
+    for (;;) {
+      const changes = DB.pendingChanges(PAGE);
+      if (!changes.length) break;
+      await _request('/changes', { method: 'POST', body: { device, changes } });
+      await DB.markPushed(changes[changes.length - 1].lseq);
+      sent += changes.length;
+    }
+    return sent;
+  }
+
+  // → { applied, conflicts, sent }, or null when sync is off. Calls made while
+  // one is running share it.
+  function syncNow() {
+    if (!DB.syncInfo().on) return Promise.resolve(null);
+    if (_running) return _running;
+    _running = (async () => {
+      _setStatus({ state: 'syncing', error: '' });
+      try {
+        const { applied, conflicts } = await _pull();
+        const sent = await _push();
+        _setStatus({ state: 'ok', at: new Date().toISOString() });
+        if (applied) _onChange({ applied, conflicts });
+        return { applied, conflicts, sent };
+      } catch (err) {
+        _setStatus({ state: err.code === 'OFFLINE' ? 'offline' : 'error', error: err.message });
+        throw err;
+      } finally {
+        _running = null;
+      }
+    })();
+    return _running;
+  }
+
+  function _tick() {
+    syncNow().catch(err => console.warn('[Sync]', err.message));
+  }
+
+  // onChange({ status }) when the status moves; onChange({ applied, conflicts })
+  // after other desks' changes land
+  function start(onChange = () => {}) {
+    _onChange = onChange;
+    if (!_timer) {
+      _timer = setInterval(_tick, INTERVAL);
+      window.addEventListener('online', _tick);
+    }
+    _setStatus({ state: DB.syncInfo().on ? 'ok' : 'off' });
+    _tick();
+  }
+
+  // Joining a library the server already holds replaces this desk's data;
+  // otherwise this desk's data becomes the shared library.
+  async function connect(server) {
+    const { latest } = await probe(server);
+    setServer(server);
+    await DBLib.startSync({ replaceLocal: latest > 0 });
+    await syncNow();
+    return { joined: latest > 0 };
+  }
+
+  async function disconnect() {
+    await DBLib.stopSync();
+    _setStatus({ state: 'off', error: '' });
+  }
+
+  return { getServer, setServer, status, probe, syncNow, start, connect, disconnect };
+
+})();
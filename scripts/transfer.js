@@ -0,0 +1,120 @@
+/*
+ * Gnoke Library — transfer.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Moving a library package (DB.exportPackage) to another device with no
+ * network: as one file through the share sheet, or as a loop of QR codes
+ * the other device's camera reads.
+ * - Each QR code carries one numbered chunk plus the package's checksum
+ *   prefix, so chunks can arrive in any order, twice, or from a restarted
+ *   loop, and a code from some other transfer is never mixed in
+ * - The reassembled package must match its SHA-256 before it is used
+ *
+ * Frame: GNOKE1:<checksum, 16 hex>:<chunk no.>:<chunks>:<base64 chunk>
+ *
+ * No DB access — app.js hands the package to the restore path.
+ */
+
+const Transfer = (() => {
+
+  const PREFIX     = 'GNOKE1';
+  const FRAME_RE   = new RegExp(`^${PREFIX}:([0-9a-f]{16}):(\\d+):(\\d+):([A-Za-z0-9+/=]*)$`);
+  const CHUNK_SIZE = 600;   // base64 characters — a version 17 code at level L, easy for a phone camera
+  const ID_LENGTH  = 16;
+
+  async function checksum(bytes) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return [...hash].map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function _toBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
+  }
+
+  function _fromBase64(text) {
+    return Uint8Array.from(atob(text), ch => ch.charCodeAt(0));
+  }
+
+  // ── Sending ────────────────────────────────────────────────────────────────
+
+  // → the QR texts, in order
+  async function toFrames(bytes) {
+    const id    = (await checksum(bytes)).slice(0, ID_LENGTH);
+    const text  = _toBase64(bytes);
+    const total = Math.max(1, Math.ceil(text.length / CHUNK_SIZE));
+    return Array.from({ length: total }, (_, n) =>
+      `${PREFIX}:${id}:${n + 1}:${total}:${text.slice(n * CHUNK_SIZE, (n + 1) * CHUNK_SIZE)}`);
+  }
+
+  // The system share sheet when the browser can share this file, otherwise
+  // an ordinary download. → 'shared' | 'downloaded', or null if the sheet was closed.
+  async function shareFile(bytes, fileName) {
+    const file = new File([bytes], fileName, { type: 'application/octet-stream' });
+    if (navigator.canShare?.({ files: [file] })) {
+      try {
+        await navigator.share({ files: [file], title: 'Gnoke Library' });
+        return 'shared';
+      } catch (err) {
+        if (err.name === 'AbortError') return null;
+        throw err;
+      }
+    }
+    const url = URL.createObjectURL(file);
+    Object.assign(document.createElement('a'), { href: url, download: fileName }).click();
+    URL.revokeObjectURL(url);
+    return 'downloaded';
+  }
+
+  // ── Receiving ──────────────────────────────────────────────────────────────
+
+  function _parse(text) {
+    const m = FRAME_RE.exec(String(text));
+    if (!m) return null;
+    const n = Number(m[2]), total = Number(m[3]);
+    if (!total || n < 1 || n > total) return null;
+    return { id: m[1], n, total, data: m[4] };
+  }
+
+  // Collects frames from the camera. add(text) → { received, total, done },
+  // or null for a code that isn't a transfer frame. A frame from a different
+  // transfer starts over.
+  function createReceiver() {
+    let id = null, total = 0;
+    let chunks = new Map();
+
+    function add(text) {
+      const frame = _parse(text);
+      if (!frame) return null;
+      if (frame.id !== id || frame.total !== total) {
+        id     = frame.id;
+        total  = frame.total;
+        chunks = new Map();
+      }
+      chunks.set(frame.n, frame.data);
+      return { received: chunks.size, total, done: chunks.size === total };
+    }
+
+    // → the package, once every chunk is in and the checksum matches
+    async function assemble() {
+      if (!id || chunks.size < total) throw new Error('Not every code has been read yet.');
+      let bytes;
+      try {
+        bytes = _fromBase64(Array.from({ length: total }, (_, n) => chunks.get(n + 1)).join(''));
+      } catch {
+        bytes = new Uint8Array(0);
+      }
+      if ((await checksum(bytes)).slice(0, ID_LENGTH) !== id) {
+        throw new Error('The codes read don\'t add up to the library that was sent — scan them again.');
+      }
+      return bytes;
+    }
+
+    return { add, assemble };
+  }
+
+  return { checksum, toFrames, shareFile, createReceiver };
+
+})();
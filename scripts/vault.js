@@ -0,0 +1,102 @@
+/*
+ * Gnoke Library — vault.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Password encryption for database files — backups and the IndexedDB copy.
+ * - AES-GCM, 256-bit key derived from the password with PBKDF2-SHA256
+ * - Self-describing: a short header carries everything but the password,
+ *   so old files still open after the defaults change
+ * - The header is authenticated along with the data — editing either fails
+ * - WebCrypto only, no DB access. Loaded before db-core.js
+ *
+ * File layout (version 1):
+ *   0   8 bytes   magic "GNOKEENC"
+ *   8   1 byte    format version
+ *   9   4 bytes   PBKDF2 rounds, big-endian
+ *   13  16 bytes  salt
+ *   29  12 bytes  AES-GCM IV
+ *   41  …         ciphertext + 16-byte tag
+ */
+
+const Vault = (() => {
+
+  const MAGIC        = 'GNOKEENC';
+  const VERSION      = 1;
+  const ROUNDS       = 310000;
+  const HEADER_SIZE  = 41;
+  const MIN_PASSWORD = 8;
+
+  function isEncrypted(bytes) {
+    if (!bytes || bytes.length < HEADER_SIZE) return false;
+    return String.fromCharCode(...bytes.subarray(0, MAGIC.length)) === MAGIC;
+  }
+
+  function passwordProblem(password) {
+    return String(password ?? '').length < MIN_PASSWORD
+      ? `Password must be at least ${MIN_PASSWORD} characters.` : '';
+  }
+
+  // → { cryptoKey, salt, rounds } — derive once, then encrypt() as often as needed
+  async function createKey(password, { salt = crypto.getRandomValues(new Uint8Array(16)), rounds = ROUNDS } = {}) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    const cryptoKey = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations: rounds },
+      material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    return { cryptoKey, salt, rounds };
+  }
+
+  function _header({ salt, rounds }, iv) {
+    const header = new Uint8Array(HEADER_SIZE);
+    header.set([...MAGIC].map(ch => ch.charCodeAt(0)), 0);
+    header[8] = VERSION;
+    new DataView(header.buffer).setUint32(9, rounds);
+    header.set(salt, 13);
+    header.set(iv, 29);
+    return header;
+  }
+
+  // key: a password, or a key from createKey(). A fresh IV every call.
+  async function encrypt(bytes, key) {
+    if (typeof key === 'string') {
+      const problem = passwordProblem(key);
+      if (problem) throw new Error(problem);
+      key = await createKey(key);
+    }
+    const iv     = crypto.getRandomValues(new Uint8Array(12));
+    const header = _header(key, iv);
+    const sealed = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: header }, key.cryptoKey, bytes);
+    const out = new Uint8Array(HEADER_SIZE + sealed.byteLength);
+    out.set(header, 0);
+    out.set(new Uint8Array(sealed), HEADER_SIZE);
+    return out;
+  }
+
+  // password: or a key from createKey() with this file's salt.
+  // → { bytes, key } — the key re-encrypts with the same password without deriving again
+  async function decrypt(bytes, password) {
+    if (!isEncrypted(bytes)) throw new Error('Not an encrypted Gnoke Library file.');
+    if (bytes[8] !== VERSION) {
+      throw new Error(`This file uses encryption format v${bytes[8]} — update Gnoke Library to open it.`);
+    }
+    const header = bytes.slice(0, HEADER_SIZE);
+    const rounds = new DataView(header.buffer).getUint32(9);
+    const key    = password?.cryptoKey ? password
+                 : await createKey(String(password ?? ''), { salt: header.slice(13, 29), rounds });
+    try {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: header.slice(29, 41), additionalData: header },
+        key.cryptoKey, bytes.subarray(HEADER_SIZE));
+      return { bytes: new Uint8Array(plain), key };
+    } catch {
+      const err = new Error('Wrong password, or the file is damaged.');
+      err.code = 'WRONG_PASSWORD';
+      throw err;
+    }
+  }
+
+  return { MIN_PASSWORD, isEncrypted, passwordProblem, createKey, encrypt, decrypt };
+
+})();
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/*
+ * Gnoke Library — server/sync-server.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Reference sync server for library desks on one network. No internet,
+ * no dependencies — Node 18 or later.
+ * - Keeps every change once, in arrival order, in a JSON-lines file
+ * - Desks push theirs and pull everyone else's since the last one they saw.
+ *   It never looks inside a change — the desks settle clashes themselves
+ * - Also serves the app, so tablets can open it from this machine. Browsers
+ *   only allow an https page to call an https server: give --cert and
+ *   --tls-key, or open the app from here over http
+ *
+ * Usage:
+ *   node server/sync-server.js [--port 8787] [--data gnoke-sync.jsonl]
+ *                              [--key LIBRARY_KEY] [--cert cert.pem --tls-key key.pem]
+ *
+ * API (JSON; with --key every call needs the X-Library-Key header):
+ *   GET  /status                    → { latest, devices }
+ *   GET  /changes?since=N&limit=M   → { changes: [{ seq, device, clock, tbl, uid, op, row }], latest }
+ *   POST /changes  { device, changes: [{ lseq, clock, tbl, uid, op, row }] } → { latest }
+ *        A change whose lseq the device already sent is ignored, so a retry is safe.
+ */
+
+'use strict';
+
+const fs    = require('fs');
+const path  = require('path');
+const http  = require('http');
+const https = require('https');
+
+const APP_ROOT  = path.join(__dirname, '..');
+const MAX_BODY  = 20 * 1024 * 1024;
+const MAX_LIMIT = 1000;
+const TYPES = {
+  '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8', '.json': 'application/json', '.db': 'application/octet-stream',
+  '.png': 'image/png', '.svg': 'image/svg+xml', '.ico': 'image/x-icon',
+};
+
+function options(argv) {
+  const opts = { port: 8787, data: 'gnoke-sync.jsonl', key: '', cert: '', tlsKey: '' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name  = argv[i].replace(/^--/, '').replace(/-(\w)/g, (_, c) => c.toUpperCase());
+    const value = argv[i + 1];
+    if (!(name in opts) || value === undefined) throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    opts[name] = name === 'port' ? Number(value) : value;
+  }
+  return opts;
+}
+
+// ── Change log ─────────────────────────────────────────────────────────────
+
+function openLog(file) {
+  const changes = [];
+  const lastSeq = new Map();   // device → highest lseq received
+  if (fs.existsSync(file)) {
+    fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).forEach(line => {
+      const change = JSON.parse(line);
+      changes.push(change);
+      lastSeq.set(change.device, Math.max(lastSeq.get(change.device) || 0, change.lseq));
+    });
+  }
+
+  function append(device, incoming) {
+    const fresh = incoming
+      .filter(c => c.lseq > (lastSeq.get(device) || 0))
+      .map((c, n) => ({
+        seq: changes.length + n + 1, device, lseq: c.lseq, clock: c.clock,
+        tbl: c.tbl, uid: c.uid, op: c.op, row: c.row ?? null,
+      }));
+    // Appended before they're acknowledged — a desk never drops a change the file hasn't got
+    if (fresh.length) fs.appendFileSync(file, fresh.map(c => JSON.stringify(c) + '\n').join(''));
+    fresh.forEach(c => {
+      changes.push(c);
+      lastSeq.set(device, c.lseq);
+    });
+  }
+
+  return {
+    append,
+    since: (seq, limit) => changes.slice(seq, seq + limit),
+    get latest() { return changes.length; },
+    get devices() { return lastSeq.size; },
+  };
+}
+
+function validChange(c) {
+  return c && Number.isInteger(c.lseq) && Number.isInteger(c.clock) &&
+         typeof c.tbl === 'string' && typeof c.uid === 'string' && ['upsert', 'delete'].includes(c.op);
+}
+
+// ── HTTP ───────────────────────────────────────────────────────────────────
+
+function send(res, status, body, type = 'application/json') {
+  res.writeHead(status, {
+    'Content-Type': type,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Library-Key',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(type === 'application/json' ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) { reject(new Error('Too many changes in one go.')); req.destroy(); }
+      else chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}')); }
+      catch { reject(new Error('The request body isn\'t JSON.')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function serveFile(res, pathname) {
+  let file;
+  try {
+    file = path.join(APP_ROOT, path.normalize(decodeURIComponent(pathname === '/' ? '/index.html' : pathname)));
+  } catch {
+    return send(res, 400, 'Bad request', 'text/plain');   // not valid percent-encoding
+  }
+  // Only the app's own kinds of file — never the change log, wherever it's kept
+  if (!file.startsWith(APP_ROOT + path.sep) || file.startsWith(__dirname + path.sep) || !TYPES[path.extname(file)]) {
+    return send(res, 404, 'Not found', 'text/plain');
+  }
+  fs.readFile(file, (err, body) => {
+    if (err) return send(res, 404, 'Not found', 'text/plain');
+    send(res, 200, body, TYPES[path.extname(file)]);
+  });
+}
+
+function handler(log, opts) {
+  // Nothing a client sends may reject this promise — an unhandled rejection ends the server
+  return async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (req.method === 'OPTIONS') return send(res, 204, '', 'text/plain');
+
+      const api = url.pathname === '/status' || url.pathname === '/changes';
+      if (!api) return req.method === 'GET' ? serveFile(res, url.pathname) : send(res, 405, { error: 'Method not allowed.' });
+      if (opts.key && req.headers['x-library-key'] !== opts.key) {
+        return send(res, 401, { error: 'Wrong library key.' });
+      }
+
+      if (url.pathname === '/status') {
+        return send(res, 200, { latest: log.latest, devices: log.devices });
+      }
+      if (req.method === 'GET') {
+        const since = Math.max(0, parseInt(url.searchParams.get('since')) || 0);
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(url.searchParams.get('limit')) || MAX_LIMIT));
+        return send(res, 200, { changes: log.since(since, limit), latest: log.latest });
+      }
+      if (req.method === 'POST') {
+        const { device, changes } = await readBody(req);
+        if (typeof device !== 'string' || !device || !Array.isArray(changes) || !changes.every(validChange)) {
+          return send(res, 400, { error: 'Expected { device, changes: [{ lseq, clock, tbl, uid, op, row }] }.' });
+        }
+        log.append(device, changes);
+        return send(res, 200, { latest: log.latest });
+      }
+      send(res, 405, { error: 'Method not allowed.' });
+    } catch (err) {
+      if (!res.headersSent) send(res, 400, { error: err.message });
+    }
+  };
+}
+
+// ── Start ──────────────────────────────────────────────────────────────────
+
+const opts   = options(process.argv.slice(2));
+const log    = openLog(path.resolve(opts.data));
+const tls    = opts.cert && opts.tlsKey;
+const server = tls
+  ? https.createServer({ cert: fs.readFileSync(opts.cert), key: fs.readFileSync(opts.tlsKey) }, handler(log, opts))
+  : http.createServer(handler(log, opts));
+
+server.listen(opts.port, () => {
+  console.log(`Gnoke Library sync server on ${tls ? 'https' : 'http'}://0.0.0.0:${opts.port}`);
+  console.log(`${log.latest} change(s) in ${path.resolve(opts.data)}${opts.key ? ' — library key required' : ''}`);
+});
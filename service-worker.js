@@ -3,14 +3,26 @@
  * Copyright (C) 2026 Edmund Sparrow — GNU GPL v3
  */
 
-const CACHE = 'gnoke-library-v2.01';
+const CACHE = 'gnoke-library-v2.12';
 
 const ASSETS = [
   '/',
   'index.html',
   'styles/style.css',
+  'scripts/isbn.js',
+  'scripts/db-migrations.js',
+  'scripts/vault.js',
   'scripts/db-core.js',
+  'scripts/search.js',
   'scripts/db-library.js',
+  'scripts/sync.js',
+  'scripts/csv.js',
+  'scripts/barcode.js',
+  'scripts/labels.js',
+  'scripts/charts.js',
+  'scripts/qr.js',
+  'scripts/transfer.js',
+  'scripts/notices.js',
   'scripts/app.js',
   'scripts/notification.js',
   'manifest.json',
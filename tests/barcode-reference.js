@@ -0,0 +1,35 @@
+/*
+ * Gnoke Library — tests/barcode-reference.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Published module patterns ('1' = bar, '0' = space), written out symbol by
+ * symbol so each group can be checked against the standard's table — never
+ * produced by barcode.js, which is what they check.
+ * - EAN-13: GS1 General Specifications §5.2.1.2, number sets A (L), B (G)
+ *   and C (R). 4006381333931 is the EAN-13 example on Wikipedia;
+ *   9780306406157 the ISBN-13 one
+ * - Code 128: ISO/IEC 15417 Table 1; the stop symbol carries the 2-module
+ *   termination bar
+ */
+
+'use strict';
+
+// text → its symbols, guards and all
+const EAN13 = {
+  //               start  ←──── left half, parity from the first digit ────→  centre  ←─────────── right half (set C) ──────────→  end
+  '4006381333931': '101 0001101 0100111 0101111 0111101 0001001 0110011 01010 1000010 1000010 1000010 1110100 1000010 1100110 101',
+  '9780306406157': '101 0111011 0001001 0100111 0111101 0100111 0101111 01010 1011100 1110010 1010000 1100110 1001110 1000100 101',
+  '5901234123457': '101 0001011 0100111 0110011 0010011 0111101 0011101 01010 1100110 1101100 1000010 1011100 1001110 1000100 101',
+};
+
+const CODE128 = {
+  // Start C, 00, 00, 42, check 25 = (105 + 0×1 + 0×2 + 42×3) mod 103, stop
+  '000042': '11010011100 11011001100 11011001100 10110111000 11100101100 1100011101011',
+  // Start B, M (45), 0 (16) ×4, 7 (23), check 99 = (104 + 45×1 + 16×(2+3+4+5) + 23×6) mod 103, stop
+  'M00007': '11010010000 10111011000 10011101100 10011101100 10011101100 10011101100 11101101110 10111011110 1100011101011',
+};
+
+const modules = spaced => spaced.replace(/ /g, '');
+
+module.exports = { EAN13, CODE128, modules };
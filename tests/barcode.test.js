@@ -0,0 +1,58 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+const { loadScripts } = require('./load-scripts');
+const { readPng }     = require('./png');
+const { EAN13, CODE128, modules } = require('./barcode-reference');
+
+const Barcode  = loadScripts(['barcode.js']).get('Barcode');
+const FIXTURES = path.join(__dirname, 'fixtures', 'barcodes');
+
+const START_B = '11010010000', START_C = '11010011100', STOP = '1100011101011';
+
+test('EAN-13 check digits match the published numbers', () => {
+  Object.keys(EAN13).forEach(code => {
+    assert.equal(Barcode.ean13CheckDigit(code.slice(0, 12)), Number(code[12]), code);
+  });
+});
+
+test('EAN-13 modules match the published encodings', () => {
+  Object.entries(EAN13).forEach(([code, pattern]) => {
+    assert.equal(Barcode.encodeEan13(code), modules(pattern), code);
+    assert.equal(Barcode.encodeEan13(code.slice(0, 12)), modules(pattern), `${code} without its check digit`);
+  });
+  assert.throws(() => Barcode.encodeEan13('4006381333932'), /check digit is wrong/);
+  assert.throws(() => Barcode.encodeEan13('40063813339'), /12 or 13 digits/);
+});
+
+test('Code 128 modules match the published encodings: start, data, checksum, stop', () => {
+  Object.entries(CODE128).forEach(([text, pattern]) => {
+    assert.equal(Barcode.encodeCode128(text), modules(pattern), text);
+  });
+  // Digit pairs go in code set C, anything else in set B
+  assert.ok(Barcode.encodeCode128('000042').startsWith(START_C));
+  assert.ok(Barcode.encodeCode128('00042').startsWith(START_B));
+  Object.keys(CODE128).forEach(text => assert.ok(Barcode.encodeCode128(text).endsWith(STOP), text));
+  assert.throws(() => Barcode.encodeCode128('Café'), /plain ASCII/);
+});
+
+// Sample images (see fixtures/make-barcodes.js), named for what they hold
+const decode = name => Barcode.decodeImageData(readPng(path.join(FIXTURES, name)));
+
+test('reads EAN-13 from sample images: off-grid, dim and unevenly lit, upside down', () => {
+  assert.deepEqual({ ...decode('ean13-4006381333931.png') }, { format: 'ean_13', text: '4006381333931' });
+  assert.deepEqual({ ...decode('ean13-9780306406157-dim.png') }, { format: 'ean_13', text: '9780306406157' });
+  assert.deepEqual({ ...decode('ean13-5901234123457-upside-down.png') }, { format: 'ean_13', text: '5901234123457' });
+});
+
+test('reads Code 128 item and patron labels from sample images', () => {
+  assert.deepEqual({ ...decode('code128-000042.png') }, { format: 'code_128', text: '000042' });
+  assert.deepEqual({ ...decode('code128-M00007-shadow.png') }, { format: 'code_128', text: 'M00007' });
+});
+
+test('reads nothing from a wrong check digit or blank paper', () => {
+  assert.equal(decode('none-ean13-bad-check-digit.png'), null);
+  assert.equal(decode('none-blank-paper.png'), null);
+});
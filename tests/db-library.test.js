@@ -0,0 +1,147 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { openLibrary } = require('./load-scripts');
+
+const count = (DB, sql, params) => DB.query(sql, params)[0].n;
+
+test('deleting a title takes its copies and loans with it, after a save too', async () => {
+  const { DB, DBLib } = await openLibrary();
+  const copies = DBLib.getStats().totalCopies;
+
+  const { id } = await DBLib.addBook({ title: 'Deleted Title', author: 'A. Writer', category: 'Fiction', copies: 3 });
+  const patron = DBLib.getAllPatrons()[0];
+  const today  = DB.today();
+  await DBLib.recordBorrow({ bookId: id, patronId: patron.id, dateOut: today, dueDate: DB.addDays(today, 14) });
+  const loan = DBLib.getActiveBorrowsByPatron(patron.id).find(b => b.book_id === id);
+  await DBLib.recordReturn({ borrowId: loan.id, returnDate: today });
+  await DB.persist();   // exporting reopens the sql.js connection
+
+  await DBLib.deleteBook(id);
+  assert.equal(count(DB, 'SELECT COUNT(*) AS n FROM items WHERE book_id = ?', [id]), 0);
+  assert.equal(count(DB, 'SELECT COUNT(*) AS n FROM borrows WHERE book_id = ?', [id]), 0);
+  assert.equal(DBLib.getStats().totalCopies, copies);
+  assert.equal(DB.query('PRAGMA foreign_key_check').length, 0);
+});
+
+test('keeping one loan of a copy lent twice closes the other, and keeps it', async () => {
+  const { DB, DBLib } = await openLibrary();
+  const { id } = await DBLib.addBook({ title: 'Lent Twice', author: 'A. Writer', category: 'Fiction', copies: 1 });
+  const itemId = DB.query('SELECT id FROM items WHERE book_id = ?', [id])[0].id;
+  const [first, second] = DBLib.getAllPatrons();
+  const today = DB.today();
+  // As two desks leave it: each lent the same copy before they synced
+  [first, second].forEach(p => DB.run(
+    'INSERT INTO borrows (book_id, item_id, patron_id, borrower, date_out, due_date) VALUES (?, ?, ?, ?, ?, ?)',
+    [id, itemId, p.id, p.name, today, DB.addDays(today, 14)],
+  ));
+  const [keep, lose] = DB.query('SELECT id FROM borrows WHERE item_id = ? ORDER BY id', [itemId]);
+  assert.equal(DBLib.getSyncConflicts().doubleLoans.length, 1);
+
+  await DBLib.resolveDoubleLoan(keep.id);
+  const closed = DB.query('SELECT * FROM borrows WHERE id = ?', [lose.id])[0];
+  assert.equal(closed.return_date, today);
+  assert.match(closed.note, /lent twice/);
+  assert.equal(DB.query('SELECT return_date FROM borrows WHERE id = ?', [keep.id])[0].return_date, null);
+  assert.equal(DB.query('SELECT status FROM items WHERE id = ?', [itemId])[0].status, 'on_loan');
+  assert.equal(DBLib.getSyncConflicts().doubleLoans.length, 0);
+  assert.equal(DBLib.queryAudit({ entity: 'borrow', entityId: lose.id }).rows[0].action, 'update');
+});
+
+test('a merged loan still out is lent a free copy here, or the merge is refused', async () => {
+  const branch = await openLibrary();
+  const { id: branchBook } = await branch.DBLib.addBook({ title: 'Merge Clash', author: 'A. Writer', category: 'Fiction', copies: 2 });
+  const today = branch.DB.today();
+  const patrons = branch.DBLib.getAllPatrons().slice(0, 2);
+  for (const p of patrons) {
+    await branch.DBLib.recordBorrow({ bookId: branchBook, patronId: p.id, dateOut: today, dueDate: branch.DB.addDays(today, 14) });
+  }
+  const bytes = await branch.DB.exportPackage();
+  const file  = { name: 'branch.db', arrayBuffer: async () => bytes.buffer };
+
+  const { DB, DBLib } = await openLibrary();
+  const { id } = await DBLib.addBook({ title: 'Merge Clash', author: 'A. Writer', category: 'Fiction', copies: 1 });
+  const loans = () => DB.query('SELECT * FROM borrows WHERE book_id = ?', [id]);
+
+  const backup = await DB.openBackup(file);
+  await assert.rejects(DBLib.mergeBackup(backup), err => err.code === 'MERGE_LOANS_CLASH' && err.loans.length === 1);
+  backup.close();
+  assert.equal(loans().length, 0);
+  assert.equal(DBLib.getAvailableItems(id).length, 1);
+
+  await DBLib.addItems(id, 1);
+  const again = await DB.openBackup(file);
+  await DBLib.mergeBackup(again);
+  again.close();
+  assert.equal(loans().length, 2);
+  assert.ok(loans().every(b => b.item_id && b.return_date === null));
+  assert.equal(DBLib.getAvailableItems(id).length, 0);
+});
+
+// Fines: 0.50 a day after two days' grace, capped at 4.00; Reference books 1.00 a day
+async function finesLibrary() {
+  const { DB, DBLib } = await openLibrary();
+  await DBLib.addCategory('Reference');
+  await DBLib.saveFineRules({ dailyRate: 0.5, graceDays: 2, maxPerItem: 4, blockThreshold: 0, categoryRates: { Reference: 1 } });
+  const patronId = await DBLib.addPatron({ name: 'Late Returner' });
+  return { DB, DBLib, patronId };
+}
+
+// A copy of a new title in category, brought back daysLate after it was due → the fine written
+async function lateReturn({ DB, DBLib, patronId }, category, daysLate) {
+  const { id } = await DBLib.addBook({ title: `Late ${category} ${daysLate}`, author: 'A. Writer', category, copies: 1 });
+  const today = DB.today(), due = DB.addDays(today, -daysLate);
+  await DBLib.recordBorrow({ bookId: id, patronId, dateOut: DB.addDays(due, -14), dueDate: due });
+  const loan = DB.query('SELECT id FROM borrows WHERE book_id = ?', [id])[0];
+  return (await DBLib.recordReturn({ borrowId: loan.id, returnDate: today })).fine;
+}
+
+test('fines run at the category\'s own rate, after the grace days and up to the cap', async () => {
+  const library = await finesLibrary();
+  const { DB, DBLib, patronId } = library;
+  const due = DB.today();
+  assert.equal(DBLib.computeFine(due, 'Fiction', DB.addDays(due, -3)).amount, 0);
+  assert.equal(DBLib.computeFine(due, 'Fiction', DB.addDays(due, 2)).amount, 0);
+  assert.equal(DBLib.computeFine(due, 'Fiction', DB.addDays(due, 5)).amount, 1.5);
+  assert.equal(DBLib.computeFine(due, 'Reference', DB.addDays(due, 5)).amount, 3);
+  assert.equal(DBLib.computeFine(due, 'Reference', DB.addDays(due, 30)).amount, 4);
+
+  assert.equal(await lateReturn(library, 'Fiction', 1), null);
+  assert.equal(JSON.stringify(await lateReturn(library, 'Reference', 5)), JSON.stringify({ daysLate: 5, amount: 3 }));
+  assert.equal(DBLib.getPatronBalance(patronId).outstanding, 3);
+});
+
+test('renaming a category keeps its fine rate', async () => {
+  const library = await finesLibrary();
+  const { DBLib } = library;
+  const reference = DBLib.getAllCategories().find(c => c.name === 'Reference');
+  await DBLib.updateCategory(reference.id, 'Reference Desk');
+  assert.equal(JSON.stringify(DBLib.getFineRules().categoryRates), JSON.stringify({ 'Reference Desk': 1 }));
+  assert.equal((await lateReturn(library, 'Reference Desk', 5)).amount, 3);
+});
+
+test('part payments and waivers bring a fine down, never below nothing owed', async () => {
+  const library = await finesLibrary();
+  const { DBLib, patronId } = library;
+  await lateReturn(library, 'Reference', 5);
+  const { id } = DBLib.getPatronFines(patronId)[0];
+  const fine = () => DBLib.getPatronFines(patronId).find(f => f.id === id);
+
+  await DBLib.payFine(id, 1);
+  assert.equal(fine().outstanding, 2);
+  await assert.rejects(DBLib.payFine(id, 5), /Only .*2\.00 is outstanding/);
+  await assert.rejects(DBLib.waiveFine(id, { amount: 0.5, reason: ' ' }), /reason is required/);
+  await DBLib.waiveFine(id, { amount: 0.5, reason: 'First time' });
+  assert.equal(fine().outstanding, 1.5);
+  assert.equal(fine().waived, 0.5);
+
+  // Paying the balance settles the oldest fines first and hands back the rest
+  await lateReturn(library, 'Fiction', 4);
+  assert.equal(DBLib.getPatronBalance(patronId).outstanding, 2.5);
+  assert.equal((await DBLib.payPatronBalance(patronId, 3)).change, 0.5);
+  assert.equal(DBLib.getPatronBalance(patronId).outstanding, 0);
+  assert.equal(DBLib.getOutstandingBalances().has(patronId), false);
+  await assert.rejects(DBLib.waiveFine(id, { reason: 'Too late' }), /between 0 and/);
+  assert.equal(DBLib.getFinePayments(id).map(p => p.kind).join(), 'payment,waiver,payment');
+});
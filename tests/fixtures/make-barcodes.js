@@ -0,0 +1,83 @@
+/*
+ * Gnoke Library — tests/fixtures/make-barcodes.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Draws the decoder's sample images into tests/fixtures/barcodes/ from the
+ * published patterns in barcode-reference.js — so the decoder is never tested
+ * on its own encoder's output. Each is made the way a phone sees a label:
+ * off-grid module widths, soft edges, uneven light and sensor noise.
+ * The PNGs are committed; run this again only to change them:
+ *
+ *   node tests/fixtures/make-barcodes.js
+ */
+
+'use strict';
+
+const path = require('path');
+const { EAN13, CODE128, modules } = require('../barcode-reference');
+const { writePng } = require('../png');
+
+const OUT = path.join(__dirname, 'barcodes');
+
+// Same numbers on every run, so regenerating doesn't churn the files
+function _random(seed) {
+  return () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+}
+
+// A label photographed straight on. scale: pixels per module; light(x), 0–1
+// across the width: how lit the paper is; flip: upside down
+function draw(pattern, { scale = 3, ink = 30, paper = 225, blur = 1, noise = 6, light = () => 1, flip = false,
+                         seed = 1 } = {}) {
+  const bits   = modules(pattern);
+  const quiet  = Math.ceil(12 * scale);
+  const width  = Math.ceil(bits.length * scale) + quiet * 2;
+  const height = 48;
+  const random = _random(seed);
+
+  // How much of each pixel the bars cover
+  const line = new Float64Array(width);
+  for (let x = 0; x < width; x++) {
+    let dark = 0;
+    for (let s = 0; s < 8; s++) {
+      const m = Math.floor((x + (s + 0.5) / 8 - quiet) / scale);
+      if (bits[m] === '1') dark += 1 / 8;
+    }
+    line[x] = paper - dark * (paper - ink);
+  }
+  // Soft edges: a box blur `blur` pixels either side
+  const soft = line.map((_, x) => {
+    let sum = 0, n = 0;
+    for (let k = Math.max(0, x - blur); k <= Math.min(width - 1, x + blur); k++) { sum += line[k]; n++; }
+    return sum / n;
+  });
+
+  const grey = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const grain = (random() + random() + random() - 1.5) * 2 * noise;
+      const v = soft[flip ? width - 1 - x : x] * light(x / width) + grain;
+      grey[y * width + x] = Math.max(0, Math.min(255, Math.round(v)));
+    }
+  }
+  return { width, height, grey };
+}
+
+// file → image; the name is what the decoder should read, `none` for nothing
+const FIXTURES = {
+  'ean13-4006381333931.png':             draw(EAN13['4006381333931'], { scale: 3 }),
+  'ean13-9780306406157-dim.png':         draw(EAN13['9780306406157'], {
+    scale: 2.3, ink: 70, paper: 170, light: x => 0.55 + 0.45 * x, seed: 2,
+  }),
+  'ean13-5901234123457-upside-down.png': draw(EAN13['5901234123457'], { scale: 2.5, flip: true, seed: 3 }),
+  'code128-000042.png':                  draw(CODE128['000042'], { scale: 2, seed: 4 }),
+  'code128-M00007-shadow.png':           draw(CODE128['M00007'], {
+    scale: 2.7, noise: 10, light: x => (x < 0.6 ? 1 : 0.6), seed: 5,
+  }),
+  // The last digit's pattern swapped for another, so the check digit fails
+  'none-ean13-bad-check-digit.png':      draw(EAN13['4006381333931'].replace(/1100110 101$/, '1101100 101'), { seed: 6 }),
+  'none-blank-paper.png':                draw('0', { noise: 14, light: x => 0.7 + 0.3 * x, seed: 7 }),
+};
+
+Object.entries(FIXTURES).forEach(([name, image]) => writePng(path.join(OUT, name), image));
+console.log(`Wrote ${Object.keys(FIXTURES).length} images to ${path.relative(process.cwd(), OUT)}`);
@@ -0,0 +1,52 @@
+/*
+ * Gnoke Library — tests/load-scripts.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Runs the app's own scripts in a Node sandbox, one after another as
+ * main.html loads them, so tests use the real modules (DB, DBLib, Barcode…).
+ * - IndexedDB is fake-indexeddb, a fresh empty one per openLibrary()
+ * - fetch() reads files from the repo, so DB.init() loads data/library.db
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const path = require('path');
+const vm   = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// names: files under scripts/, in main.html's order → get(name) reads a module
+function loadScripts(names, globals = {}) {
+  const context = vm.createContext({
+    console, setTimeout, clearTimeout, setInterval, clearInterval,
+    TextEncoder, TextDecoder, Uint8Array, ArrayBuffer, crypto: globalThis.crypto,
+    Response, CompressionStream, DecompressionStream,
+    ...globals,
+  });
+  names.forEach(name => {
+    const file = path.join(ROOT, 'scripts', name);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+  return { get: name => vm.runInContext(name, context) };
+}
+
+async function _fetch(url) {
+  const bytes = fs.readFileSync(path.join(ROOT, url));
+  return { ok: true, status: 200, arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length) };
+}
+
+// The seed library, opened as on a first run → { DB, DBLib }
+async function openLibrary() {
+  const { IDBFactory, IDBKeyRange } = require('fake-indexeddb');
+  const app = loadScripts(
+    ['isbn.js', 'db-migrations.js', 'vault.js', 'db-core.js', 'search.js', 'db-library.js'],
+    { indexedDB: new IDBFactory(), IDBKeyRange, initSqlJs: require('sql.js'), fetch: _fetch },
+  );
+  const DB = app.get('DB');
+  await DB.init();
+  return { DB, DBLib: app.get('DBLib') };
+}
+
+module.exports = { ROOT, loadScripts, openLibrary };
@@ -0,0 +1,82 @@
+'use strict';
+
+const test      = require('node:test');
+const assert    = require('node:assert/strict');
+const fs        = require('fs');
+const path      = require('path');
+const initSqlJs = require('sql.js');
+const { ROOT, loadScripts, openLibrary } = require('./load-scripts');
+
+const DBMigrations = loadScripts(['isbn.js', 'db-migrations.js']).get('DBMigrations');
+
+// The original data/library.db (v1: books.copies, free-text borrowers) with
+// a title of three copies, one out, and one whose every copy is out — then
+// migrated up to `version` the way the app did it at the time
+async function oldLibrary(version) {
+  const SQL = await initSqlJs();
+  const db  = new SQL.Database(fs.readFileSync(path.join(ROOT, 'data', 'library.db')));
+  const run = (sql, params = []) => db.run(sql, params);
+  const lend = (bookId, borrower, returned = null) => run(
+    'INSERT INTO borrows (book_id, borrower, date_out, due_date, return_date) VALUES (?, ?, ?, ?, ?)',
+    [bookId, borrower, '2026-01-05', '2026-01-19', returned],
+  );
+  run("INSERT INTO books (title, author, category, copies) VALUES ('Three Copies', 'A. Writer', 'Fiction', 2)");
+  const three = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  lend(three, 'Ada Obi');
+  lend(three, ' ada  obi ', '2026-01-10');
+  run("INSERT INTO books (title, author, category, copies) VALUES ('All Out', 'A. Writer', 'Fiction', 0)");
+  const allOut = db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+  lend(allOut, 'Ben Eze');
+  lend(allOut, 'Ada Obi');
+
+  const query = (sql, params = []) => {
+    const result = db.exec(sql, params);
+    if (!result.length) return [];
+    const { columns, values } = result[0];
+    return values.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i]])));
+  };
+  DBMigrations.filter(m => m.version <= version).forEach(step => step.up(run, query));
+  run(`PRAGMA user_version = ${version}`);
+
+  const before = {
+    copies: query('SELECT SUM(copies) AS n FROM books')[0].n,
+    out:    query('SELECT COUNT(*) AS n FROM borrows WHERE return_date IS NULL')[0].n,
+  };
+  const bytes = db.export();
+  db.close();
+  return { before, file: { name: `v${version}.db`, arrayBuffer: async () => bytes.buffer } };
+}
+
+for (const version of [1, 2]) {
+  test(`a v${version} database's copies become items, each loan out on one of its title's`, async () => {
+    const { before, file } = await oldLibrary(version);
+    const { DB } = await openLibrary();
+    const backup = await DB.openBackup(file);
+    const count  = (sql, params) => backup.query(sql, params)[0].n;
+    const items  = title => backup.query(
+      'SELECT i.* FROM items i JOIN books b ON b.id = i.book_id WHERE b.title = ? ORDER BY i.id', [title]);
+
+    assert.equal(backup.version, version);
+    assert.equal(backup.query('PRAGMA user_version')[0].user_version, DBMigrations[DBMigrations.length - 1].version);
+    assert.equal(backup.query("SELECT 1 FROM pragma_table_info('books') WHERE name = 'copies'").length, 0);
+
+    // What was on the shelf, plus what was out
+    assert.equal(count('SELECT COUNT(*) AS n FROM items'), before.copies + before.out);
+    assert.equal(items('Three Copies').map(i => i.status).join(), 'on_loan,available,available');
+    assert.equal(items('All Out').map(i => i.status).join(), 'on_loan,on_loan');
+
+    assert.equal(count(`SELECT COUNT(*) AS n FROM borrows b LEFT JOIN items i ON i.id = b.item_id
+                        WHERE b.return_date IS NULL AND (i.book_id IS NOT b.book_id OR i.status != 'on_loan')`), 0);
+    assert.equal(count('SELECT COUNT(DISTINCT item_id) AS n FROM borrows WHERE return_date IS NULL'), before.out);
+    assert.equal(count("SELECT COUNT(*) AS n FROM items WHERE status = 'on_loan'"), before.out);
+    assert.equal(count('SELECT COUNT(*) AS n FROM borrows WHERE return_date IS NOT NULL AND item_id IS NOT NULL'), 0);
+
+    assert.equal(count(`SELECT COUNT(*) AS n FROM items
+                        WHERE accession_no IS NOT barcode OR accession_no NOT GLOB '[0-9][0-9][0-9][0-9][0-9][0-9]'`), 0);
+    assert.equal(count('SELECT COUNT(DISTINCT accession_no) AS n FROM items'), count('SELECT COUNT(*) AS n FROM items'));
+    // "Ada Obi" and " ada  obi " were one borrower
+    assert.equal(count("SELECT COUNT(DISTINCT patron_id) AS n FROM borrows WHERE LOWER(TRIM(borrower)) LIKE 'ada%obi'"), 1);
+    assert.equal(backup.query('PRAGMA foreign_key_check').length, 0);
+    backup.close();
+  });
+}
@@ -0,0 +1,106 @@
+/*
+ * Gnoke Library — tests/png.js
+ * Copyright (C) 2026 Edmund Sparrow <edmundsparrow@gmail.com>
+ * Licensed under GNU GPL v3
+ *
+ * Just enough PNG for the barcode fixtures, on Node's own zlib.
+ * - readPng(): 8-bit greyscale, grey+alpha, RGB or RGBA, not interlaced →
+ *   { width, height, data } (RGBA), the shape Barcode.decodeImageData() takes
+ * - writePng(): 8-bit greyscale, for make-barcodes.js
+ */
+
+'use strict';
+
+const fs   = require('fs');
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS  = { 0: 1, 2: 3, 4: 2, 6: 4 };   // colour type → samples per pixel
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function _crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function _paeth(a, b, c) {
+  const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+function readPng(file) {
+  const buf = fs.readFileSync(file);
+  if (!buf.subarray(0, 8).equals(SIGNATURE)) throw new Error(`${file} isn't a PNG.`);
+
+  let header = null;
+  const idat = [];
+  for (let pos = 8; pos < buf.length;) {
+    const len  = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const body = buf.subarray(pos + 8, pos + 8 + len);
+    if (type === 'IHDR') {
+      header = { width: body.readUInt32BE(0), height: body.readUInt32BE(4), depth: body[8],
+                 colour: body[9], interlace: body[12] };
+    }
+    if (type === 'IDAT') idat.push(body);
+    if (type === 'IEND') break;
+    pos += len + 12;
+  }
+  const { width, height, depth, colour, interlace } = header;
+  const channels = CHANNELS[colour];
+  if (depth !== 8 || !channels || interlace) throw new Error(`${file}: only 8-bit, non-interlaced PNGs are read.`);
+
+  // Undo the per-row filters (PNG spec §9)
+  const raw    = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row    = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out    = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= channels ? pixels[out + i - channels] : 0;
+      const b = y ? pixels[out - stride + i] : 0;
+      const c = y && i >= channels ? pixels[out - stride + i - channels] : 0;
+      const predict = [0, a, b, (a + b) >> 1, _paeth(a, b, c)][filter];
+      pixels[out + i] = (row[i] + predict) & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) {
+    const s = pixels.subarray(p * channels, (p + 1) * channels);
+    const [r, g, b] = channels >= 3 ? s : [s[0], s[0], s[0]];
+    data.set([r, g, b, channels % 2 ? 255 : s[channels - 1]], p * 4);
+  }
+  return { width, height, data };
+}
+
+// grey: one byte per pixel, row by row
+function writePng(file, { width, height, grey }) {
+  const chunk = (type, body) => {
+    const typed = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+    const out   = Buffer.alloc(typed.length + 8);
+    out.writeUInt32BE(body.length, 0);
+    typed.copy(out, 4);
+    out.writeUInt32BE(_crc32(typed), typed.length + 4);
+    return out;
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;   // bit depth; colour type 0 (greyscale), the rest defaults
+  const rows = Buffer.alloc((width + 1) * height);
+  for (let y = 0; y < height; y++) rows.set(grey.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  fs.writeFileSync(file, Buffer.concat([
+    SIGNATURE, chunk('IHDR', header), chunk('IDAT', zlib.deflateSync(rows, { level: 9 })), chunk('IEND', Buffer.alloc(0)),
+  ]));
+}
+
+module.exports = { readPng, writePng };
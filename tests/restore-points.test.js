@@ -0,0 +1,29 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { openLibrary } = require('./load-scripts');
+
+const patrons = (DB, name) => DB.query('SELECT COUNT(*) AS n FROM patrons WHERE name = ?', [name])[0].n;
+
+test('rolling back brings the older data back, and keeps what it replaced as a restore point', async () => {
+  const { DB, DBLib } = await openLibrary();
+  const startup = (await DB.listSnapshots()).find(p => p.kind === 'auto');
+  await DBLib.addPatron({ name: 'Added Later' });
+  await DB.persist();
+
+  const saved = await DB.rollbackToSnapshot(startup.id);
+  assert.equal(patrons(DB, 'Added Later'), 0);
+  assert.equal((await DB.listSnapshots()).find(p => p.id === saved).kind, 'before-rollback');
+
+  // Undoing the rollback, as its toast does
+  assert.equal(await DB.rollbackToSnapshot(saved, { keepCurrent: false }), null);
+  assert.equal(patrons(DB, 'Added Later'), 1);
+  assert.equal((await DB.listSnapshots()).length, 2);
+  assert.equal(DB.query('PRAGMA foreign_key_check').length, 0);
+});
+
+test('a restore point that is gone can\'t be rolled back to', async () => {
+  const { DB } = await openLibrary();
+  await assert.rejects(DB.rollbackToSnapshot(999), /no longer exists/);
+});
@@ -0,0 +1,45 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { spawn } = require('child_process');
+const { ROOT }  = require('./load-scripts');
+
+const PORT = 18787;
+const BASE = `http://localhost:${PORT}`;
+
+// The real server in a child process, until the test ends
+async function startServer(t) {
+  const dir    = fs.mkdtempSync(path.join(os.tmpdir(), 'gnoke-sync-'));
+  const server = spawn(process.execPath, [path.join(ROOT, 'server', 'sync-server.js'),
+    '--port', String(PORT), '--data', path.join(dir, 'changes.jsonl'), '--key', 'k1']);
+  t.after(() => {
+    server.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.once('data', resolve);
+    server.once('exit', code => reject(new Error(`Server exited with ${code}`)));
+  });
+  return server;
+}
+
+test('a path that is not valid percent-encoding is refused, and the server stays up', async t => {
+  const server = await startServer(t);
+  const bad = await fetch(`${BASE}/%E0%A4%A`);
+  assert.equal(bad.status, 400);
+
+  const status = await fetch(`${BASE}/status`, { headers: { 'X-Library-Key': 'k1' } });
+  assert.equal(status.status, 200);
+  assert.deepEqual(await status.json(), { latest: 0, devices: 0 });
+  assert.equal(server.exitCode, null);
+});
+
+test("the server's own files and anything outside the app are never served", async t => {
+  await startServer(t);
+  assert.equal((await fetch(`${BASE}/server/sync-server.js`)).status, 404);
+  assert.equal((await fetch(`${BASE}/%2e%2e/%2e%2e/etc/passwd`)).status, 404);
+});
@@ -0,0 +1,118 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { openLibrary } = require('./load-scripts');
+
+// The sync server's change log (openLog in server/sync-server.js), in memory
+function syncServer() {
+  const changes = [], lastSeq = new Map();
+  const server = {
+    changes,
+    async push({ DB }) {
+      const { device } = DB.syncInfo();
+      const out = DB.pendingChanges(10000);
+      out.filter(c => c.lseq > (lastSeq.get(device) || 0)).forEach(c => {
+        changes.push({ ...c, seq: changes.length + 1, device });
+        lastSeq.set(device, c.lseq);
+      });
+      if (out.length) await DB.markPushed(out[out.length - 1].lseq);
+    },
+    pull: ({ DB, DBLib }) => DBLib.applySyncChanges(changes.slice(DB.syncInfo().pulled)),
+    // As Sync.syncNow() does it
+    async sync(desk) {
+      await server.pull(desk);
+      await server.push(desk);
+    },
+  };
+  return server;
+}
+
+// Desk A shares its library, desk B joins it
+async function twoDesks() {
+  const server = syncServer();
+  const A = await openLibrary(), B = await openLibrary();
+  await A.DBLib.startSync();
+  await server.sync(A);
+  await B.DBLib.startSync({ replaceLocal: true });
+  await server.sync(B);
+  return { server, A, B };
+}
+
+const rows = ({ DB }, sql) => JSON.stringify(DB.query(sql));
+
+test('copies and patrons added on two desks at once get numbers of their own', async () => {
+  const { server, A, B } = await twoDesks();
+  for (let round = 0; round < 4; round++) {
+    await A.DBLib.addBook({ title: `From A ${round}`, author: 'A. Writer', category: 'Fiction', copies: 1 });
+    await B.DBLib.addBook({ title: `From B ${round}`, author: 'B. Writer', category: 'Fiction', copies: 2 });
+    await A.DBLib.addPatron({ name: `Patron A${round}` });
+    await B.DBLib.addPatron({ name: `Patron B${round}` });
+    // Both send before either hears of the other: every number clashes
+    await server.push(A);
+    await server.push(B);
+    await server.pull(A);
+    await server.pull(B);
+  }
+  for (let n = 0; n < 2; n++) {
+    await server.sync(A);
+    await server.sync(B);
+  }
+
+  for (const desk of [A, B]) {
+    assert.equal(desk.DB.query("SELECT COUNT(*) AS n FROM sync_conflicts WHERE kind = 'failed'")[0].n, 0);
+    assert.equal(desk.DB.query("SELECT COUNT(*) AS n FROM items i JOIN books b ON b.id = i.book_id WHERE b.title LIKE 'From %'")[0].n, 12);
+    assert.equal(desk.DB.query('SELECT COUNT(*) AS n FROM items WHERE accession_no IS NOT barcode')[0].n, 0);
+    assert.equal(desk.DB.query('SELECT COUNT(*) AS n FROM items WHERE accession_no IS NULL')[0].n, 0);
+    assert.equal(desk.DB.query('SELECT COUNT(*) AS n FROM patrons WHERE member_id IS NULL')[0].n, 0);
+  }
+  assert.equal(rows(A, 'SELECT uid, accession_no, barcode FROM items ORDER BY uid'),
+               rows(B, 'SELECT uid, accession_no, barcode FROM items ORDER BY uid'));
+  assert.equal(rows(A, 'SELECT uid, member_id FROM patrons ORDER BY uid'),
+               rows(B, 'SELECT uid, member_id FROM patrons ORDER BY uid'));
+  // The desk whose row gave up its number is told, so the label can be reprinted
+  const renumbered = [A, B].flatMap(d => d.DBLib.getSyncConflicts().notices.filter(n => n.kind === 'renumbered'));
+  assert.ok(renumbered.length > 0);
+  assert.match(renumbered[0].summary, /was given out on another desk too — now /);
+});
+
+// A library file read back in as a backup would be
+async function backupOf({ DB }) {
+  const pkg = await DB.exportPackage();
+  return DB.openBackup({ name: 'library.db', arrayBuffer: async () => pkg.buffer.slice(pkg.byteOffset, pkg.byteOffset + pkg.byteLength) });
+}
+
+test('edits made after restoring an older backup still reach the other desk', async () => {
+  const { server, A, B } = await twoDesks();
+  const backup = await backupOf(A);
+  await A.DBLib.addPatron({ name: 'Before Restore' });
+  await server.sync(A);
+
+  await A.DB.restoreDB(backup);
+  await A.DBLib.addPatron({ name: 'After Restore' });
+  await server.sync(A);
+  assert.equal(A.DB.syncInfo().pending, 0);
+  await server.sync(B);
+  assert.equal(B.DB.query("SELECT COUNT(*) AS n FROM patrons WHERE name = 'After Restore'")[0].n, 1);
+});
+
+test('rolling back to a restore point from before sync keeps sharing, and the other desk rolls back too', async () => {
+  const { server, A, B } = await twoDesks();
+  const startup = (await A.DB.listSnapshots()).find(p => p.kind === 'auto');
+  const patron  = A.DBLib.getAllPatrons()[0];
+  await A.DBLib.updatePatron(patron.id, { name: 'Renamed Before Rollback', memberId: patron.member_id });
+  await B.DBLib.addPatron({ name: 'Joined On B' });
+  for (const desk of [A, B, A]) await server.sync(desk);
+
+  await A.DB.rollbackToSnapshot(startup.id);
+  assert.equal(A.DB.syncInfo().on, true);
+  for (const desk of [A, B, A]) await server.sync(desk);
+
+  const name = `SELECT name FROM patrons WHERE uid = '${patron.uid}'`;
+  assert.equal(rows(A, name), JSON.stringify([{ name: patron.name }]));
+  assert.equal(rows(B, name), rows(A, name));
+  // Rows added elsewhere since the restore point come back with the pull
+  assert.equal(A.DB.query("SELECT COUNT(*) AS n FROM patrons WHERE name = 'Joined On B'")[0].n, 1);
+  assert.equal(rows(A, 'SELECT uid, name, member_id FROM patrons ORDER BY uid'),
+               rows(B, 'SELECT uid, name, member_id FROM patrons ORDER BY uid'));
+});